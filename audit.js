@@ -0,0 +1,137 @@
+// audit.js - Audit trail of permission decisions for wclaude
+//
+// Every PermissionRequest decision and every blocked Bash command is
+// appended to ~/.claude/wclaude-audit.jsonl (WCLAUDE_AUDIT_LOG moves it) as
+// one JSON object per line:
+//
+//   {"ts":"2025-01-01T12:00:00.000Z","session":"1a2b3c4d","cwd":"C:\\repo",
+//    "tool":"Bash","input":{"command":"git status"},"decision":"allow",
+//    "rule":"default-allow","source":"built-in"}
+//
+// Unlike the session log (logger.js), the audit log is always on, whatever
+// log.level says. It rotates by size:
+// wclaude-audit.jsonl -> wclaude-audit.jsonl.1 -> ... -> .N (oldest deleted).
+//
+// Tool inputs are summarized, not copied: file contents are reduced to
+// their length, long strings are truncated and secret-looking values are
+// masked (see redact.js). The runner also passes its redactor so loaded
+// API token values never reach the log.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { REDACTED, SECRET_KEY_PATTERN, redactText } from './redact.js';
+import { rotateLogFile } from './logger.js';
+
+/**
+ * Environment variable that moves the audit log (e.g. for tests)
+ */
+export const AUDIT_LOG_ENV = 'WCLAUDE_AUDIT_LOG';
+
+/**
+ * Default audit log location
+ */
+export const AUDIT_LOG_PATH = process.env[AUDIT_LOG_ENV] || path.join(os.homedir(), '.claude', 'wclaude-audit.jsonl');
+
+/**
+ * Rotation defaults
+ */
+export const AUDIT_DEFAULTS = {
+  maxBytes: 10 * 1024 * 1024,  // Rotate when the log would exceed 10MB
+  maxFiles: 5                  // Keep wclaude-audit.jsonl.1 ... .5
+};
+
+/**
+ * Longest string value kept in an input summary
+ */
+const MAX_VALUE_LENGTH = 300;
+
+/**
+ * tool_input fields that hold file contents - only their length is recorded
+ */
+const CONTENT_FIELDS = ['content', 'new_string', 'old_string', 'new_source'];
+
+/**
+ * Build a redacted summary of a tool_input object for the audit log
+ * Strings are masked before they are truncated, so a secret that crosses
+ * the cut is still recognized.
+ * @param {object} toolInput - tool_input from a PermissionRequest (or { command } for Bash)
+ * @param {object} [options]
+ * @param {function(string): string} [options.redact] - Masks a string (default: secret patterns only;
+ *   the runner passes its redactor, which also knows the loaded token values)
+ * @returns {object} Summary safe to write to disk
+ */
+export function summarizeToolInput(toolInput, { redact = redactText } = {}) {
+  if (!toolInput || typeof toolInput !== 'object') return {};
+
+  const summary = {};
+  for (const [key, value] of Object.entries(toolInput)) {
+    if (SECRET_KEY_PATTERN.test(key)) {
+      summary[key] = REDACTED;
+    } else if (CONTENT_FIELDS.includes(key) && typeof value === 'string') {
+      summary[key] = `<${value.length} chars>`;
+    } else if (typeof value === 'string') {
+      const masked = redact(value);
+      summary[key] = masked.length > MAX_VALUE_LENGTH
+        ? masked.substring(0, MAX_VALUE_LENGTH) + '...'
+        : masked;
+    } else if (Array.isArray(value)) {
+      summary[key] = `<${value.length} items>`;
+    } else if (value && typeof value === 'object') {
+      summary[key] = '<object>';
+    } else {
+      summary[key] = value;
+    }
+  }
+  return summary;
+}
+
+/**
+ * Create an audit log writer
+ * Writes are synchronous (so nothing is lost on crash) and best-effort:
+ * a failing write never breaks the session.
+ * @param {object} [options]
+ * @param {string} [options.filePath] - Log file (default AUDIT_LOG_PATH)
+ * @param {number} [options.maxBytes] - Rotate when the file would exceed this size
+ * @param {number} [options.maxFiles] - Rotated files to keep
+ * @param {object} [options.fields] - Fields added to every record (e.g. { session })
+ * @param {function(object): object} [options.redact] - Masks each record before it is written
+ * @returns {{ filePath: string, write: function(object): boolean }}
+ */
+export function createAuditLog({
+  filePath = AUDIT_LOG_PATH,
+  maxBytes = AUDIT_DEFAULTS.maxBytes,
+  maxFiles = AUDIT_DEFAULTS.maxFiles,
+  fields = {},
+  redact = record => record
+} = {}) {
+  return {
+    filePath,
+
+    /**
+     * Append one record
+     * @param {object} record - Record fields (tool, cwd, input, decision, rule, ...)
+     * @returns {boolean} true if the record was written
+     */
+    write(record) {
+      try {
+        const line = JSON.stringify(redact({ ts: new Date().toISOString(), ...fields, ...record })) + '\n';
+
+        let size = 0;
+        try {
+          size = fs.statSync(filePath).size;
+        } catch (e) {
+          // File doesn't exist yet
+        }
+        if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+          rotateLogFile(filePath, maxFiles);
+        }
+
+        fs.appendFileSync(filePath, line);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+  };
+}
@@ -6,15 +6,76 @@
 // To add a new rule:
 // 1. Add to cygpathRules (for cygpath crash prevention) or safetyRules (for hang prevention)
 // 2. Run tests: npm test
-// 3. Test manually with: node -e "import('./blocklist.js').then(m => console.log(m.validateCommand('your command')))"
+// 3. Test manually with: wclaude check-command "your command"
+//
+// Users can add their own rules without editing this file:
+// - User rules:    ~/.claude/wclaude-rules.json
+// - Project rules: .wclaude/rules.json (nearest one walking up from the command's cwd)
+//
+//   {
+//     "rules": [
+//       { "name": "npm-ls-no-depth", "detect": "\\bnpm\\s+ls\\b", "unless": "--depth",
+//         "reason": "npm ls without --depth - add --depth=0" }
+//     ],
+//     "disable": ["tree-no-depth"]
+//   }
+//
+// detect/unless are regular expression strings (case-insensitive unless
+// "flags" is set; i, m, s and u are allowed). "command" (optional) limits a
+// rule to simple commands with that name, e.g. "npm". Rule names cannot
+// reuse built-in names. "disable" turns off rules by name; built-in rules
+// can only be disabled in the user rule file.
+//
+// Rules with a "rewrite" fix the command instead of blocking it, e.g.
+// { "insert": "--depth=0" } turns "npm ls" into "npm ls --depth=0" and
+// { "prefix": "timeout 60" } runs the command under timeout. The spawn hook
+// runs the rewritten command and prints what changed on stderr
+// (set "blocklist": { "rewrite": false } in wclaude.json, or
+// WCLAUDE_REWRITE=off, to block instead). Rewrites change what runs, so only
+// the user rule file may declare them (a rule with a rewrite in a project
+// rule file is skipped), and their text cannot contain shell operators.
+//
+// Commands are split into pipelines, simple commands and words by
+// parseCommand() (a small bash lexer), so quoting is understood:
+// echo "it's" is not an unbalanced quote, and a find rule only looks at
+// the find command, not at everything else on the line.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * User-level rule file
+ */
+export const USER_RULES_PATH = path.join(os.homedir(), '.claude', 'wclaude-rules.json');
+
+/**
+ * Project rule file, relative to the project root
+ */
+export const PROJECT_RULES_FILE = path.join('.wclaude', 'rules.json');
+
+/**
+ * Environment variable that turns rule rewrites off (WCLAUDE_REWRITE=off, read by config.js)
+ */
+export const REWRITE_ENV = 'WCLAUDE_REWRITE';
+
+/**
+ * Characters not allowed in rewrite.insert / rewrite.prefix: the text is
+ * spliced into the command unquoted, so it must stay plain words
+ */
+const REWRITE_UNSAFE = /[;|&$`<>()\r\n]/;
 
 /**
  * Cygpath crash prevention rules
  * These patterns can crash the session via cygpath -u failures
+ *
+ * scope: 'word' tests the pattern against each shell word on its own
+ * (default: the whole command string)
  */
 export const cygpathRules = [
   {
     name: 'nested-quotes',
+    scope: 'word',
     pattern: /'[^']*'[^']*'/,
     reason: 'Path contains nested quotes (cygpath crash risk) - use Read/Glob tools instead'
   },
@@ -35,89 +96,902 @@ export const cygpathRules = [
  *
  * Each rule has:
  * - name: identifier for the rule
+ * - command: (optional) command names the rule applies to - detect/unless are then
+ *   tested against each matching simple command (wrappers like timeout included)
+ *   instead of the whole command string
  * - detect: regex that triggers the rule
  * - unless: regex that exempts from blocking (safe usage pattern)
  * - reason: message shown when blocked
+ * - rewrite: (optional, needs command) how to fix the command instead of blocking it
+ *   - { insert: '-n 200', after: 'command' | 'subcommand' | 'paths' } adds arguments
+ *     after the command name, its subcommand (git log) or its leading path operands (find)
+ *   - { prefix: 'timeout 60' } runs the command through a wrapper
  */
 export const safetyRules = [
   {
     name: 'dir-recursive',
+    command: ['dir', 'cmd'],
     detect: /dir.*\/s/i,
     unless: /\*\.|\.json|\.md|\.txt|\.sh|\.toml|\.xml|\.cs|\.js|\.ts|\.py/i,
     reason: 'dir /s without file pattern - use dir "path\\*.ext" /s or Glob tool'
   },
   {
     name: 'find-no-maxdepth',
+    command: ['find'],
     detect: /find.*(Users\/|\/c\/Users|\/home\/[^\/]+\/|\.claude)/i,
     unless: /-maxdepth|timeout/i,
-    reason: 'find on user directory without -maxdepth - add -maxdepth N or use Glob tool'
+    reason: 'find on user directory without -maxdepth - add -maxdepth N or use Glob tool',
+    rewrite: { insert: '-maxdepth 5', after: 'paths' }
   },
   {
     name: 'tree-no-depth',
+    command: ['tree'],
     detect: /tree.*(Users\/|\.claude|\/c\/Users|\/home)/i,
     unless: /-L\s+\d+|-l/i,
-    reason: 'tree without depth limit - add -L N or use ls'
+    reason: 'tree without depth limit - add -L N or use ls',
+    rewrite: { insert: '-L 3' }
   },
   {
     name: 'git-all-no-limit',
+    command: ['git'],
     detect: /git\s+(log|diff|show).*--all/i,
     unless: /-n\s+\d+|--max-count/i,
-    reason: 'git --all without limit - add -n N or --max-count=N'
+    reason: 'git --all without limit - add -n N or --max-count=N',
+    rewrite: { insert: '-n 200', after: 'subcommand' }
   }
 ];
 
 /**
- * Configuration constants
+ * Configuration defaults (override blocklist.maxPathLength in wclaude.json)
  */
 export const config = {
   maxPathLength: 260  // Windows MAX_PATH limit
 };
 
 /**
- * Validate a bash command against all blocking rules
- * @param {string} command - The bash command to validate
- * @returns {{ allowed: boolean, reason?: string }}
+ * Names of the built-in rules: user rules cannot reuse them, and only the
+ * user rule file can disable them
  */
-export function validateCommand(command) {
-  if (!command || typeof command !== 'string') {
-    return { allowed: true };
+const BUILT_IN_RULE_NAMES = [
+  'unbalanced-quotes',
+  ...cygpathRules.map(rule => rule.name),
+  'path-too-long',
+  ...safetyRules.map(rule => rule.name)
+];
+
+/**
+ * Regular expression flags a rule file may set (g and y would make test() stateful)
+ */
+const RULE_FLAGS = /^[imsu]*$/;
+
+/**
+ * Shell operators, longest first so "&&" wins over "&" and "<<<" over "<<"
+ * - separator: ends a pipeline (&&, ||, ;, &, newline, parentheses)
+ * - pipe: ends a simple command inside the same pipeline
+ * - redirect: the next word is a redirection target, not an argument
+ */
+const SHELL_OPERATORS = [
+  ['<<<', 'redirect'], ['<<-', 'redirect'], ['&>>', 'redirect'],
+  ['&&', 'separator'], ['||', 'separator'], [';;', 'separator'], ['|&', 'pipe'],
+  ['<<', 'redirect'], ['>>', 'redirect'], ['>&', 'redirect'], ['<&', 'redirect'],
+  ['&>', 'redirect'], ['>|', 'redirect'], ['<>', 'redirect'],
+  ['<', 'redirect'], ['>', 'redirect'], ['|', 'pipe'],
+  [';', 'separator'], ['&', 'separator'], ['(', 'separator'], [')', 'separator']
+];
+
+/**
+ * Commands that run another command (e.g. "timeout 30s find ...")
+ * The effective command name is the first word after the wrapper's options.
+ * - options: options that take a separate value
+ * - positional: arguments before the wrapped command (timeout's duration)
+ * - assignments: skip VAR=value words (env)
+ */
+const COMMAND_WRAPPERS = {
+  timeout: { options: ['-s', '--signal', '-k', '--kill-after'], positional: 1 },
+  nice: { options: ['-n', '--adjustment'] },
+  nohup: {},
+  time: {},
+  command: {},
+  exec: {},
+  builtin: {},
+  stdbuf: {},
+  env: { options: ['-u', '--unset', '-C', '--chdir'], assignments: true },
+  sudo: { options: ['-u', '-g', '-C', '-D', '-h', '-p', '-U'] },
+  xargs: { options: ['-I', '-n', '-P', '-d', '-L', '-s', '-E', '-a'] }
+};
+
+/**
+ * Where rewrite.insert can place its arguments
+ */
+const REWRITE_POSITIONS = ['command', 'subcommand', 'paths'];
+
+/**
+ * Options that take a value before a subcommand (git -C dir log, git -c key=value log)
+ */
+const SUBCOMMAND_VALUE_OPTIONS = ['-C', '-c'];
+
+/**
+ * Shells whose -c script is parsed as well
+ */
+const NESTED_SHELLS = ['bash', 'sh'];
+
+/**
+ * Reserved words that can come before a command ("if find ...", "do tree ...", "! find ...")
+ * They are skipped when they are unquoted (time is a wrapper, see COMMAND_WRAPPERS)
+ */
+const RESERVED_WORDS = ['!', '{', 'if', 'then', 'elif', 'else', 'while', 'until', 'do'];
+
+const ASSIGNMENT_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+/**
+ * Normalize a command word to a comparable name ("/usr/bin/Find.exe" -> "find")
+ * @param {string} word - Command word
+ * @returns {string}
+ */
+function commandBaseName(word) {
+  return word.split(/[\\/]/).pop().toLowerCase().replace(/\.exe$/, '');
+}
+
+/**
+ * Number of reserved words at the start of a simple command
+ * @param {object[]} words - Words of the simple command
+ * @returns {number}
+ */
+function reservedWordCount(words) {
+  let k = 0;
+  while (k < words.length && RESERVED_WORDS.includes(words[k].raw)) k++;
+  return k;
+}
+
+/**
+ * Find the effective command of a simple command, skipping reserved words,
+ * variable assignments and wrappers such as timeout, env or xargs
+ * @param {object[]} words - Words of the simple command
+ * @returns {{ name: string|null, index: number }} Command name and its word index
+ */
+function resolveCommandName(words) {
+  let k = reservedWordCount(words);
+  while (k < words.length && ASSIGNMENT_PATTERN.test(words[k].raw)) k++;
+
+  while (k < words.length) {
+    const name = commandBaseName(words[k].value);
+    const wrapper = COMMAND_WRAPPERS[name];
+    if (!wrapper) {
+      return { name, index: k };
+    }
+
+    k++;
+    while (k < words.length) {
+      const value = words[k].value;
+      if (value === '--') {
+        k++;
+        break;
+      }
+      if (wrapper.assignments && ASSIGNMENT_PATTERN.test(value)) {
+        k++;
+      } else if (value.startsWith('-') && value !== '-') {
+        k += wrapper.options?.includes(value) ? 2 : 1;
+      } else {
+        break;
+      }
+    }
+    k += wrapper.positional || 0;
   }
 
-  // Check unbalanced quotes (special case - count-based, not regex)
-  const singleQuoteCount = (command.match(/'/g) || []).length;
-  if (singleQuoteCount % 2 !== 0) {
-    return {
-      allowed: false,
-      reason: 'Command has unbalanced quotes (cygpath crash risk) - ensure quotes are paired'
-    };
+  return { name: null, index: words.length };
+}
+
+/**
+ * Split a bash command into pipelines, simple commands and words.
+ *
+ * Handles single quotes, double quotes, backslash escapes, $(...), ${...}
+ * and backtick substitutions (kept inside the word), redirections, heredocs
+ * (the body is not tokenized), comments and the &&, ||, ;, &, | operators.
+ * The -c script of bash/sh and the arguments of eval are parsed too (command.nested).
+ *
+ * @param {string} command - The bash command
+ * @returns {{
+ *   pipelines: Array<{ operator: string|null, commands: object[] }>,
+ *   commands: object[],
+ *   error: string|null
+ * }} Each simple command has:
+ *   - words: [{ value, raw, start, end, segments: [{ quote, text }] }] (value is unquoted)
+ *   - redirects: [{ operator, fd, start, target, heredoc? }]
+ *   - name / args: effective command name (lowercase, wrappers skipped) and its arguments
+ *   - text / start / end: source text of the simple command and its offsets
+ *   - nested / script: parsed bash -c / eval script, and { source, start, end } of its word(s)
+ *   error is set for unterminated quotes or substitutions, also inside a nested script.
+ */
+export function parseCommand(command) {
+  const src = String(command ?? '');
+  const len = src.length;
+  const result = { pipelines: [], commands: [], error: null };
+
+  let i = 0;
+  let pipeline = null;
+  let current = null;
+  let word = null;
+  let nextOperator = null;
+  let pendingRedirect = null;
+  const pendingHeredocs = [];
+
+  // Skip helpers return the index just past the closing character, or -1
+  const skipSingle = (j) => {
+    const close = src.indexOf("'", j + 1);
+    return close === -1 ? -1 : close + 1;
+  };
+  const skipBackticks = (j) => {
+    for (let k = j + 1; k < len; k++) {
+      if (src[k] === '\\') k++;
+      else if (src[k] === '`') return k + 1;
+    }
+    return -1;
+  };
+  const skipDouble = (j) => {
+    for (let k = j + 1; k < len; k++) {
+      const c = src[k];
+      if (c === '\\') {
+        k++;
+      } else if (c === '"') {
+        return k + 1;
+      } else if (c === '`' || (c === '$' && src[k + 1] === '(')) {
+        const end = c === '`' ? skipBackticks(k) : skipGroup(k + 1, '(', ')');
+        if (end === -1) return -1;
+        k = end - 1;
+      }
+    }
+    return -1;
+  };
+  const skipGroup = (j, open, close) => {
+    let depth = 0;
+    for (let k = j; k < len; k++) {
+      const c = src[k];
+      if (c === '\\') {
+        k++;
+      } else if (c === "'" || c === '"' || c === '`') {
+        const end = c === "'" ? skipSingle(k) : c === '"' ? skipDouble(k) : skipBackticks(k);
+        if (end === -1) return -1;
+        k = end - 1;
+      } else if (c === open) {
+        depth++;
+      } else if (c === close && --depth === 0) {
+        return k + 1;
+      }
+    }
+    return -1;
+  };
+
+  const ensureCommand = () => {
+    if (!pipeline) {
+      pipeline = { operator: nextOperator, commands: [] };
+      result.pipelines.push(pipeline);
+    }
+    if (!current) {
+      current = { words: [], redirects: [] };
+      pipeline.commands.push(current);
+      result.commands.push(current);
+    }
+  };
+  const ensureWord = () => {
+    if (!word) {
+      ensureCommand();
+      word = { value: '', raw: '', start: i, end: i, segments: [] };
+    }
+  };
+  const addText = (quote, text, value = text) => {
+    const last = word.segments[word.segments.length - 1];
+    if (quote === 'none' && last && last.quote === 'none') {
+      last.text += value;
+    } else {
+      word.segments.push({ quote, text: value });
+    }
+    word.value += value;
+  };
+  const finishWord = () => {
+    if (!word) return;
+    word.end = i;
+    word.raw = src.slice(word.start, i);
+    if (pendingRedirect) {
+      pendingRedirect.target = word;
+      if (pendingRedirect.operator === '<<' || pendingRedirect.operator === '<<-') {
+        pendingHeredocs.push({ redirect: pendingRedirect, delimiter: word.value, stripTabs: pendingRedirect.operator === '<<-' });
+      }
+      pendingRedirect = null;
+    } else {
+      current.words.push(word);
+    }
+    word = null;
+  };
+  const endCommand = () => {
+    finishWord();
+    pendingRedirect = null;
+    current = null;
+  };
+  const readHeredocs = () => {
+    while (pendingHeredocs.length) {
+      const { redirect, delimiter, stripTabs } = pendingHeredocs.shift();
+      const bodyStart = i;
+      redirect.heredoc = null;
+      while (i < len) {
+        const lineEnd = src.indexOf('\n', i) === -1 ? len : src.indexOf('\n', i);
+        let line = src.slice(i, lineEnd).replace(/\r$/, '');
+        if (stripTabs) line = line.replace(/^\t+/, '');
+        if (line === delimiter) {
+          redirect.heredoc = src.slice(bodyStart, i);
+          i = Math.min(lineEnd + 1, len);
+          break;
+        }
+        i = Math.min(lineEnd + 1, len);
+      }
+      if (redirect.heredoc === null) {
+        redirect.heredoc = src.slice(bodyStart);
+      }
+    }
+  };
+
+  while (i < len) {
+    const ch = src[i];
+
+    if (ch === ' ' || ch === '\t' || ch === '\r') {
+      finishWord();
+      i++;
+    } else if (ch === '\n') {
+      endCommand();
+      pipeline = null;
+      nextOperator = '\n';
+      i++;
+      readHeredocs();
+    } else if (ch === '#' && !word) {
+      while (i < len && src[i] !== '\n') i++;
+    } else if (ch === '\\') {
+      if (src[i + 1] === '\n') {
+        i += 2;  // Line continuation
+      } else {
+        ensureWord();
+        addText('none', src.slice(i, i + 2), src[i + 1] ?? '');
+        i += 2;
+      }
+    } else if (ch === "'") {
+      ensureWord();
+      const end = skipSingle(i);
+      if (end === -1) {
+        result.error = 'unterminated single quote';
+        break;
+      }
+      addText('single', src.slice(i + 1, end - 1));
+      i = end;
+    } else if (ch === '"') {
+      ensureWord();
+      const end = skipDouble(i);
+      if (end === -1) {
+        result.error = 'unterminated double quote';
+        break;
+      }
+      addText('double', src.slice(i + 1, end - 1).replace(/\\([\\"$`])/g, '$1').replace(/\\\n/g, ''));
+      i = end;
+    } else if (ch === '`' || (ch === '$' && (src[i + 1] === '(' || src[i + 1] === '{'))) {
+      ensureWord();
+      const end = ch === '`'
+        ? skipBackticks(i)
+        : skipGroup(i + 1, src[i + 1], src[i + 1] === '(' ? ')' : '}');
+      if (end === -1) {
+        result.error = ch === '`' ? 'unterminated backquote' : 'unterminated substitution';
+        break;
+      }
+      addText('none', src.slice(i, end));
+      i = end;
+    } else {
+      const match = SHELL_OPERATORS.find(([op]) => src.startsWith(op, i));
+      if (!match) {
+        ensureWord();
+        addText('none', ch);
+        i++;
+        continue;
+      }
+
+      const [operator, type] = match;
+      if (type === 'redirect') {
+        // "2>file": digits typed right before the operator are a file descriptor
+        let fd = null;
+        let start = i;
+        if (word && !pendingRedirect && /^\d+$/.test(src.slice(word.start, i))) {
+          fd = src.slice(word.start, i);
+          start = word.start;
+          word = null;
+        } else {
+          finishWord();
+        }
+        ensureCommand();
+        pendingRedirect = { operator, fd, start, target: null };
+        current.redirects.push(pendingRedirect);
+      } else {
+        endCommand();
+        if (type === 'separator') {
+          pipeline = null;
+          nextOperator = operator;
+        }
+      }
+      i += operator.length;
+    }
   }
 
-  // Check cygpath crash rules
+  if (!result.error) {
+    finishWord();
+  }
+
+  for (const cmd of result.commands) {
+    // The text starts after leading reserved words, so "do find ..." is tested as "find ..."
+    const words = cmd.words.slice(Math.min(reservedWordCount(cmd.words), cmd.words.length - 1));
+    const tokens = [...words, ...cmd.redirects.flatMap(r => [r, r.target].filter(Boolean))];
+    cmd.start = Math.min(...tokens.map(t => t.start));
+    cmd.end = Math.max(...tokens.map(t => t.end ?? t.start + t.operator.length));
+    cmd.text = src.slice(cmd.start, cmd.end);
+
+    const { name, index } = resolveCommandName(cmd.words);
+    cmd.name = name;
+    cmd.args = cmd.words.slice(index + 1).map(w => w.value);
+
+    // bash -c "script" / eval 'script': parse the script so rules see the commands inside it
+    // (Claude Code runs every Bash tool command as: ... && eval '<command>' < /dev/null && ...)
+    // script: the script source and the offsets of the word(s) holding it
+    const scriptIndex = cmd.args.indexOf('-c');
+    if (NESTED_SHELLS.includes(name) && scriptIndex !== -1 && cmd.args[scriptIndex + 1]) {
+      const scriptWord = cmd.words[index + scriptIndex + 2];
+      cmd.nested = parseCommand(scriptWord.value);
+      cmd.script = { source: scriptWord.value, start: scriptWord.start, end: scriptWord.end };
+    } else if (name === 'eval' && cmd.args.length > 0) {
+      const source = cmd.args.join(' ');
+      cmd.nested = parseCommand(source);
+      cmd.script = { source, start: cmd.words[index + 1].start, end: cmd.words[cmd.words.length - 1].end };
+    }
+    if (cmd.nested?.error && !result.error) {
+      result.error = `${cmd.nested.error} in ${name} script`;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Flatten a parsed command into all of its simple commands, including the
+ * commands of nested bash -c scripts
+ * @param {object} parsed - Result of parseCommand
+ * @returns {object[]} Simple commands
+ */
+function allCommands(parsed) {
+  return parsed.commands.flatMap(cmd => [cmd, ...(cmd.nested ? allCommands(cmd.nested) : [])]);
+}
+
+/**
+ * Compile a regex string from a rule file
+ * @param {string} source - Regular expression source
+ * @param {string} flags - Regular expression flags
+ * @param {string} field - Field name (for error messages)
+ * @returns {RegExp}
+ */
+function compilePattern(source, flags, field) {
+  if (typeof source !== 'string' || source === '') {
+    throw new Error(`"${field}" must be a non-empty regular expression string`);
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (e) {
+    throw new Error(`invalid "${field}" pattern (${e.message})`);
+  }
+}
+
+/**
+ * Validate a rewrite from a rule file
+ * @param {object} rewrite - { insert, after } or { prefix }
+ * @param {string[]|undefined} commands - The rule's command names (rewrites need one)
+ * @returns {object} The rewrite
+ */
+function compileRewrite(rewrite, commands) {
+  if (!commands) {
+    throw new Error('"rewrite" requires "command"');
+  }
+  if (!rewrite || typeof rewrite !== 'object' || Array.isArray(rewrite)) {
+    throw new Error('"rewrite" must be an object');
+  }
+
+  const { insert, after = 'command', prefix } = rewrite;
+  if ((insert === undefined) === (prefix === undefined)) {
+    throw new Error('"rewrite" needs exactly one of "insert" or "prefix"');
+  }
+  for (const [field, value] of [['insert', insert], ['prefix', prefix]]) {
+    if (value !== undefined && (typeof value !== 'string' || value.trim() === '')) {
+      throw new Error(`"rewrite.${field}" must be a non-empty string`);
+    }
+    if (value !== undefined && REWRITE_UNSAFE.test(value)) {
+      throw new Error(`"rewrite.${field}" must not contain shell operators (; | & $ \` < > ( ) or newlines)`);
+    }
+  }
+  if (!REWRITE_POSITIONS.includes(after)) {
+    throw new Error(`"rewrite.after" must be one of: ${REWRITE_POSITIONS.join(', ')}`);
+  }
+
+  return prefix !== undefined ? { prefix } : { insert, after };
+}
+
+/**
+ * Validate and compile the rules from a parsed rule file
+ * Invalid rules are skipped and reported in errors; valid rules still load.
+ * @param {object} data - Parsed rule file ({ rules: [...], disable: [...] })
+ * @param {string} [source] - Where the rules came from (for error messages)
+ * @param {object} [options]
+ * @param {boolean} [options.project] - A project rule file: no rewrites, and built-in
+ *   rules cannot be disabled
+ * @returns {{ rules: object[], disable: string[], errors: string[] }}
+ */
+export function compileRules(data, source = 'rules', { project = false } = {}) {
+  const result = { rules: [], disable: [], errors: [] };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    result.errors.push(`${source}: rule file must be a JSON object`);
+    return result;
+  }
+
+  if (data.disable !== undefined) {
+    if (Array.isArray(data.disable) && data.disable.every(name => typeof name === 'string')) {
+      result.disable = data.disable.filter(name => {
+        if (!project || !BUILT_IN_RULE_NAMES.includes(name)) return true;
+        result.errors.push(`${source}: built-in rule "${name}" can only be disabled in the user rule file (${USER_RULES_PATH})`);
+        return false;
+      });
+    } else {
+      result.errors.push(`${source}: "disable" must be an array of rule names`);
+    }
+  }
+
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    result.errors.push(`${source}: "rules" must be an array`);
+    return result;
+  }
+
+  const seen = new Set();
+  (data.rules || []).forEach((rule, index) => {
+    const label = rule?.name ? `rule "${rule.name}"` : `rule #${index + 1}`;
+    try {
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error('must be an object');
+      }
+      if (typeof rule.name !== 'string' || rule.name === '') {
+        throw new Error('"name" is required');
+      }
+      if (seen.has(rule.name)) {
+        throw new Error('duplicate name');
+      }
+      if (BUILT_IN_RULE_NAMES.includes(rule.name)) {
+        throw new Error('name is taken by a built-in rule');
+      }
+      if (typeof rule.reason !== 'string' || rule.reason === '') {
+        throw new Error('"reason" is required');
+      }
+      const commands = rule.command === undefined ? undefined : [].concat(rule.command);
+      if (commands && (commands.length === 0 || commands.some(c => typeof c !== 'string' || c === ''))) {
+        throw new Error('"command" must be a command name or array of command names');
+      }
+      if (rule.rewrite !== undefined && project) {
+        throw new Error(`"rewrite" is only allowed in the user rule file (${USER_RULES_PATH})`);
+      }
+      const flags = rule.flags ?? 'i';
+      if (typeof flags !== 'string' || !RULE_FLAGS.test(flags)) {
+        throw new Error('"flags" may only contain i, m, s and u');
+      }
+      result.rules.push({
+        name: rule.name,
+        command: commands?.map(commandBaseName),
+        detect: compilePattern(rule.detect, flags, 'detect'),
+        unless: rule.unless === undefined ? null : compilePattern(rule.unless, flags, 'unless'),
+        reason: rule.reason,
+        rewrite: rule.rewrite === undefined ? undefined : compileRewrite(rule.rewrite, commands),
+        source
+      });
+      seen.add(rule.name);
+    } catch (e) {
+      result.errors.push(`${source}: ${label}: ${e.message}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Load and compile a rule file
+ * A missing file is not an error - it just contributes no rules.
+ * @param {string} filePath - Rule file path
+ * @param {object} [options] - compileRules options ({ project: true } for project rule files)
+ * @returns {{ rules: object[], disable: string[], errors: string[] }}
+ */
+export function loadRuleFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    return { rules: [], disable: [], errors: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return { rules: [], disable: [], errors: [`${filePath}: could not parse rule file (${e.message})`] };
+  }
+
+  return compileRules(data, filePath, options);
+}
+
+/**
+ * Find the nearest project rule file, walking up from a directory
+ * @param {string} cwd - Directory to start from
+ * @returns {string|null} Path to .wclaude/rules.json, or null if there is none
+ */
+export function findProjectRules(cwd) {
+  if (!cwd) return null;
+
+  let dir = path.resolve(cwd);
+  while (true) {
+    const candidate = path.join(dir, PROJECT_RULES_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Combine compiled rule files (user first, then project) into validateCommand options
+ * @param {...{ rules: object[], disable: string[], errors: string[] }} ruleSets - Compiled rule files
+ * @returns {{ rules: object[], disable: string[], errors: string[] }}
+ */
+export function mergeRules(...ruleSets) {
+  return {
+    rules: ruleSets.flatMap(set => set.rules),
+    disable: [...new Set(ruleSets.flatMap(set => set.disable))],
+    errors: ruleSets.flatMap(set => set.errors)
+  };
+}
+
+/**
+ * Check whether a rule fires on a simple command (or on the whole command
+ * line, for rules without a command name)
+ * @param {object} rule - Safety or user rule
+ * @param {string} text - Command text to test
+ * @returns {boolean}
+ */
+function ruleMatches(rule, text) {
+  return rule.detect.test(text) && !(rule.unless && rule.unless.test(text));
+}
+
+/**
+ * Evaluate every rule against a command, in validation order
+ * @param {string} command - The bash command
+ * @param {object} parsed - parseCommand(command)
+ * @param {object} options
+ * @param {object[]} options.rules - Extra compiled rules
+ * @param {function(string): boolean} options.enabled - Whether a rule name is enabled
+ * @param {number} options.maxPathLength - Longest path allowed
+ * @returns {object[]} One check per rule:
+ *   { name, type, source, enabled, reason, fired, matches: [{ text, detect?, unless? }] }
+ *   type: 'syntax' | 'cygpath' | 'path-length' | 'safety'. matches: the texts the rule
+ *   was tested against (safety rules) or the texts that triggered it (other rules).
+ */
+function evaluateRules(command, parsed, { rules, enabled, maxPathLength }) {
+  const checks = [];
+  const add = (rule, type, matches, fired) => checks.push({
+    name: rule.name,
+    type,
+    source: rule.source || 'built-in',
+    enabled: enabled(rule.name),
+    reason: rule.reason,
+    fired: fired && enabled(rule.name),
+    matches
+  });
+
+  // Unterminated quotes/substitutions (cygpath crash risk and a shell syntax error)
+  add({
+    name: 'unbalanced-quotes',
+    reason: 'Command has unbalanced quotes (cygpath crash risk) - ensure quotes are paired'
+  }, 'syntax', parsed.error ? [{ text: parsed.error }] : [], Boolean(parsed.error));
+
+  const commands = allCommands(parsed);
+  const words = commands.flatMap(cmd => [
+    ...cmd.words,
+    ...cmd.redirects.map(r => r.target).filter(Boolean)
+  ]);
+
+  // Cygpath crash rules
   for (const rule of cygpathRules) {
-    if (rule.pattern.test(command)) {
-      return { allowed: false, reason: rule.reason };
+    const matches = rule.scope === 'word'
+      ? words.filter(word => rule.pattern.test(word.raw)).map(word => ({ text: word.raw }))
+      : (rule.pattern.test(command) ? [{ text: command }] : []);
+    add(rule, 'cygpath', matches, matches.length > 0);
+  }
+
+  // Path length (Windows MAX_PATH limit)
+  const longPaths = words
+    .flatMap(word => word.value.match(/[A-Za-z]:\\[^ ]+|\/[^ ]+/g) || [])
+    .filter(p => p.length > maxPathLength)
+    .map(p => ({ text: p }));
+  add({
+    name: 'path-too-long',
+    reason: `Path exceeds ${maxPathLength} characters (cygpath crash risk) - use shorter paths`
+  }, 'path-length', longPaths, longPaths.length > 0);
+
+  // Safety rules (detect + unless pattern), then user/project rules
+  for (const rule of [...safetyRules, ...rules]) {
+    const texts = rule.command
+      ? commands.filter(cmd => rule.command.includes(cmd.name)).map(cmd => cmd.text)
+      : [command];
+    const matches = texts.map(text => ({
+      text,
+      detect: rule.detect.test(text),
+      unless: Boolean(rule.unless && rule.unless.test(text))
+    }));
+    add(rule, 'safety', matches, matches.some(m => m.detect && !m.unless));
+  }
+
+  return checks;
+}
+
+/**
+ * Find the first rule a command breaks
+ * @param {string} command - The bash command
+ * @param {object} parsed - parseCommand(command)
+ * @param {object} options - See evaluateRules
+ * @returns {{ reason: string, rule: string }|null}
+ */
+function findViolation(command, parsed, options) {
+  const check = evaluateRules(command, parsed, options).find(check => check.fired);
+  return check ? { reason: check.reason, rule: check.name } : null;
+}
+
+/**
+ * Quote a string as a single bash word
+ * @param {string} value - String to quote
+ * @returns {string} Single-quoted word (embedded ' become '\'')
+ */
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Apply a rule's rewrite to one simple command
+ * @param {object} cmd - Simple command from parseCommand
+ * @param {object} rewrite - { insert, after } or { prefix }
+ * @returns {string} New text for the simple command
+ */
+function rewriteSimpleCommand(cmd, rewrite) {
+  const { index } = resolveCommandName(cmd.words);
+  const nameWord = cmd.words[index];
+  const at = (offset, text) =>
+    cmd.text.slice(0, offset - cmd.start) + text + cmd.text.slice(offset - cmd.start);
+
+  if (rewrite.prefix) {
+    return at(nameWord.start, `${rewrite.prefix} `);
+  }
+
+  // Index of the word the inserted arguments follow
+  let k = index;
+  const args = cmd.words.slice(index + 1);
+  if (rewrite.after === 'subcommand') {
+    for (let j = 0; j < args.length; j++) {
+      if (SUBCOMMAND_VALUE_OPTIONS.includes(args[j].value)) {
+        j++;
+      } else if (!args[j].value.startsWith('-')) {
+        k = index + 1 + j;
+        break;
+      }
     }
+  } else if (rewrite.after === 'paths') {
+    // find [-H|-L|-P] path... expression
+    let j = 0;
+    while (j < args.length && /^-[HLP]$/.test(args[j].value)) j++;
+    while (j < args.length && !/^[-(!]/.test(args[j].value)) j++;
+    k = index + j;
   }
 
-  // Check path length (Windows MAX_PATH limit)
-  const pathMatches = command.match(/[A-Za-z]:\\[^ ]+|\/[^ ]+/g) || [];
-  for (const p of pathMatches) {
-    if (p.length > config.maxPathLength) {
-      return {
-        allowed: false,
-        reason: 'Path exceeds 260 characters (cygpath crash risk) - use shorter paths'
-      };
+  return at(cmd.words[k].end, ` ${rewrite.insert}`);
+}
+
+/**
+ * Rewrite every simple command that breaks a rule with a rewrite,
+ * including commands inside bash -c / eval scripts (which are re-quoted)
+ * @param {string} command - Command source
+ * @param {object} parsed - parseCommand(command)
+ * @param {object[]} rules - Enabled rules that have a rewrite
+ * @param {object[]} applied - Collects { rule, reason, from, to } for each rewrite
+ * @returns {string} Rewritten command
+ */
+function applyRewrites(command, parsed, rules, applied) {
+  const edits = [];
+
+  for (const cmd of parsed.commands) {
+    if (cmd.nested) {
+      const rewritten = applyRewrites(cmd.script.source, cmd.nested, rules, applied);
+      if (rewritten !== cmd.script.source) {
+        edits.push({ start: cmd.script.start, end: cmd.script.end, text: shellQuote(rewritten) });
+      }
+      continue;
+    }
+
+    const rule = rules.find(rule => rule.command.includes(cmd.name) && ruleMatches(rule, cmd.text));
+    if (rule) {
+      const text = rewriteSimpleCommand(cmd, rule.rewrite);
+      applied.push({ rule: rule.name, reason: rule.reason, from: cmd.text, to: text });
+      edits.push({ start: cmd.start, end: cmd.end, text });
     }
   }
 
-  // Check safety rules (detect + unless pattern)
-  for (const rule of safetyRules) {
-    if (rule.detect.test(command) && !rule.unless.test(command)) {
-      return { allowed: false, reason: rule.reason };
+  // Apply from the end so earlier offsets stay valid
+  return edits
+    .sort((a, b) => b.start - a.start)
+    .reduce((src, edit) => src.slice(0, edit.start) + edit.text + src.slice(edit.end), command);
+}
+
+/**
+ * Validate a bash command against all blocking rules
+ * @param {string} command - The bash command to validate
+ * @param {object} [options]
+ * @param {object[]} [options.rules] - Extra compiled rules (from rule files), checked after the built-in rules
+ * @param {string[]} [options.disable] - Names of rules to skip (built-in or extra)
+ * @param {boolean} [options.rewrite] - Fix commands with rule rewrites instead of blocking them
+ * @param {number} [options.maxPathLength] - Longest path allowed (default config.maxPathLength)
+ * @returns {{ allowed: boolean, reason?: string, rule?: string, command?: string, rewrites?: object[] }}
+ *   rule: name of the rule that blocked the command.
+ *   When a rewrite fixed the command: allowed, command (the command to run instead)
+ *   and rewrites ([{ rule, reason, from, to }]).
+ */
+export function validateCommand(command, {
+  rules = [],
+  disable = [],
+  rewrite = false,
+  maxPathLength = config.maxPathLength
+} = {}) {
+  if (!command || typeof command !== 'string') {
+    return { allowed: true };
+  }
+
+  const options = { rules, enabled: name => !disable.includes(name), maxPathLength };
+  const parsed = parseCommand(command);
+  const violation = findViolation(command, parsed, options);
+  if (!violation) {
+    return { allowed: true };
+  }
+
+  if (rewrite && !parsed.error) {
+    const rewriteRules = [...safetyRules, ...rules].filter(rule => rule.rewrite && rule.command && options.enabled(rule.name));
+    const rewrites = [];
+    const fixed = applyRewrites(command, parsed, rewriteRules, rewrites);
+    // Only run the rewrite if it passes every rule
+    if (rewrites.length > 0 && !findViolation(fixed, parseCommand(fixed), options)) {
+      return { allowed: true, command: fixed, rewrites };
     }
   }
 
-  return { allowed: true };
+  return { allowed: false, ...violation };
+}
+
+/**
+ * Explain how a command is validated: every rule evaluated, which
+ * detect/unless patterns matched, and the final verdict
+ * @param {string} command - The bash command
+ * @param {object} [options] - Same options as validateCommand
+ * @returns {{ command: string, commands: object[], error: string|null, checks: object[], verdict: object }}
+ *   commands: [{ name, text }] simple commands (including nested scripts);
+ *   checks: see evaluateRules; verdict: validateCommand(command, options)
+ */
+export function explainCommand(command, options = {}) {
+  const { rules = [], disable = [], maxPathLength = config.maxPathLength } = options;
+  const parsed = parseCommand(command);
+  return {
+    command,
+    commands: allCommands(parsed).map(cmd => ({ name: cmd.name, text: cmd.text })),
+    error: parsed.error,
+    checks: evaluateRules(command, parsed, { rules, enabled: name => !disable.includes(name), maxPathLength }),
+    verdict: validateCommand(command, options)
+  };
 }
 
 // For backward compatibility with runner.js
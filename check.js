@@ -0,0 +1,449 @@
+// check.js - `wclaude check-command` and `wclaude rules`: blocklist rule tooling
+//
+//   wclaude check-command "find /c/Users/me -name x"
+//     Prints every rule evaluated, which detect/unless patterns matched
+//     and the final verdict (exit code 1 if the command is blocked).
+//
+//   wclaude check-command --file commands.txt
+//     Checks a batch of commands and reports false-positive candidates
+//     (blocked, but expected to run) and false-negative candidates
+//     (allowed, but expected to be blocked). The file can contain:
+//     - one command per line (# starts a comment) - no expectation
+//     - JSON lines: { "command": "...", "expect": "allow" | "block" }
+//     - Claude Code transcripts (~/.claude/projects/<project>/<session>.jsonl):
+//       a Bash command that completed is expected to be allowed, one that
+//       timed out or was interrupted is expected to be blocked
+//
+//   wclaude rules
+//     Lists the built-in, user and project rules in effect.
+//
+// Options: --json (machine-readable output), --cwd <dir> (project whose
+// .wclaude/rules.json applies, default: current directory).
+// User and project rule files (and the blocklist config settings) are
+// applied the same way as in the spawn hook.
+
+import fs from 'fs';
+import path from 'path';
+import {
+  cygpathRules,
+  safetyRules,
+  explainCommand,
+  validateCommand,
+  loadRuleFile,
+  findProjectRules,
+  mergeRules,
+  USER_RULES_PATH
+} from './blocklist.js';
+import { loadConfig, USER_CONFIG_PATH } from './config.js';
+
+/**
+ * Tool results that mean a command hung (it should have been blocked)
+ */
+const HUNG_RESULT_PATTERN = /Command timed out|\[watchdog\]|Interrupted by user|\[Request interrupted/i;
+
+/**
+ * Usage text
+ */
+export const CHECK_USAGE = `Usage: wclaude check-command [options] "<command>"
+       wclaude check-command [options] --file <path>
+
+Options:
+  --file <path>  Check a batch of commands (plain lines, JSON lines or a Claude Code transcript)
+  --cwd <dir>    Apply the project rules for this directory (default: current directory)
+  --json         Print JSON instead of text`;
+
+/**
+ * Parse check-command arguments
+ * @param {string[]} argv - Arguments after "check-command"
+ * @returns {{ command: string|null, file: string|null, cwd: string|null, json: boolean, error: string|null }}
+ */
+export function parseCheckArgs(argv) {
+  const result = { command: null, file: null, cwd: null, json: false, error: null };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      result.json = true;
+    } else if (arg === '--file' || arg === '--cwd') {
+      if (argv[i + 1] === undefined) {
+        result.error = `${arg} needs a value`;
+        return result;
+      }
+      result[arg.slice(2)] = argv[++i];
+    } else if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  // Unquoted commands arrive as several arguments
+  if (positional.length > 0) {
+    result.command = positional.join(' ');
+  }
+  if (!result.command && !result.file) {
+    result.error = 'a command or --file is required';
+  } else if (result.command && result.file) {
+    result.error = 'use either a command or --file, not both';
+  }
+  return result;
+}
+
+/**
+ * Load the user and project rule files for a directory
+ * @param {string} cwd - Directory whose project rules apply
+ * @param {string} [userRulesPath] - User rule file (default ~/.claude/wclaude-rules.json)
+ * @returns {{ rules: object[], disable: string[], errors: string[] }}
+ */
+export function loadRulesFor(cwd, userRulesPath = USER_RULES_PATH) {
+  const ruleSets = [loadRuleFile(userRulesPath)];
+  const projectRulesPath = findProjectRules(cwd);
+  if (projectRulesPath) {
+    ruleSets.push(loadRuleFile(projectRulesPath, { project: true }));
+  }
+  return mergeRules(...ruleSets);
+}
+
+/**
+ * Get the text of a transcript message content (string or content blocks)
+ * @param {string|object[]} content - tool_result content
+ * @returns {string}
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => (typeof block === 'string' ? block : block?.text || '')).join('\n');
+}
+
+/**
+ * Parse a batch of commands
+ * @param {string} text - File contents
+ * @param {string} [name] - File name (for origins)
+ * @returns {Array<{ command: string, expect: string|null, origin: string }>}
+ *   expect: 'allow', 'block' or null (no expectation)
+ */
+export function parseCommandBatch(text, name = 'input') {
+  const entries = [];
+  const toolUses = new Map();  // transcript tool_use id -> entry
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const origin = `${name}:${index + 1}`;
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    if (!trimmed.startsWith('{')) {
+      entries.push({ command: trimmed, expect: null, origin });
+      return;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(trimmed);
+    } catch (e) {
+      entries.push({ command: trimmed, expect: null, origin });
+      return;
+    }
+
+    if (typeof record.command === 'string') {
+      const expect = ['allow', 'block'].includes(record.expect) ? record.expect : null;
+      entries.push({ command: record.command, expect, origin });
+      return;
+    }
+
+    // Claude Code transcript: assistant tool_use blocks and user tool_result blocks
+    const content = record.message?.content;
+    if (!Array.isArray(content)) return;
+    for (const block of content) {
+      if (block?.type === 'tool_use' && block.name === 'Bash' && typeof block.input?.command === 'string') {
+        const entry = { command: block.input.command, expect: null, origin };
+        toolUses.set(block.id, entry);
+        entries.push(entry);
+      } else if (block?.type === 'tool_result' && toolUses.has(block.tool_use_id)) {
+        const entry = toolUses.get(block.tool_use_id);
+        const output = contentText(block.content);
+        if (HUNG_RESULT_PATTERN.test(output)) {
+          entry.expect = 'block';
+        } else if (!block.is_error) {
+          entry.expect = 'allow';
+        }
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Check a batch of commands against the rules
+ * @param {object[]} entries - From parseCommandBatch
+ * @param {object} options - validateCommand options
+ * @returns {{ results: object[], falsePositives: object[], falseNegatives: object[],
+ *   counts: { total: number, allowed: number, rewritten: number, blocked: number } }}
+ */
+export function checkBatch(entries, options) {
+  const results = entries.map(entry => ({ ...entry, verdict: validateCommand(entry.command, options) }));
+
+  return {
+    results,
+    falsePositives: results.filter(r => r.expect === 'allow' && !r.verdict.allowed),
+    falseNegatives: results.filter(r => r.expect === 'block' && r.verdict.allowed),
+    counts: {
+      total: results.length,
+      allowed: results.filter(r => r.verdict.allowed && !r.verdict.rewrites).length,
+      rewritten: results.filter(r => r.verdict.rewrites).length,
+      blocked: results.filter(r => !r.verdict.allowed).length
+    }
+  };
+}
+
+/**
+ * One-word status of a rule check
+ * @param {object} check - From explainCommand
+ * @returns {string}
+ */
+function checkStatus(check) {
+  if (!check.enabled) return 'off';
+  if (check.fired) return 'BLOCK';
+  if (check.type === 'safety') {
+    if (check.matches.length === 0) return 'skip';
+    if (check.matches.some(m => m.detect)) return 'exempt';
+  }
+  return 'pass';
+}
+
+/**
+ * Format a verdict line
+ * @param {object} verdict - validateCommand result
+ * @returns {string}
+ */
+function formatVerdict(verdict) {
+  if (!verdict.allowed) {
+    return `BLOCKED by ${verdict.rule} - ${verdict.reason}`;
+  }
+  if (verdict.rewrites) {
+    return `REWRITTEN (${verdict.rewrites.map(r => r.rule).join(', ')}) - runs: ${verdict.command}`;
+  }
+  return 'ALLOWED';
+}
+
+/**
+ * Format an explanation as text
+ * @param {object} explanation - From explainCommand
+ * @returns {string}
+ */
+export function formatExplanation(explanation) {
+  const lines = [`Command: ${explanation.command}`, ''];
+
+  lines.push('Parsed:');
+  if (explanation.error) {
+    lines.push(`  (parse error: ${explanation.error})`);
+  }
+  for (const cmd of explanation.commands) {
+    lines.push(`  ${(cmd.name || '-').padEnd(12)} ${cmd.text}`);
+  }
+  lines.push('');
+
+  lines.push('Rules:');
+  const width = Math.max(...explanation.checks.map(c => c.name.length));
+  for (const check of explanation.checks) {
+    const source = check.source === 'built-in' ? '' : `  [${check.source}]`;
+    lines.push(`  ${checkStatus(check).padEnd(6)} ${check.name.padEnd(width)}  ${check.type}${source}`);
+    for (const match of check.matches) {
+      const patterns = check.type === 'safety'
+        ? `detect:${match.detect ? 'yes' : 'no'} unless:${match.unless ? 'yes' : 'no'}  `
+        : '';
+      lines.push(`         ${patterns}${match.text}`);
+    }
+  }
+  lines.push('');
+
+  lines.push(`Verdict: ${formatVerdict(explanation.verdict)}`);
+  return lines.join('\n');
+}
+
+/**
+ * Format a batch report as text
+ * @param {object} report - From checkBatch
+ * @returns {string}
+ */
+export function formatBatchReport(report) {
+  const { counts } = report;
+  const lines = [
+    `Checked ${counts.total} command(s): ${counts.allowed} allowed, ${counts.rewritten} rewritten, ${counts.blocked} blocked`
+  ];
+
+  const list = (title, results) => {
+    lines.push('', `${title}: ${results.length}`);
+    for (const r of results) {
+      lines.push(`  ${r.origin}  ${r.verdict.rule || '-'}`);
+      lines.push(`    ${r.command.split('\n')[0]}${r.command.includes('\n') ? ' ...' : ''}`);
+    }
+  };
+  list('False-positive candidates (blocked, expected to run)', report.falsePositives);
+  list('False-negative candidates (allowed, expected to be blocked)', report.falseNegatives);
+
+  return lines.join('\n');
+}
+
+/**
+ * Run `wclaude check-command`
+ * @param {string[]} argv - Arguments after "check-command"
+ * @param {object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @param {object} [io.env] - Environment (for WCLAUDE_* config variables)
+ * @param {string} [io.userRulesPath] - User rule file
+ * @param {string} [io.userConfigPath] - User config file
+ * @returns {number} Exit code: 0 allowed / no candidates, 1 blocked / candidates found, 2 usage error
+ */
+export function runCheckCommand(argv, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n'),
+  env = process.env,
+  userRulesPath = USER_RULES_PATH,
+  userConfigPath = USER_CONFIG_PATH
+} = {}) {
+  const args = parseCheckArgs(argv);
+  if (args.error) {
+    err(`wclaude check-command: ${args.error}`);
+    err(CHECK_USAGE);
+    return 2;
+  }
+
+  const cwd = path.resolve(args.cwd || process.cwd());
+  const ruleSet = loadRulesFor(cwd, userRulesPath);
+  for (const error of ruleSet.errors) {
+    err(`[wclaude] Skipped rule: ${error}`);
+  }
+  const { blocklist } = loadConfig({ cwd, env, userPath: userConfigPath }).values;
+  const options = {
+    rules: ruleSet.rules,
+    disable: ruleSet.disable,
+    rewrite: blocklist.rewrite,
+    maxPathLength: blocklist.maxPathLength
+  };
+
+  if (args.command) {
+    const explanation = explainCommand(args.command, options);
+    out(args.json ? JSON.stringify(explanation, null, 2) : formatExplanation(explanation));
+    return explanation.verdict.allowed ? 0 : 1;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(args.file, 'utf8');
+  } catch (e) {
+    err(`wclaude check-command: cannot read ${args.file} (${e.message})`);
+    return 2;
+  }
+
+  const report = checkBatch(parseCommandBatch(text, path.basename(args.file)), options);
+  out(args.json ? JSON.stringify(report, null, 2) : formatBatchReport(report));
+  return report.falsePositives.length + report.falseNegatives.length > 0 ? 1 : 0;
+}
+
+/**
+ * Usage text for `wclaude rules`
+ */
+export const RULES_USAGE = `Usage: wclaude rules [--cwd <dir>] [--json]`;
+
+/**
+ * Describe a rule for listing
+ * @param {object} rule - Built-in or compiled rule
+ * @param {string} source - 'built-in' or the rule file path
+ * @param {string[]} disable - Disabled rule names
+ * @returns {object} { name, source, enabled, scope, detect, unless, rewrite, reason }
+ */
+function describeRule(rule, source, disable) {
+  const pattern = rule.pattern || rule.detect;
+  return {
+    name: rule.name,
+    source,
+    enabled: !disable.includes(rule.name),
+    scope: rule.command ? rule.command.join(', ') : (rule.scope === 'word' ? 'each word' : 'whole command'),
+    detect: pattern ? pattern.source : null,
+    unless: rule.unless ? rule.unless.source : null,
+    rewrite: rule.rewrite || null,
+    reason: rule.reason
+  };
+}
+
+/**
+ * Run `wclaude rules`: list the rules in effect for a directory
+ * @param {string[]} argv - Arguments after "rules"
+ * @param {object} [io] - Same as runCheckCommand
+ * @returns {number} Exit code: 0, 1 if a rule file has errors, 2 usage error
+ */
+export function runRulesCommand(argv, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n'),
+  env = process.env,
+  userRulesPath = USER_RULES_PATH,
+  userConfigPath = USER_CONFIG_PATH
+} = {}) {
+  let cwd = process.cwd();
+  let json = false;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      json = true;
+    } else if (argv[i] === '--cwd' && argv[i + 1] !== undefined) {
+      cwd = argv[++i];
+    } else {
+      err(`wclaude rules: unexpected argument ${argv[i]}`);
+      err(RULES_USAGE);
+      return 2;
+    }
+  }
+
+  const files = [{ path: userRulesPath, label: 'User rules', options: {} }];
+  const projectRulesPath = findProjectRules(path.resolve(cwd));
+  if (projectRulesPath) {
+    files.push({ path: projectRulesPath, label: 'Project rules', options: { project: true } });
+  }
+  const loaded = files.map(file => ({ ...file, ...loadRuleFile(file.path, file.options) }));
+  const { disable, errors } = mergeRules(...loaded);
+  const { maxPathLength } = loadConfig({ cwd: path.resolve(cwd), env, userPath: userConfigPath }).values.blocklist;
+
+  const groups = [
+    {
+      label: 'Built-in rules',
+      rules: [
+        ...cygpathRules,
+        { name: 'unbalanced-quotes', reason: 'Command has unbalanced quotes' },
+        { name: 'path-too-long', reason: `Path exceeds ${maxPathLength} characters` },
+        ...safetyRules
+      ].map(rule => describeRule(rule, 'built-in', disable))
+    },
+    ...loaded.map(file => ({
+      label: `${file.label} (${file.path})`,
+      rules: file.rules.map(rule => describeRule(rule, file.path, disable))
+    }))
+  ];
+
+  if (json) {
+    out(JSON.stringify({ rules: groups.flatMap(g => g.rules), disable, errors }, null, 2));
+    return errors.length > 0 ? 1 : 0;
+  }
+
+  const width = Math.max(...groups.flatMap(g => g.rules.map(r => r.name.length)));
+  const lines = [];
+  for (const group of groups) {
+    lines.push(`${group.label}:`);
+    if (group.rules.length === 0) {
+      lines.push('  (none)');
+    }
+    for (const rule of group.rules) {
+      const state = rule.enabled ? '' : ' [disabled]';
+      lines.push(`  ${rule.name.padEnd(width)}  ${rule.scope}${state}`);
+      lines.push(`  ${''.padEnd(width)}  ${rule.reason}`);
+    }
+    lines.push('');
+  }
+  if (errors.length > 0) {
+    lines.push('Errors:', ...errors.map(error => `  ${error}`));
+  }
+  out(lines.join('\n').trimEnd());
+  return errors.length > 0 ? 1 : 0;
+}
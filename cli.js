@@ -0,0 +1,204 @@
+// cli.js - wclaude command line: wrapper commands and --wc-* options
+//
+//   wclaude [wrapper options] [Claude Code options and arguments]
+//   wclaude <command> [arguments]
+//
+// Wrapper options are namespaced (--wc-*) so they never collide with
+// Claude Code's own flags; they are removed before Claude Code starts.
+// A wrapper command is only recognized as the first argument. Everything
+// else is passed to Claude Code untouched, and "wclaude -- <args>" passes
+// all arguments through (e.g. "wclaude -- doctor" runs Claude Code's doctor).
+//
+// To add a command: add an entry to WRAPPER_COMMANDS with a summary and a
+// run(args) function that returns an exit code (or a promise of one).
+
+import fs from 'fs';
+import { runCheckCommand, runRulesCommand } from './check.js';
+import { runDoctorCommand } from './doctor.js';
+import { runConfigCommand } from './config.js';
+import { runVaultCommand } from './vault.js';
+import { runLogsCommand } from './logs.js';
+
+/**
+ * wclaude version (from package.json)
+ */
+export const WCLAUDE_VERSION = (() => {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
+  } catch (e) {
+    return 'unknown';
+  }
+})();
+
+/**
+ * Wrapper-owned commands
+ * run(args) gets the arguments after the command name and returns an exit code
+ */
+export const WRAPPER_COMMANDS = {
+  'check-command': {
+    summary: 'Explain how the blocklist treats a command (--file: batch-test rules)',
+    run: args => runCheckCommand(args)
+  },
+  rules: {
+    summary: 'List the blocklist rules in effect (built-in, user, project)',
+    run: args => runRulesCommand(args)
+  },
+  config: {
+    summary: 'Show the effective configuration and where each value comes from',
+    run: args => runConfigCommand(args)
+  },
+  vault: {
+    summary: 'List, set or remove tokens in the encrypted secrets vault',
+    run: args => runVaultCommand(args)
+  },
+  logs: {
+    summary: 'Show session logs: filter by tag, level or time, --follow to tail',
+    run: args => runLogsCommand(args)
+  },
+  doctor: {
+    summary: 'Check Git Bash, npm, Claude Code, PowerShell and more (--json for scripts)',
+    run: args => runDoctorCommand(args)
+  }
+};
+
+/**
+ * Wrapper options
+ * - key: parseArgs result field set to true
+ * - aliases: older spellings that are still accepted
+ * - exit: handled by wclaude without starting Claude Code
+ */
+export const WRAPPER_OPTIONS = [
+  { flag: '--wc-debug', key: 'debug', aliases: ['--windebug'], description: 'Write debug records to the session log in ~/.claude/wclaude-logs' },
+  { flag: '--wc-help', key: 'help', exit: true, description: 'Show this help and exit' },
+  { flag: '--wc-version', key: 'version', exit: true, description: 'Show the wclaude version and exit' }
+];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - process.argv array
+ * @returns {{
+ *   debug: boolean, help: boolean, version: boolean,
+ *   command: string|null, commandArgs: string[],
+ *   claudeArgs: string[], forward: boolean, error: string|null
+ * }}
+ *   help/version: wrapper help/version requested (--wc-help, or Claude Code's --help/-h,
+ *   --version/-v, which still reach Claude Code); command/commandArgs: wrapper command;
+ *   claudeArgs: arguments for Claude Code; forward: whether Claude Code should start
+ */
+export function parseArgs(args) {
+  const result = {
+    debug: false,
+    help: false,
+    version: false,
+    command: null,
+    commandArgs: [],
+    claudeArgs: [],
+    forward: true,
+    error: null
+  };
+  const rest = args.slice(2);
+
+  if (rest[0] === '--') {
+    result.claudeArgs = rest.slice(1);
+    return result;
+  }
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+
+    if (arg.startsWith('--wc-') || arg === '--windebug') {
+      const [name, value] = arg.split(/=(.*)/s);
+      const option = WRAPPER_OPTIONS.find(o => o.flag === name || o.aliases?.includes(name));
+      if (!option) {
+        result.error = `unknown option ${name}`;
+      } else if (value !== undefined) {
+        result.error = `${name} does not take a value`;
+      } else {
+        result[option.key] = true;
+        if (option.exit) result.forward = false;
+      }
+      continue;
+    }
+
+    // A wrapper command must come first (so prompts and option values are never mistaken for one)
+    if (result.claudeArgs.length === 0 && Object.hasOwn(WRAPPER_COMMANDS, arg)) {
+      result.command = arg;
+      result.commandArgs = rest.slice(i + 1);
+      result.forward = false;
+      break;
+    }
+
+    if (arg === '--help' || arg === '-h') result.help = true;
+    if (arg === '--version' || arg === '-v') result.version = true;
+    result.claudeArgs.push(arg);
+  }
+
+  return result;
+}
+
+/**
+ * Help screen for the wrapper's own commands and options
+ * @returns {string}
+ */
+export function formatHelp() {
+  const width = Math.max(
+    ...Object.keys(WRAPPER_COMMANDS).map(name => name.length),
+    ...WRAPPER_OPTIONS.map(o => o.flag.length)
+  );
+  const lines = [
+    `wclaude ${WCLAUDE_VERSION} - Windows wrapper for Claude Code`,
+    '',
+    'Usage: wclaude [wrapper options] [Claude Code options and arguments]',
+    '       wclaude <command> [arguments]',
+    '',
+    'Commands:'
+  ];
+  for (const [name, command] of Object.entries(WRAPPER_COMMANDS)) {
+    lines.push(`  ${name.padEnd(width)}  ${command.summary}`);
+  }
+  lines.push('', 'Wrapper options:');
+  for (const option of WRAPPER_OPTIONS) {
+    const aliases = option.aliases ? ` (also ${option.aliases.join(', ')})` : '';
+    lines.push(`  ${option.flag.padEnd(width)}  ${option.description}${aliases}`);
+  }
+  lines.push(
+    '',
+    'All other arguments are passed to Claude Code unchanged. Use "wclaude -- <args>"',
+    'to pass arguments that start with a wclaude command name (e.g. "wclaude -- doctor").'
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Handle wrapper commands and options before Claude Code starts
+ * @param {object} cliArgs - parseArgs result
+ * @param {object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @returns {Promise<number|null>} Exit code when wclaude handled the invocation,
+ *   null when Claude Code should start
+ */
+export async function runWrapper(cliArgs, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n')
+} = {}) {
+  if (cliArgs.error) {
+    err(`wclaude: ${cliArgs.error}`);
+    err('Run "wclaude --wc-help" for the wrapper\'s commands and options.');
+    return 2;
+  }
+
+  if (cliArgs.command) {
+    return await WRAPPER_COMMANDS[cliArgs.command].run(cliArgs.commandArgs);
+  }
+
+  // Claude Code's --help/--version run too, so show the wrapper's part first
+  if (cliArgs.help) {
+    out(formatHelp());
+    if (cliArgs.forward) out('');
+  } else if (cliArgs.version) {
+    out(`wclaude ${WCLAUDE_VERSION}`);
+  }
+
+  return cliArgs.forward ? null : 0;
+}
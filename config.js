@@ -0,0 +1,410 @@
+// config.js - Unified wclaude configuration
+//
+// Settings are layered, later layers win:
+// 1. Built-in defaults (CONFIG_SCHEMA)
+// 2. User config:    ~/.claude/wclaude.json
+// 3. Project config: .wclaude.json (nearest one walking up from the cwd)
+// 4. Environment:    WCLAUDE_<SECTION>_<KEY>, e.g. WCLAUDE_NETWORK_CHECK_HOST
+//    (a few keep older names: WCLAUDE_REWRITE, WCLAUDE_BASH_TIMEOUT_MS, ...)
+//
+// Example ~/.claude/wclaude.json:
+//   {
+//     "network": { "checkHost": "proxy.example.com", "maxRetries": 20 },
+//     "watchdog": { "timeoutMs": 600000 },
+//     "secrets": { "tokens": ["ANTHROPIC_API_KEY", "*_AUTH_TOKEN"] }
+//   }
+//
+// Every value is validated against CONFIG_SCHEMA. Invalid values and unknown
+// keys are reported in `errors` and ignored; the rest of the file still
+// applies. Keys marked userOnly (executables, secrets) are ignored in
+// project configs, so a cloned repository cannot change them.
+//
+// Show the effective configuration with `wclaude config`.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config as blocklistConfig, REWRITE_ENV } from './blocklist.js';
+import { WATCHDOG_DEFAULTS, WATCHDOG_ENV } from './watchdog.js';
+import { AUDIT_DEFAULTS } from './audit.js';
+import { LOG_DEFAULTS, validateLogLevel } from './logger.js';
+import { CRASH_DEFAULTS, CRASH_CLASSES, validateCrashPolicy } from './crash.js';
+import { GIT_BASH_CANDIDATES } from './system.js';
+import { HEAP_DEFAULTS, validatePercent } from './heap.js';
+import { validateJitter } from './offline.js';
+import { DEFAULT_SECRET_PROVIDERS, validateSecretProviders } from './secrets.js';
+
+/**
+ * Default location of the user config file
+ */
+export const USER_CONFIG_PATH = path.join(os.homedir(), '.claude', 'wclaude.json');
+
+/**
+ * Project config file name
+ */
+export const PROJECT_CONFIG_FILE = '.wclaude.json';
+
+/**
+ * Configuration schema: section -> key -> setting
+ * - type: 'integer' | 'string' | 'boolean' | 'string[]' | 'object[]'
+ * - min: smallest allowed integer
+ * - validate: extra check, throws with a message
+ * - env: environment variable (default WCLAUDE_<SECTION>_<KEY>)
+ * - userOnly: ignored in project configs
+ */
+export const CONFIG_SCHEMA = {
+  restart: {
+    maxCrashRestarts: { type: 'integer', min: 1, default: 3, description: 'Crashes within crashWindowMs before wclaude stops' },
+    crashWindowMs: { type: 'integer', min: 0, default: 60000, description: 'Window for counting crashes' },
+    crashLogLines: { type: 'integer', min: 0, default: CRASH_DEFAULTS.logLines, description: 'Session log records in a crash report' },
+    maxCrashReports: { type: 'integer', min: 1, default: CRASH_DEFAULTS.maxReports, description: 'Crash reports kept in ~/.claude/wclaude-crashes' },
+    resume: { type: 'boolean', default: true, description: 'Resume the conversation (--resume <id>) when restarting after a crash' },
+    supervisor: { type: 'boolean', default: false, description: 'Run Claude Code in a supervised child process (restarts are fresh processes)' }
+  },
+  crashPolicy: Object.fromEntries(Object.entries(CRASH_CLASSES).map(([name, { title, policy }]) => [
+    name,
+    { type: 'string', default: policy, validate: validateCrashPolicy, description: `${title}: restart, backoff, larger-heap, wait or stop` }
+  ])),
+  heap: {
+    percent: { type: 'integer', min: 1, default: HEAP_DEFAULTS.percent, validate: validatePercent, description: 'Heap for Claude Code, % of RAM' },
+    maxMB: { type: 'integer', min: 256, default: HEAP_DEFAULTS.maxMB, description: 'Largest heap for Claude Code at startup' },
+    warnPercent: { type: 'integer', min: 0, default: HEAP_DEFAULTS.warnPercent, validate: validatePercent, description: 'Warn when the heap is this full (0 = off)' },
+    monitorIntervalMs: { type: 'integer', min: 1000, default: HEAP_DEFAULTS.monitorIntervalMs, description: 'How often the heap is checked' }
+  },
+  network: {
+    maxRetries: { type: 'integer', min: 0, default: 10, description: 'Connectivity checks before giving up (0 = wait indefinitely)' },
+    checkHost: { type: 'string', default: 'api.anthropic.com', description: 'Host checked for connectivity when ANTHROPIC_BASE_URL is not set' },
+    probeTimeoutMs: { type: 'integer', min: 100, default: 5000, description: 'Deadline per connectivity check stage (DNS, connect, TLS, HTTP)' },
+    backoffBaseMs: { type: 'integer', min: 0, default: 5000, description: 'First retry delay (doubles each retry)' },
+    backoffMaxMs: { type: 'integer', min: 0, default: 60000, description: 'Longest retry delay' },
+    jitter: { type: 'string', default: 'none', validate: validateJitter, description: 'Randomize the retry delay: none, full or decorrelated' },
+    watchInterfaces: { type: 'boolean', default: true, description: 'Check at once when the network interfaces change' }
+  },
+  blocklist: {
+    maxPathLength: { type: 'integer', min: 1, default: blocklistConfig.maxPathLength, description: 'Longest path allowed in a command' },
+    rewrite: { type: 'boolean', default: true, env: REWRITE_ENV, description: 'Fix blocked commands with rule rewrites' }
+  },
+  watchdog: {
+    timeoutMs: { type: 'integer', min: 0, default: WATCHDOG_DEFAULTS.timeoutMs, env: WATCHDOG_ENV.timeoutMs, description: 'Wall-clock limit per Git Bash command (0 = none)' },
+    maxOutputBytes: { type: 'integer', min: 0, default: WATCHDOG_DEFAULTS.maxOutputBytes, env: WATCHDOG_ENV.maxOutputBytes, description: 'stdout bytes per Git Bash command (0 = none)' }
+  },
+  log: {
+    level: { type: 'string', default: LOG_DEFAULTS.level, validate: validateLogLevel, description: 'Most detailed level written to the session log (off, error, warn, info, debug, trace)' },
+    maxBytes: { type: 'integer', min: 1024, default: LOG_DEFAULTS.maxBytes, description: 'Rotate a session log at this size' },
+    maxFiles: { type: 'integer', min: 1, default: LOG_DEFAULTS.maxFiles, description: 'Rotated files kept per session' },
+    maxSessions: { type: 'integer', min: 1, default: LOG_DEFAULTS.maxSessions, description: 'Session logs kept in ~/.claude/wclaude-logs' }
+  },
+  audit: {
+    maxBytes: { type: 'integer', min: 1024, default: AUDIT_DEFAULTS.maxBytes, description: 'Rotate the audit log at this size' },
+    maxFiles: { type: 'integer', min: 1, default: AUDIT_DEFAULTS.maxFiles, description: 'Rotated audit logs to keep' }
+  },
+  secrets: {
+    tokens: {
+      type: 'string[]',
+      userOnly: true,
+      default: ['ANTHROPIC_API_KEY', 'GITHUB_TOKEN', 'BRAVE_API_KEY', 'EXA_API_KEY', 'PERPLEXITY_API_KEY'],
+      description: 'Variables loaded from the secret providers when not set (wildcards: *_API_KEY)'
+    },
+    providers: {
+      type: 'object[]',
+      userOnly: true,
+      default: DEFAULT_SECRET_PROVIDERS,
+      validate: validateSecretProviders,
+      description: 'Where tokens are looked up, in order (registry, dotenv, vault, command)'
+    }
+  },
+  git: {
+    bashCandidates: { type: 'string[]', userOnly: true, default: GIT_BASH_CANDIDATES, description: 'bash.exe paths tried before "where git"' }
+  }
+};
+
+/**
+ * Environment variable for a setting
+ * @param {string} section - Schema section (e.g. "network")
+ * @param {string} key - Setting key (e.g. "checkHost")
+ * @returns {string} e.g. WCLAUDE_NETWORK_CHECK_HOST
+ */
+export function configEnvName(section, key) {
+  const setting = CONFIG_SCHEMA[section]?.[key];
+  if (setting?.env) return setting.env;
+  const snake = `${section}_${key}`.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  return `WCLAUDE_${snake}`;
+}
+
+/**
+ * Validate a value against its schema setting
+ * @param {object} setting - CONFIG_SCHEMA entry
+ * @param {*} value - Value from a config file
+ * @returns {*} The value
+ * @throws {Error} If the value has the wrong type or is out of range
+ */
+function checkValue(setting, value) {
+  const checked = checkType(setting, value);
+  setting.validate?.(checked);
+  return checked;
+}
+
+/**
+ * Check a value's type (see checkValue)
+ * @param {object} setting - CONFIG_SCHEMA entry
+ * @param {*} value - Value from a config file
+ * @returns {*} The value
+ * @throws {Error} If the value has the wrong type or is out of range
+ */
+function checkType(setting, value) {
+  switch (setting.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < setting.min) {
+        throw new Error(`must be an integer >= ${setting.min}`);
+      }
+      return value;
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error('must be a non-empty string');
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error('must be true or false');
+      }
+      return value;
+    case 'string[]':
+      if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+        throw new Error('must be an array of non-empty strings');
+      }
+      return [...value];
+    case 'object[]':
+      if (!Array.isArray(value)) {
+        throw new Error('must be an array');
+      }
+      return structuredClone(value);
+  }
+  throw new Error(`has unknown type ${setting.type}`);
+}
+
+/**
+ * Parse an environment variable for a setting
+ * Lists are separated by commas or semicolons; object lists are JSON.
+ * @param {object} setting - CONFIG_SCHEMA entry
+ * @param {string} text - Variable value
+ * @returns {*} The value
+ * @throws {Error} If the value is invalid
+ */
+function parseEnvValue(setting, text) {
+  const trimmed = text.trim();
+  switch (setting.type) {
+    case 'integer':
+      if (!/^\d+$/.test(trimmed)) {
+        throw new Error(`must be an integer >= ${setting.min}`);
+      }
+      return checkValue(setting, Number(trimmed));
+    case 'boolean': {
+      const lower = trimmed.toLowerCase();
+      if (['1', 'on', 'true', 'yes'].includes(lower)) return true;
+      if (['0', 'off', 'false', 'no'].includes(lower)) return false;
+      throw new Error('must be on or off');
+    }
+    case 'string[]':
+      return checkValue(setting, trimmed.split(/[,;]/).map(item => item.trim()).filter(Boolean));
+    case 'object[]': {
+      let parsed;
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (e) {
+        throw new Error('must be a JSON array');
+      }
+      return checkValue(setting, parsed);
+    }
+    default:
+      return checkValue(setting, trimmed);
+  }
+}
+
+/**
+ * Find the nearest project config file, walking up from a directory
+ * @param {string} cwd - Directory to start from
+ * @returns {string|null} Path to .wclaude.json, or null if there is none
+ */
+export function findProjectConfig(cwd) {
+  if (!cwd) return null;
+
+  let dir = path.resolve(cwd);
+  while (true) {
+    const candidate = path.join(dir, PROJECT_CONFIG_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load the layered configuration
+ * A missing file is not an error. Problems are collected in `errors`
+ * (the offending value is ignored) so a typo never stops wclaude.
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Where to look for the project config (default process.cwd())
+ * @param {object} [options.env] - Environment (default process.env)
+ * @param {string|null} [options.userPath] - User config file (default USER_CONFIG_PATH; null for none)
+ * @param {string|null} [options.projectPath] - Project config file (default: findProjectConfig(cwd); null for none)
+ * @returns {{ values: object, sources: object, files: string[], errors: string[] }}
+ *   values: { section: { key: value } }; sources: { "section.key": "default" | file path | "env NAME" };
+ *   files: config files that were read
+ */
+export function loadConfig({ cwd, env = process.env, userPath = USER_CONFIG_PATH, projectPath } = {}) {
+  const values = {};
+  const sources = {};
+  const files = [];
+  const errors = [];
+
+  for (const [section, settings] of Object.entries(CONFIG_SCHEMA)) {
+    values[section] = {};
+    for (const [key, setting] of Object.entries(settings)) {
+      values[section][key] = structuredClone(setting.default);
+      sources[`${section}.${key}`] = 'default';
+    }
+  }
+
+  if (projectPath === undefined) {
+    try {
+      projectPath = findProjectConfig(cwd ?? process.cwd());
+    } catch (e) {
+      projectPath = null;  // cwd was deleted
+    }
+  }
+
+  const layers = [{ filePath: userPath, project: false }];
+  if (projectPath && (!userPath || path.resolve(projectPath) !== path.resolve(userPath))) {
+    layers.push({ filePath: projectPath, project: true });
+  }
+
+  for (const { filePath, project } of layers) {
+    if (!filePath || !fs.existsSync(filePath)) continue;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      errors.push(`${filePath}: could not parse config file (${e.message})`);
+      continue;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(`${filePath}: config must be a JSON object`);
+      continue;
+    }
+    files.push(filePath);
+
+    for (const [section, entries] of Object.entries(data)) {
+      if (!Object.hasOwn(CONFIG_SCHEMA, section)) {
+        errors.push(`${filePath}: unknown key "${section}"`);
+        continue;
+      }
+      if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+        errors.push(`${filePath}: "${section}" must be an object`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(entries)) {
+        const name = `${section}.${key}`;
+        const setting = Object.hasOwn(CONFIG_SCHEMA[section], key) ? CONFIG_SCHEMA[section][key] : null;
+        if (!setting) {
+          errors.push(`${filePath}: unknown key "${name}"`);
+          continue;
+        }
+        if (project && setting.userOnly) {
+          errors.push(`${filePath}: "${name}" is only allowed in ${USER_CONFIG_PATH}`);
+          continue;
+        }
+        try {
+          values[section][key] = checkValue(setting, value);
+          sources[name] = filePath;
+        } catch (e) {
+          errors.push(`${filePath}: "${name}" ${e.message}`);
+        }
+      }
+    }
+  }
+
+  for (const [section, settings] of Object.entries(CONFIG_SCHEMA)) {
+    for (const [key, setting] of Object.entries(settings)) {
+      const envName = configEnvName(section, key);
+      if (env[envName] === undefined || env[envName] === '') continue;
+      try {
+        values[section][key] = parseEnvValue(setting, env[envName]);
+        sources[`${section}.${key}`] = `env ${envName}`;
+      } catch (e) {
+        errors.push(`${envName} ${e.message}`);
+      }
+    }
+  }
+
+  return { values, sources, files, errors };
+}
+
+/**
+ * Usage text for `wclaude config`
+ */
+export const CONFIG_USAGE = 'Usage: wclaude config [--cwd <dir>] [--json]';
+
+/**
+ * Format the effective configuration as text
+ * @param {object} loaded - loadConfig result
+ * @returns {string}
+ */
+export function formatConfig(loaded) {
+  const lines = [`Config files: ${loaded.files.length ? loaded.files.join(', ') : 'none'}`];
+
+  for (const [section, settings] of Object.entries(CONFIG_SCHEMA)) {
+    lines.push('', `${section}:`);
+    const width = Math.max(...Object.keys(settings).map(key => key.length));
+    for (const key of Object.keys(settings)) {
+      const source = loaded.sources[`${section}.${key}`];
+      lines.push(`  ${key.padEnd(width)}  ${JSON.stringify(loaded.values[section][key])}` +
+        (source === 'default' ? '' : `  [${source}]`));
+    }
+  }
+
+  if (loaded.errors.length) {
+    lines.push('', 'Errors (ignored):', ...loaded.errors.map(error => `  ${error}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Run `wclaude config`: show the effective configuration and where each value came from
+ * @param {string[]} argv - Arguments after "config"
+ * @param {object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @param {object} [io.env] - Environment (default process.env)
+ * @param {string} [io.userPath] - User config file (default USER_CONFIG_PATH)
+ * @returns {number} Exit code: 0 ok, 1 config errors, 2 usage error
+ */
+export function runConfigCommand(argv, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n'),
+  env = process.env,
+  userPath = USER_CONFIG_PATH
+} = {}) {
+  let json = false;
+  let cwd;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      json = true;
+    } else if (argv[i] === '--cwd' && argv[i + 1] !== undefined) {
+      cwd = argv[++i];
+    } else {
+      err(`wclaude config: unexpected argument ${argv[i]}`);
+      err(CONFIG_USAGE);
+      return 2;
+    }
+  }
+
+  const loaded = loadConfig({ cwd, env, userPath });
+  out(json ? JSON.stringify(loaded, null, 2) : formatConfig(loaded));
+  return loaded.errors.length ? 1 : 0;
+}
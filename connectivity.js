@@ -0,0 +1,232 @@
+// connectivity.js - Check that the Claude API is reachable
+//
+// A DNS lookup alone says "connected" behind a captive portal and
+// "disconnected" for teams that reach the API through a gateway or proxy.
+// The probe goes the way Claude Code's own requests go:
+//
+//   target: ANTHROPIC_BASE_URL, else https://<network.checkHost>
+//   proxy:  HTTPS_PROXY / HTTP_PROXY (lower case too), unless NO_PROXY matches
+//
+//   dns -> connect -> proxy (CONNECT) -> tls -> http (HEAD)
+//
+// and reports the stage that failed. Any HTTP answer below 500 counts as
+// connected (the API answers 401/404 without a key); a 5xx usually comes
+// from a gateway or proxy that cannot reach the API either.
+
+import dns from 'dns';
+import http from 'http';
+import net from 'net';
+import tls from 'tls';
+
+/**
+ * Probe stages, in order
+ */
+export const PROBE_STAGES = ['dns', 'connect', 'proxy', 'tls', 'http'];
+
+/**
+ * URL the probe checks
+ * @param {object} [env] - Environment variables
+ * @param {string} [checkHost] - Host used without ANTHROPIC_BASE_URL
+ * @returns {URL}
+ */
+export function probeTarget(env = process.env, checkHost = 'api.anthropic.com') {
+  if (env.ANTHROPIC_BASE_URL) {
+    try {
+      return new URL(env.ANTHROPIC_BASE_URL);
+    } catch (e) {
+      // Invalid - Claude Code will complain about it itself
+    }
+  }
+  return new URL(`https://${checkHost}`);
+}
+
+/**
+ * Check whether NO_PROXY excludes a host
+ * Entries are host names (matching sub-domains too, with or without a leading
+ * "."), optionally with a port; "*" excludes every host.
+ * @param {URL} url - Target
+ * @param {string} [noProxy] - NO_PROXY value
+ * @returns {boolean}
+ */
+export function bypassesProxy(url, noProxy = '') {
+  const host = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return noProxy.split(/[,\s]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    const [name, entryPort] = entry.toLowerCase().replace(/^\*?\./, '').split(':');
+    if (entryPort && entryPort !== port) return false;
+    return host === name || host.endsWith(`.${name}`);
+  });
+}
+
+/**
+ * Proxy for a target, from the environment
+ * @param {URL} url - Target
+ * @param {object} [env] - Environment variables
+ * @returns {URL|null}
+ */
+export function proxyFor(url, env = process.env) {
+  const value = url.protocol === 'https:'
+    ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+    : env.HTTP_PROXY || env.http_proxy;
+  if (!value || bypassesProxy(url, env.NO_PROXY || env.no_proxy)) return null;
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Run one stage with a deadline
+ * @param {string} name - Stage name (for the error)
+ * @param {number} timeoutMs - Deadline
+ * @param {function(function, function): void} start - Starts the stage with (resolve, reject)
+ * @param {function(): void} [abort] - Cleans up after a timeout
+ * @returns {Promise<*>}
+ */
+function stage(name, timeoutMs, start, abort = () => {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      abort();
+      reject(Object.assign(new Error(`${name} timed out after ${timeoutMs}ms`), { code: 'ETIMEDOUT' }));
+    }, timeoutMs);
+    start(
+      value => { clearTimeout(timer); resolve(value); },
+      err => { clearTimeout(timer); reject(err); }
+    );
+  });
+}
+
+/**
+ * Probe the API the way Claude Code reaches it
+ * @param {URL|string} target - URL to check (see probeTarget)
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment variables (proxy settings)
+ * @param {number} [options.timeoutMs] - Deadline per stage
+ * @param {function(string): Promise<{address: string}>} [options.lookup] - DNS lookup
+ * @returns {Promise<{ ok: boolean, stage: string, target: string, proxy: string|null,
+ *   status?: number, error?: string, code?: string, ms: number }>}
+ *   stage: the stage that failed, or "http" when ok
+ */
+export async function probeConnectivity(target, {
+  env = process.env,
+  timeoutMs = 5000,
+  lookup = host => dns.promises.lookup(host)
+} = {}) {
+  const url = new URL(target);
+  const secure = url.protocol === 'https:';
+  const port = Number(url.port) || (secure ? 443 : 80);
+  const proxy = proxyFor(url, env);
+  const started = Date.now();
+  let socket = null;
+  const opened = [];  // Every socket, destroyed when the probe ends
+  let current = 'dns';
+
+  const report = (ok, extra = {}) => ({
+    ok,
+    stage: current,
+    target: url.origin,
+    proxy: proxy ? proxy.origin : null,
+    ...extra,
+    ms: Date.now() - started
+  });
+
+  try {
+    // Through a proxy, only the proxy's name is resolved here (the proxy resolves the target)
+    const { address } = await stage('dns', timeoutMs, (resolve, reject) => {
+      lookup(proxy ? proxy.hostname : url.hostname).then(resolve, reject);
+    });
+
+    current = 'connect';
+    const connectPort = proxy ? Number(proxy.port) || 80 : port;
+    socket = await stage('connect', timeoutMs, (resolve, reject) => {
+      const connection = net.connect({ host: address, port: connectPort });
+      opened.push(connection);
+      connection.once('connect', () => resolve(connection));
+      connection.once('error', reject);
+    }, () => opened[0].destroy());
+
+    if (proxy && secure) {
+      current = 'proxy';
+      await stage('proxy', timeoutMs, (resolve, reject) => {
+        const authority = `${url.hostname}:${port}`;
+        const auth = proxy.username
+          ? `Proxy-Authorization: Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}\r\n`
+          : '';
+        let response = '';
+        const onData = chunk => {
+          response += chunk.toString('latin1');
+          const end = response.indexOf('\r\n\r\n');
+          if (end === -1) return;
+          socket.removeListener('data', onData);
+          const statusLine = response.slice(0, response.indexOf('\r\n'));
+          const status = Number(statusLine.split(' ')[1]);
+          if (status === 200) {
+            resolve();
+          } else {
+            reject(Object.assign(new Error(`proxy answered CONNECT with "${statusLine}"`), { status }));
+          }
+        };
+        socket.on('data', onData);
+        socket.once('error', reject);
+        socket.once('end', () => reject(new Error('proxy closed the connection')));
+        socket.write(`CONNECT ${authority} HTTP/1.1\r\nHost: ${authority}\r\n${auth}\r\n`);
+      }, () => socket.destroy());
+    }
+
+    if (secure) {
+      current = 'tls';
+      const plain = socket;
+      socket = await stage('tls', timeoutMs, (resolve, reject) => {
+        // The TLS socket takes over the connection, so it is the one to destroy
+        const secured = tls.connect({ socket: plain, servername: url.hostname });
+        opened.push(secured);
+        secured.once('secureConnect', () => resolve(secured));
+        secured.once('error', reject);
+      }, () => opened.forEach(item => item.destroy()));
+    }
+
+    current = 'http';
+    const connection = socket;
+    const status = await stage('http', timeoutMs, (resolve, reject) => {
+      const request = http.request({
+        method: 'HEAD',
+        // An http target through a proxy is requested with its absolute URL
+        path: proxy && !secure ? url.href : url.pathname,
+        headers: { host: url.host },
+        createConnection: () => connection
+      }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.once('error', reject);
+      request.end();
+    }, () => connection.destroy());
+
+    if (status >= 500) {
+      return report(false, { status, error: `HTTP ${status}` });
+    }
+    return report(true, { status });
+  } catch (err) {
+    const extra = { error: err.message };
+    if (err.code) extra.code = err.code;
+    if (err.status) extra.status = err.status;
+    return report(false, extra);
+  } finally {
+    opened.forEach(item => item.destroy());
+  }
+}
+
+/**
+ * One-line description of a probe result
+ * @param {object} result - probeConnectivity result
+ * @returns {string}
+ */
+export function formatProbe(result) {
+  const via = result.proxy ? ` via ${result.proxy}` : '';
+  if (result.ok) {
+    return `${result.target}${via} reachable (HTTP ${result.status}, ${result.ms}ms)`;
+  }
+  return `${result.target}${via}: ${result.stage} failed (${result.error})`;
+}
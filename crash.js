@@ -0,0 +1,320 @@
+// crash.js - Crash reports for wclaude
+//
+// When auto-restart gives up, the runner writes everything a bug report
+// needs to one JSON file and prints its path:
+//
+//   ~/.claude/wclaude-crashes/crash-1a2b3c4d-20250101-120000.json
+//
+//   { "version": 1, "createdAt": "...", "session": "1a2b3c4d", "reason": "...",
+//     "crashes": [{ "time", "class", "name", "message", "code", "stack" }],
+//     "versions": { "wclaude", "claudeCode", "node" }, "platform": { ... },
+//     "gitBashPath": "...", "hooks": { ... }, "logFile": "...", "logTail": [ ... ] }
+//
+// logTail holds the last session log records (see logger.js; run with
+// --wc-debug for debug records). The whole report is redacted before it is
+// written, and only the newest reports are kept.
+//
+// Crashes are also classified (classifyCrash) so each class gets its own
+// restart policy (crashPolicy.* settings): an invalid API key stops at once
+// with a hint instead of burning every restart.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseLogLines } from './logs.js';
+import { HEAP_DEFAULTS, heapSizeFor } from './heap.js';
+
+/**
+ * Directory with the crash reports
+ */
+export const CRASH_DIR = path.join(os.homedir(), '.claude', 'wclaude-crashes');
+
+/**
+ * Crash report defaults
+ */
+export const CRASH_DEFAULTS = {
+  logLines: 200,   // Session log records included in a report
+  maxReports: 20   // Reports kept in CRASH_DIR
+};
+
+/**
+ * What the runner does after a crash
+ * - restart: restart after a second (counts against restart.maxCrashRestarts)
+ * - backoff: restart after an increasing delay (counts)
+ * - larger-heap: start wclaude again with a larger heap (in a new process)
+ * - wait: wait for internet connectivity, then restart (does not count)
+ * - stop: stop with the class hint
+ */
+export const CRASH_POLICIES = ['restart', 'backoff', 'larger-heap', 'wait', 'stop'];
+
+/**
+ * Delay for the backoff policy (doubles with each crash in the window)
+ */
+export const CRASH_BACKOFF = { baseMs: 2000, maxMs: 30000 };
+
+/**
+ * Crash classes in the order they are checked, with their default policy
+ * and the hint shown when wclaude stops
+ */
+export const CRASH_CLASSES = {
+  auth: {
+    title: 'Authentication failed',
+    policy: 'stop',
+    hint: 'Check ANTHROPIC_API_KEY (or log in again with "claude /login"); "wclaude doctor" shows where the key comes from'
+  },
+  heap: {
+    title: 'Out of memory',
+    policy: 'larger-heap',
+    hint: 'Raise the heap with NODE_OPTIONS=--max-old-space-size=<MB>, or start a new session for very long conversations'
+  },
+  module: {
+    title: 'Claude Code module not found',
+    policy: 'stop',
+    hint: 'Claude Code was probably updated or removed while running. Reinstall with "npm install -g @anthropic-ai/claude-code --ignore-scripts" and start wclaude again'
+  },
+  kill: {
+    title: 'Process kill failed',
+    policy: 'restart',
+    hint: 'A process could not be killed (EPERM/ESRCH). Report it with the crash report if it keeps happening'
+  },
+  cygpath: {
+    title: 'cygpath failed',
+    policy: 'backoff',
+    hint: 'Run with --wc-debug and check "wclaude logs --tag cygpath" for the path that failed'
+  },
+  network: {
+    title: 'Network error',
+    policy: 'wait',
+    hint: 'Check the internet connection, proxy or VPN'
+  },
+  other: {
+    title: 'Crash',
+    policy: 'restart',
+    hint: 'Run with --wc-debug and check "wclaude logs" for details'
+  }
+};
+
+/**
+ * Determine if an error is network-related
+ * @param {Error} err - The error to check
+ * @returns {boolean} true if network-related
+ */
+export function isNetworkError(err) {
+  if (!err) return false;
+
+  const networkErrorCodes = [
+    'ENOTFOUND', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET',
+    'ENETUNREACH', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE'
+  ];
+  const networkErrorMessages = [
+    'network', 'fetch failed', 'socket hang up', 'ENOTFOUND',
+    'ETIMEDOUT', 'getaddrinfo', 'connect ECONNREFUSED'
+  ];
+
+  if (err.code && networkErrorCodes.includes(err.code)) {
+    return true;
+  }
+  const message = (err.message || '').toLowerCase();
+  return networkErrorMessages.some(pattern =>
+    message.includes(pattern.toLowerCase())
+  );
+}
+
+/**
+ * 401/403 in an HTTP status context ("status 401", "status code: 403",
+ * "HTTP/1.1 401", "401 Unauthorized", "403 Forbidden") - a bare 401 may be a
+ * JSON position, a port or a line number
+ */
+const HTTP_AUTH_STATUS = /\b(status(\s+code)?:?\s*|HTTP\/[\d.]+\s+)40[13]\b|\b(401\s+unauthorized|403\s+forbidden)\b/i;
+
+/**
+ * Classify a crash (see CRASH_CLASSES)
+ * Only the message, code and status are used - never the stack, whose line
+ * numbers and paths would cause false matches.
+ * @param {*} err - Thrown value
+ * @returns {string} Class name
+ */
+export function classifyCrash(err) {
+  if (!err) return 'other';
+  const message = String(err.message ?? err);
+  const code = err.code;
+  const status = err.status ?? err.statusCode;
+
+  if (status === 401 || status === 403 || HTTP_AUTH_STATUS.test(message) ||
+      /authentication_error|permission_error|invalid (x-)?api[ _-]?key|unauthorized/i.test(message)) {
+    return 'auth';
+  }
+  if (code === 'ERR_WORKER_OUT_OF_MEMORY' || /out of memory|allocation failed/i.test(message)) {
+    return 'heap';
+  }
+  if (code === 'ERR_MODULE_NOT_FOUND' || code === 'MODULE_NOT_FOUND' || /cannot find (module|package)/i.test(message)) {
+    return 'module';
+  }
+  if ((code === 'EPERM' || code === 'ESRCH') && (err.syscall === 'kill' || /\bkill\b/i.test(message))) {
+    return 'kill';
+  }
+  if (/cygpath/i.test(`${message} ${err.cmd ?? ''} ${err.path ?? ''}`)) {
+    return 'cygpath';
+  }
+  if (isNetworkError(err)) {
+    return 'network';
+  }
+  return 'other';
+}
+
+/**
+ * Heap size for the larger-heap policy: double the current limit, capped
+ * by the heap settings (heap.percent of RAM, at most heap.maxMB)
+ * @param {number} currentMB - Current heap limit
+ * @param {number} totalMemoryMB - System memory
+ * @param {{ percent: number, maxMB: number }} [limits] - Heap settings
+ * @returns {number|null} New heap limit in MB, or null if it cannot grow
+ */
+export function nextHeapSize(currentMB, totalMemoryMB, limits = HEAP_DEFAULTS) {
+  const nextMB = Math.min(currentMB * 2, heapSizeFor(totalMemoryMB, limits));
+  return nextMB > currentMB ? nextMB : null;
+}
+
+/**
+ * Check a crashPolicy.* value
+ * @param {string} policy - Policy name
+ * @throws {Error} If the policy is unknown
+ */
+export function validateCrashPolicy(policy) {
+  if (!CRASH_POLICIES.includes(policy)) {
+    throw new Error(`must be one of ${CRASH_POLICIES.join(', ')}`);
+  }
+}
+
+/**
+ * Crash report file names: crash-<session>-<YYYYMMDD-HHMMSS>.json
+ */
+const CRASH_FILE_PATTERN = /^crash-[0-9a-f]+-\d{8}-\d{6}\.json$/;
+
+/**
+ * Describe a crash for a report
+ * @param {*} err - Thrown value
+ * @param {number} [time] - When it happened (ms)
+ * @returns {{ time: string, class: string, name: string, message: string, code?: string, stack?: string }}
+ */
+export function describeCrash(err, time = Date.now()) {
+  const crash = {
+    time: new Date(time).toISOString(),
+    class: classifyCrash(err),
+    name: err?.name || typeof err,
+    message: err?.message ?? String(err)
+  };
+  if (err?.code !== undefined) crash.code = String(err.code);
+  if (err?.stack) crash.stack = String(err.stack);
+  return crash;
+}
+
+/**
+ * Read the last log records of a session, including rotated files
+ * @param {string} filePath - Current session log file
+ * @param {number} [lines] - Records to return
+ * @returns {object[]} Records, oldest first
+ */
+export function readLogTail(filePath, lines = CRASH_DEFAULTS.logLines) {
+  const records = [];
+  for (let i = 0; records.length < lines; i++) {
+    const file = i === 0 ? filePath : `${filePath}.${i}`;
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      break;  // No more (rotated) files
+    }
+    records.unshift(...parseLogLines(text));
+  }
+  return records.slice(-lines);
+}
+
+/**
+ * Build a crash report
+ * @param {object} details
+ * @param {string} details.session - wclaude session ID
+ * @param {string} details.reason - Why wclaude stopped
+ * @param {object[]} details.crashes - describeCrash results, oldest first
+ * @param {object} [details.versions] - { wclaude, claudeCode }
+ * @param {string|null} [details.gitBashPath] - Git Bash in use
+ * @param {object} [details.hooks] - Which hooks were applied
+ * @param {string} [details.logFile] - Session log file
+ * @param {number} [details.logLines] - Session log records to include
+ * @param {number} [details.now] - Report time (ms)
+ * @returns {object}
+ */
+export function createCrashReport({
+  session,
+  reason,
+  crashes,
+  versions = {},
+  gitBashPath = null,
+  hooks = {},
+  logFile,
+  logLines = CRASH_DEFAULTS.logLines,
+  now = Date.now()
+}) {
+  return {
+    version: 1,
+    createdAt: new Date(now).toISOString(),
+    session,
+    reason,
+    crashes,
+    versions: { ...versions, node: process.version },
+    platform: { os: process.platform, release: os.release(), arch: process.arch },
+    gitBashPath,
+    hooks,
+    logFile: logFile || null,
+    logTail: logFile ? readLogTail(logFile, logLines) : []
+  };
+}
+
+/**
+ * Name of a report file
+ * @param {string} session - wclaude session ID
+ * @param {number} now - Report time (ms)
+ * @returns {string} crash-<session>-<YYYYMMDD-HHMMSS>.json (local time)
+ */
+function crashFileName(session, now) {
+  const date = new Date(now);
+  const pad = value => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `crash-${session}-${stamp}.json`;
+}
+
+/**
+ * Write a crash report and delete the oldest ones
+ * @param {object} report - createCrashReport result
+ * @param {object} [options]
+ * @param {string} [options.dir] - Report directory (default CRASH_DIR)
+ * @param {number} [options.maxReports] - Reports to keep
+ * @param {function(*): *} [options.redact] - Masks secrets in the report
+ * @returns {string} Report file path
+ * @throws {Error} If the report cannot be written
+ */
+export function writeCrashReport(report, {
+  dir = CRASH_DIR,
+  maxReports = CRASH_DEFAULTS.maxReports,
+  redact = value => value
+} = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, crashFileName(report.session, Date.parse(report.createdAt)));
+  const temp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(redact(report), null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(temp, filePath);
+
+  try {
+    const reports = fs.readdirSync(dir)
+      .filter(name => CRASH_FILE_PATTERN.test(name))
+      .map(name => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const { name } of reports.slice(maxReports)) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  } catch (e) {
+    // Ignore - retention is best-effort
+  }
+  return filePath;
+}
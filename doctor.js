@@ -0,0 +1,325 @@
+// doctor.js - `wclaude doctor`: environment diagnostics
+//
+// Runs each startup probe on its own (config files, API tokens, Git PATH,
+// Git Bash, npm, Claude Code, MCP junction, PowerShell, protocol handler) and prints a pass/warn/fail
+// table with remediation hints. At startup these probes fail silently into
+// the session log; doctor shows them without --wc-debug.
+//
+//   wclaude doctor          Table output
+//   wclaude doctor --json   { ok, summary, checks: [{ id, title, status, detail, hint }] }
+//
+// Exit code: 0 when nothing failed (warnings allowed), 1 otherwise.
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import {
+  PROGRAM_FILES_GIT_CMD,
+  MCP_JUNCTION_PATH,
+  findGitBashPath,
+  getNpmGlobalRoot,
+  getPowerShellVersion,
+  supportsToasts,
+  queryProtocolHandler
+} from './system.js';
+import { loadConfig } from './config.js';
+import { resolveSecrets, formatSecretReport, runReg } from './secrets.js';
+
+/**
+ * Check result statuses, from best to worst
+ */
+export const STATUSES = ['pass', 'warn', 'fail'];
+
+const GIT_DOWNLOAD_HINT = 'Install Git for Windows (https://git-scm.com/download/win), then restart your terminal';
+const POWERSHELL_HINT = 'Install PowerShell 7: winget install Microsoft.PowerShell';
+
+/**
+ * Diagnostic checks, run in order
+ * run(ctx, values) returns { status, detail, hint?, value? }; value is
+ * stored in values[id] for later checks (e.g. the npm root).
+ */
+export const DOCTOR_CHECKS = [
+  {
+    id: 'platform',
+    title: 'Platform',
+    run: ctx => {
+      const major = parseInt(ctx.nodeVersion.replace(/^v/, ''), 10);
+      if (major < 18) {
+        return { status: 'fail', detail: `Node.js ${ctx.nodeVersion}`, hint: 'wclaude needs Node.js 18 or newer' };
+      }
+      if (ctx.platform !== 'win32') {
+        return {
+          status: 'warn',
+          detail: `${ctx.platform}, Node.js ${ctx.nodeVersion}`,
+          hint: 'wclaude is built for Windows - its fixes have no effect here'
+        };
+      }
+      return { status: 'pass', detail: `Windows, Node.js ${ctx.nodeVersion}` };
+    }
+  },
+  {
+    id: 'config',
+    title: 'Configuration',
+    run: ctx => {
+      const { files, errors } = ctx.config;
+      const loaded = files.length ? files.join(', ') : 'defaults only';
+      if (errors.length) {
+        return {
+          status: 'warn',
+          detail: `${errors.length} setting(s) ignored: ${errors[0]}`,
+          hint: 'Run "wclaude config" to see every problem'
+        };
+      }
+      return { status: 'pass', detail: loaded };
+    }
+  },
+  {
+    id: 'secrets',
+    title: 'API tokens',
+    run: ctx => {
+      const { tokens, providers } = ctx.config.values.secrets;
+      const result = resolveSecrets(tokens, { providers, env: ctx.env, reg: ctx.reg });
+      const found = result.report.length ? formatSecretReport(result.report) : 'none found';
+      const missing = result.missing.length ? `; not set: ${result.missing.join(', ')}` : '';
+      if (result.errors.length) {
+        return {
+          status: 'warn',
+          detail: `${found}${missing}; provider failed (${result.errors.join('; ')})`,
+          hint: 'Check secrets.providers in wclaude.json (run "wclaude config")'
+        };
+      }
+      return { status: 'pass', detail: `${found}${missing}` };
+    }
+  },
+  {
+    id: 'git-path',
+    title: 'Git on PATH',
+    run: ctx => {
+      if (ctx.exists(PROGRAM_FILES_GIT_CMD)) {
+        return { status: 'pass', detail: `Program Files Git is preferred (${PROGRAM_FILES_GIT_CMD})` };
+      }
+      const scoopGit = (ctx.env.PATH || '').split(';')
+        .some(p => p.toLowerCase().includes('scoop') && p.toLowerCase().includes('git'));
+      return {
+        status: 'warn',
+        detail: scoopGit
+          ? 'Only Scoop Git found - it has known issues with Claude Code'
+          : 'Program Files Git not found - PATH left unchanged',
+        hint: GIT_DOWNLOAD_HINT
+      };
+    }
+  },
+  {
+    id: 'git-bash',
+    title: 'Git Bash',
+    run: ctx => {
+      const bashPath = findGitBashPath({
+        exists: ctx.exists,
+        exec: ctx.exec,
+        candidates: ctx.config.values.git.bashCandidates
+      });
+      if (!bashPath) {
+        return {
+          status: 'fail',
+          detail: 'Not found - Unix commands (grep, find, awk, sed) will not be available',
+          hint: GIT_DOWNLOAD_HINT
+        };
+      }
+      return { status: 'pass', detail: bashPath, value: bashPath };
+    }
+  },
+  {
+    id: 'npm-root',
+    title: 'npm global root',
+    run: ctx => {
+      const root = getNpmGlobalRoot({ exec: ctx.exec });
+      return { status: 'pass', detail: root, value: root };
+    },
+    hint: 'Install Node.js with npm and make sure npm is on PATH'
+  },
+  {
+    id: 'claude-code',
+    title: 'Claude Code',
+    run: (ctx, values) => {
+      const hint = 'npm install -g @anthropic-ai/claude-code --ignore-scripts';
+      if (!values['npm-root']) {
+        return { status: 'fail', detail: 'Skipped - npm global root unknown', hint: 'Fix npm first' };
+      }
+      const claudePath = path.join(values['npm-root'], '@anthropic-ai', 'claude-code');
+      if (!ctx.exists(path.join(claudePath, 'cli.js'))) {
+        return { status: 'fail', detail: `Not installed at ${claudePath}`, hint };
+      }
+      let version = '';
+      try {
+        version = JSON.parse(ctx.readFile(path.join(claudePath, 'package.json'))).version;
+      } catch (e) {
+        // Version is informational only
+      }
+      return { status: 'pass', detail: `${version ? `${version} at ` : ''}${claudePath}`, value: claudePath };
+    }
+  },
+  {
+    id: 'mcp-junction',
+    title: 'MCP modules junction',
+    run: (ctx, values) => {
+      let stat;
+      try {
+        stat = ctx.lstat(MCP_JUNCTION_PATH);
+      } catch (e) {
+        return {
+          status: 'warn',
+          detail: `Missing (${MCP_JUNCTION_PATH})`,
+          hint: values['claude-code']
+            ? 'Created at the next start - MCP servers that import Claude Code modules need it'
+            : 'Created at the next start once Claude Code is installed'
+        };
+      }
+      if (!stat.isSymbolicLink()) {
+        return {
+          status: 'warn',
+          detail: `${MCP_JUNCTION_PATH} exists and is not a junction - wclaude leaves it alone`,
+          hint: 'Remove it if MCP servers cannot find Claude Code modules'
+        };
+      }
+      return { status: 'pass', detail: `${MCP_JUNCTION_PATH} -> ${ctx.readlink(MCP_JUNCTION_PATH)}` };
+    }
+  },
+  {
+    id: 'powershell',
+    title: 'PowerShell 7',
+    run: ctx => {
+      let version;
+      try {
+        version = getPowerShellVersion({ exec: ctx.exec });
+      } catch (e) {
+        return { status: 'warn', detail: 'pwsh not found - toast notifications disabled', hint: POWERSHELL_HINT };
+      }
+      if (!supportsToasts(version)) {
+        return {
+          status: 'warn',
+          detail: `${version} - toast notifications need 7.1+`,
+          hint: POWERSHELL_HINT
+        };
+      }
+      return { status: 'pass', detail: `${version} - toast notifications enabled`, value: version };
+    }
+  },
+  {
+    id: 'protocol-handler',
+    title: 'wclaude:// protocol',
+    run: (ctx, values) => {
+      if (!values.powershell) {
+        return { status: 'warn', detail: 'Skipped - needs PowerShell 7.1+', hint: POWERSHELL_HINT };
+      }
+      const hint = 'Registered at the next start, or run scripts/register-protocol.ps1';
+      const registered = queryProtocolHandler({ exec: ctx.exec });
+      if (!registered) {
+        return { status: 'warn', detail: 'Not registered - clicking a toast will not focus the terminal', hint };
+      }
+      if (!registered.includes('-UrlOrHandle')) {
+        return { status: 'warn', detail: 'Registered by an older wclaude version', hint };
+      }
+      return { status: 'pass', detail: 'Registered' };
+    }
+  }
+];
+
+/**
+ * Run all checks; a check that throws fails with the error message
+ * @param {object} [ctx] - Probe functions, process info and loaded config (defaults: the real ones)
+ * @returns {Promise<object[]>} [{ id, title, status, detail, hint }]
+ */
+export async function runDiagnostics(ctx = {}) {
+  const context = {
+    platform: process.platform,
+    nodeVersion: process.version,
+    env: process.env,
+    exists: fs.existsSync,
+    lstat: fs.lstatSync,
+    readlink: fs.readlinkSync,
+    readFile: file => fs.readFileSync(file, 'utf8'),
+    exec: execSync,
+    reg: runReg,
+    ...ctx
+  };
+  context.config ??= loadConfig({ env: context.env });
+  const values = {};
+  const results = [];
+
+  for (const check of DOCTOR_CHECKS) {
+    let result;
+    try {
+      result = await check.run(context, values);
+    } catch (e) {
+      result = { status: 'fail', detail: e.message, hint: check.hint };
+    }
+    if (result.value !== undefined) {
+      values[check.id] = result.value;
+    }
+    results.push({ id: check.id, title: check.title, status: result.status, detail: result.detail, hint: result.hint || null });
+  }
+
+  return results;
+}
+
+/**
+ * Count results by status
+ * @param {object[]} results - From runDiagnostics
+ * @returns {{ pass: number, warn: number, fail: number }}
+ */
+export function summarize(results) {
+  return Object.fromEntries(STATUSES.map(status => [status, results.filter(r => r.status === status).length]));
+}
+
+/**
+ * Format results as a table
+ * @param {object[]} results - From runDiagnostics
+ * @returns {string}
+ */
+export function formatDoctorTable(results) {
+  const width = Math.max(...results.map(r => r.title.length), 'Check'.length);
+  const lines = [`  ${'Check'.padEnd(width)}  Status  Details`];
+
+  for (const result of results) {
+    lines.push(`  ${result.title.padEnd(width)}  ${result.status.toUpperCase().padEnd(6)}  ${result.detail}`);
+    if (result.hint && result.status !== 'pass') {
+      lines.push(`  ${''.padEnd(width)}          -> ${result.hint}`);
+    }
+  }
+
+  const summary = summarize(results);
+  lines.push('', `${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed`);
+  return lines.join('\n');
+}
+
+/**
+ * Run `wclaude doctor`
+ * @param {string[]} argv - Arguments after "doctor"
+ * @param {object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @param {object} [io.ctx] - Probe overrides (see runDiagnostics)
+ * @returns {Promise<number>} Exit code: 0 nothing failed, 1 a check failed, 2 usage error
+ */
+export async function runDoctorCommand(argv, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n'),
+  ctx = {}
+} = {}) {
+  const unknown = argv.filter(arg => arg !== '--json');
+  if (unknown.length > 0) {
+    err(`wclaude doctor: unexpected argument ${unknown[0]}`);
+    err('Usage: wclaude doctor [--json]');
+    return 2;
+  }
+
+  const results = await runDiagnostics(ctx);
+  const summary = summarize(results);
+
+  if (argv.includes('--json')) {
+    out(JSON.stringify({ ok: summary.fail === 0, summary, checks: results }, null, 2));
+  } else {
+    out(formatDoctorTable(results));
+  }
+  return summary.fail === 0 ? 0 : 1;
+}
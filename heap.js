@@ -0,0 +1,137 @@
+// heap.js - Heap size for Claude Code and memory-pressure monitoring
+//
+// The heap limit of a running Node process cannot be changed, so the
+// configured size (heap.percent of RAM, at most heap.maxMB) is applied where
+// a new process starts:
+//
+// - restart.supervisor: the child gets --max-old-space-size=<size>
+// - in-process mode: wclaude starts itself again once with
+//   --max-old-space-size=<size> when node's default heap is smaller
+//
+// The same settings cap the larger-heap policy (crashPolicy.heap), which
+// doubles a heap that started smaller, e.g. from your own NODE_OPTIONS.
+//
+// The size is passed on the command line rather than in NODE_OPTIONS, so the
+// Node processes Claude Code starts (MCP servers, hooks) keep their default.
+// A --max-old-space-size already in NODE_OPTIONS is used instead (until an
+// out-of-memory restart raises it).
+//
+// The monitor samples the heap of the process running Claude Code and warns
+// once when usage crosses heap.warnPercent of the limit (again only after it
+// dropped well below).
+
+import v8 from 'v8';
+
+/**
+ * Heap defaults
+ */
+export const HEAP_DEFAULTS = {
+  percent: 50,            // Heap for Claude Code, % of RAM
+  maxMB: 16384,           // ... but at most this
+  warnPercent: 90,        // Warn when the heap is this full (0 = no monitor)
+  monitorIntervalMs: 30000
+};
+
+/**
+ * Usage must drop this many percentage points below warnPercent before the
+ * monitor warns again
+ */
+const REARM_MARGIN = 10;
+
+/**
+ * Check a percentage setting
+ * @param {number} value - Percentage
+ * @throws {Error} If above 100
+ */
+export function validatePercent(value) {
+  if (value > 100) {
+    throw new Error('must be a percentage <= 100');
+  }
+}
+
+/**
+ * Heap size for Claude Code
+ * @param {number} totalMemoryMB - System memory
+ * @param {object} [options]
+ * @param {number} [options.percent] - Share of RAM
+ * @param {number} [options.maxMB] - Absolute cap
+ * @returns {number} Heap limit in MB
+ */
+export function heapSizeFor(totalMemoryMB, { percent = HEAP_DEFAULTS.percent, maxMB = HEAP_DEFAULTS.maxMB } = {}) {
+  return Math.max(1, Math.min(Math.floor(totalMemoryMB * percent / 100), maxMB));
+}
+
+/**
+ * Heap limit set in NODE_OPTIONS
+ * @param {string} [nodeOptions] - NODE_OPTIONS value
+ * @returns {number|null} --max-old-space-size in MB
+ */
+export function heapFromNodeOptions(nodeOptions = '') {
+  const match = /--max-old-space-size=(\d+)/.exec(nodeOptions);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Current heap usage
+ * @param {object} [stats] - v8.getHeapStatistics() result
+ * @returns {{ usedMB: number, limitMB: number, percent: number }}
+ */
+export function heapUsage(stats = v8.getHeapStatistics()) {
+  const usedMB = Math.round(stats.used_heap_size / (1024 * 1024));
+  const limitMB = Math.round(stats.heap_size_limit / (1024 * 1024));
+  return { usedMB, limitMB, percent: Math.round(stats.used_heap_size / stats.heap_size_limit * 100) };
+}
+
+/**
+ * Create a memory-pressure monitor
+ * @param {object} [options]
+ * @param {number} [options.warnPercent] - Usage that triggers onWarn (0 = never)
+ * @param {number} [options.intervalMs] - Sampling interval for start()
+ * @param {function(object): void} [options.onWarn] - Called with heapUsage() when usage crosses warnPercent
+ * @param {function(object): void} [options.onRecover] - Called when usage dropped well below it again
+ * @param {function(): object} [options.getStats] - Heap statistics (default v8.getHeapStatistics)
+ * @returns {{ check: function(): object, start: function(): void, stop: function(): void }}
+ */
+export function createHeapMonitor({
+  warnPercent = HEAP_DEFAULTS.warnPercent,
+  intervalMs = HEAP_DEFAULTS.monitorIntervalMs,
+  onWarn = () => {},
+  onRecover = () => {},
+  getStats = () => v8.getHeapStatistics()
+} = {}) {
+  let warned = false;
+  let timer = null;
+
+  const monitor = {
+    /**
+     * Sample the heap once
+     * @returns {object} heapUsage() result
+     */
+    check() {
+      const usage = heapUsage(getStats());
+      if (!warned && warnPercent > 0 && usage.percent >= warnPercent) {
+        warned = true;
+        onWarn(usage);
+      } else if (warned && usage.percent < warnPercent - REARM_MARGIN) {
+        warned = false;
+        onRecover(usage);
+      }
+      return usage;
+    },
+
+    /**
+     * Sample every intervalMs (does not keep the process alive)
+     */
+    start() {
+      if (timer || warnPercent <= 0) return;
+      timer = setInterval(() => monitor.check(), intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+  return monitor;
+}
@@ -13,6 +13,9 @@ export default {
     '**/tests/**/*.test.js'
   ],
 
+  // Keep the audit log, policy file and session logs out of ~/.claude
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+
   // Ignore patterns
   testPathIgnorePatterns: [
     '/node_modules/'
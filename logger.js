@@ -0,0 +1,224 @@
+// logger.js - Leveled JSON-lines logging for wclaude
+//
+// Each wclaude session writes its own file, named after the session ID shown
+// in the tab title:
+//
+//   ~/.claude/wclaude-logs/wclaude-1a2b3c4d.jsonl   (WCLAUDE_LOG_DIR moves the directory)
+//
+// One JSON object per line:
+//
+//   {"ts":"2025-01-01T12:00:00.000Z","level":"debug","tag":"spawn","session":"1a2b3c4d",
+//    "msg":"Command blocked:","data":{"command":"find /","reason":"..."}}
+//
+// Levels, most to least severe: error, warn, info, debug, trace. The file
+// is created on the first record, rotates by size (file -> file.1 -> ... ->
+// .N) and only the newest sessions are kept. Tags name the subsystem
+// (spawn, cygpath, hooks, network, toast, ...) so one area can be followed.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Levels from most to least severe
+ */
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+/**
+ * Environment variable that moves the session logs (e.g. for tests)
+ */
+export const LOG_DIR_ENV = 'WCLAUDE_LOG_DIR';
+
+/**
+ * Directory with the per-session log files
+ */
+export const LOG_DIR = process.env[LOG_DIR_ENV] || path.join(os.homedir(), '.claude', 'wclaude-logs');
+
+/**
+ * Logging defaults
+ */
+export const LOG_DEFAULTS = {
+  level: 'warn',                // --wc-debug raises this to debug
+  maxBytes: 10 * 1024 * 1024,   // Rotate a session log when it would exceed 10MB
+  maxFiles: 3,                  // Rotated files kept per session
+  maxSessions: 20               // Session logs kept in LOG_DIR
+};
+
+/**
+ * Session log file names: wclaude-<session>.jsonl, rotated ones end in .N
+ */
+const SESSION_LOG_PATTERN = /^wclaude-([0-9a-f]+)\.jsonl(?:\.\d+)?$/;
+
+/**
+ * Check a log.level value
+ * @param {string} level - Level name, or "off"
+ * @throws {Error} If the level is unknown
+ */
+export function validateLogLevel(level) {
+  if (level !== 'off' && !LOG_LEVELS.includes(level)) {
+    throw new Error(`must be one of off, ${LOG_LEVELS.join(', ')}`);
+  }
+}
+
+/**
+ * Log file for a session
+ * @param {string} sessionId - wclaude session ID
+ * @param {string} [dir] - Log directory (default LOG_DIR)
+ * @returns {string}
+ */
+export function sessionLogPath(sessionId, dir = LOG_DIR) {
+  return path.join(dir, `wclaude-${sessionId}.jsonl`);
+}
+
+/**
+ * Rotate log files: file -> file.1 -> file.2 ... (the oldest is deleted)
+ * @param {string} filePath - Current log file
+ * @param {number} maxFiles - Number of rotated files to keep
+ */
+export function rotateLogFile(filePath, maxFiles) {
+  try {
+    fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${filePath}.${i}`)) {
+        fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+  } catch (e) {
+    // Ignore - if rotation fails we keep appending to the current file
+  }
+}
+
+/**
+ * Delete the oldest session logs (with their rotated files)
+ * @param {string} dir - Log directory
+ * @param {number} keep - Sessions to keep, newest first by modification time
+ * @returns {string[]} Deleted session IDs
+ */
+export function pruneSessionLogs(dir, keep) {
+  const sessions = new Map();
+  for (const name of fs.readdirSync(dir)) {
+    const match = SESSION_LOG_PATTERN.exec(name);
+    if (!match) continue;
+    const mtime = fs.statSync(path.join(dir, name)).mtimeMs;
+    const session = sessions.get(match[1]) || { files: [], mtime: 0 };
+    session.files.push(name);
+    session.mtime = Math.max(session.mtime, mtime);
+    sessions.set(match[1], session);
+  }
+
+  const oldest = [...sessions].sort((a, b) => b[1].mtime - a[1].mtime).slice(keep);
+  for (const [, { files }] of oldest) {
+    for (const name of files) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  }
+  return oldest.map(([id]) => id);
+}
+
+/**
+ * Split logger arguments into a message and structured data
+ * Strings, numbers and errors form the message; objects become `data`.
+ * @param {Array} args - Logger arguments
+ * @returns {{ msg: string, data?: * }}
+ */
+export function formatLogArgs(args) {
+  const words = [];
+  const objects = [];
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      words.push(arg.message);
+    } else if (arg && typeof arg === 'object') {
+      objects.push(arg);
+    } else {
+      words.push(String(arg));
+    }
+  }
+
+  const record = { msg: words.join(' ') };
+  if (objects.length > 0) {
+    record.data = objects.length === 1 ? objects[0] : objects;
+  }
+  return record;
+}
+
+/**
+ * Create a session logger
+ * Writes are synchronous (so nothing is lost on crash) and best-effort:
+ * a failing write never breaks the session.
+ * @param {object} [options]
+ * @param {string} options.filePath - Log file (see sessionLogPath)
+ * @param {string} [options.level] - Most detailed level written, or "off"
+ * @param {number} [options.maxBytes] - Rotate when the file would exceed this size
+ * @param {number} [options.maxFiles] - Rotated files to keep
+ * @param {boolean} [options.rotate] - Rotate at maxBytes (false when another process
+ *   writing the same file rotates it, see supervisor.js)
+ * @param {number} [options.maxSessions] - Session logs to keep in the file's directory
+ * @param {object} [options.fields] - Fields added to every record (e.g. { session })
+ * @param {function(*): *} [options.redact] - Masks messages and data before they are written
+ * @returns {object} Logger with error/warn/info/debug/trace(...args), enabled(level) and tag(name)
+ */
+export function createLogger({
+  filePath,
+  level = LOG_DEFAULTS.level,
+  maxBytes = LOG_DEFAULTS.maxBytes,
+  maxFiles = LOG_DEFAULTS.maxFiles,
+  rotate = true,
+  maxSessions = LOG_DEFAULTS.maxSessions,
+  fields = {},
+  redact = value => value
+} = {}) {
+  const threshold = level === 'off' ? -1 : LOG_LEVELS.indexOf(level);
+  let size = null;  // Current file size, read on the first write
+
+  /**
+   * Create the directory and prune old sessions before the first record
+   */
+  function open() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+      size = fs.statSync(filePath).size;
+    } catch (e) {
+      size = 0;  // New session
+      try {
+        pruneSessionLogs(path.dirname(filePath), Math.max(0, maxSessions - 1));
+      } catch (e) {
+        // Ignore - retention is best-effort
+      }
+    }
+  }
+
+  function write(levelName, tag, args) {
+    try {
+      if (size === null) open();
+      const { msg, data } = formatLogArgs(args);
+      const record = { ts: new Date().toISOString(), level: levelName, tag, ...fields, msg: redact(msg) };
+      if (data !== undefined) record.data = redact(data);
+      const line = JSON.stringify(record) + '\n';
+
+      const bytes = Buffer.byteLength(line);
+      if (rotate && size > 0 && size + bytes > maxBytes) {
+        rotateLogFile(filePath, maxFiles);
+        size = 0;
+      }
+      fs.appendFileSync(filePath, line);
+      size += bytes;
+    } catch (e) {
+      // Ignore - logging is best-effort
+    }
+  }
+
+  const enabled = levelName => LOG_LEVELS.indexOf(levelName) <= threshold;
+
+  function tagged(tag) {
+    const log = { filePath, level, enabled, tag: tagged };
+    for (const levelName of LOG_LEVELS) {
+      log[levelName] = (...args) => {
+        if (enabled(levelName)) write(levelName, tag, args);
+      };
+    }
+    return log;
+  }
+
+  return tagged('main');
+}
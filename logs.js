@@ -0,0 +1,410 @@
+// logs.js - `wclaude logs`: read the session logs written by logger.js
+//
+//   wclaude logs                           Newest session, pretty-printed
+//   wclaude logs --follow                  Keep printing new records (Ctrl+C to stop)
+//   wclaude logs --session 1a2b3c4d        A given session (ID from the tab title)
+//   wclaude logs --list                    Sessions, newest first
+//   wclaude logs --tag spawn,hooks --level warn --since 10m --until 2025-01-01T12:00
+//   wclaude logs --lines 50 --json         Last 50 matching records as JSON lines
+//
+// --since/--until take a date/time (local time unless it has a zone) or a
+// relative time: 30s, 10m, 2h, 1d ago. Rotated files (.N ... .1) are read
+// before the current one, so records stay in order.
+
+import fs from 'fs';
+import path from 'path';
+import { LOG_DIR, LOG_LEVELS } from './logger.js';
+
+/**
+ * Usage text for `wclaude logs`
+ */
+export const LOGS_USAGE = [
+  'Usage: wclaude logs [--session <id>] [--follow] [--tag <tag,...>] [--level <level>]',
+  '                    [--since <time>] [--until <time>] [--lines <n>] [--json]',
+  '       wclaude logs --list'
+].join('\n');
+
+/**
+ * Session log file names (see logger.js): wclaude-<session>.jsonl[.N]
+ */
+const SESSION_FILE_PATTERN = /^wclaude-([0-9a-f]+)\.jsonl(?:\.(\d+))?$/;
+
+/**
+ * Relative times: 30s, 10m, 2h, 1d
+ */
+const RELATIVE_TIME_PATTERN = /^(\d+)([smhd])$/;
+const TIME_UNITS_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * How often --follow checks the log for new records
+ */
+const FOLLOW_INTERVAL_MS = 500;
+
+/**
+ * Records shown before --follow starts waiting, unless --lines is given
+ */
+const FOLLOW_INITIAL_LINES = 10;
+
+/**
+ * Parse a --since/--until value
+ * @param {string} text - Date/time, or a relative time (10m = ten minutes ago)
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Time in ms, NaN if invalid
+ */
+export function parseTime(text, now = Date.now()) {
+  const relative = RELATIVE_TIME_PATTERN.exec(text);
+  if (relative) {
+    return now - Number(relative[1]) * TIME_UNITS_MS[relative[2]];
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return Date.parse(`${text}T00:00`);  // A date alone is local midnight, like a date/time without a zone
+  }
+  return /^\d{4}-\d{2}-\d{2}T/.test(text) ? Date.parse(text) : NaN;
+}
+
+/**
+ * Parse `wclaude logs` arguments
+ * @param {string[]} argv - Arguments after "logs"
+ * @param {object} [options]
+ * @param {number} [options.now] - Current time in ms (for relative times)
+ * @returns {{
+ *   session: string|null, follow: boolean, list: boolean, tags: string[], level: string|null,
+ *   since: number|null, until: number|null, lines: number|null, json: boolean, error: string|null
+ * }}
+ */
+export function parseLogsArgs(argv, { now = Date.now() } = {}) {
+  const result = {
+    session: null,
+    follow: false,
+    list: false,
+    tags: [],
+    level: null,
+    since: null,
+    until: null,
+    lines: null,
+    json: false,
+    error: null
+  };
+  const valueOptions = ['--session', '--tag', '--level', '--since', '--until', '--lines'];
+
+  for (let i = 0; i < argv.length && !result.error; i++) {
+    const arg = argv[i];
+
+    if (arg === '--follow' || arg === '-f') {
+      result.follow = true;
+    } else if (arg === '--list') {
+      result.list = true;
+    } else if (arg === '--json') {
+      result.json = true;
+    } else if (valueOptions.includes(arg)) {
+      const value = argv[++i];
+      if (value === undefined) {
+        result.error = `${arg} needs a value`;
+      } else if (arg === '--session') {
+        result.session = value.toLowerCase();
+      } else if (arg === '--tag') {
+        result.tags.push(...value.split(',').map(tag => tag.trim()).filter(Boolean));
+      } else if (arg === '--level') {
+        if (!LOG_LEVELS.includes(value)) {
+          result.error = `--level must be one of ${LOG_LEVELS.join(', ')}`;
+        }
+        result.level = value;
+      } else if (arg === '--lines') {
+        if (!/^\d+$/.test(value) || Number(value) < 1) {
+          result.error = '--lines must be a positive integer';
+        }
+        result.lines = Number(value);
+      } else {
+        const time = parseTime(value, now);
+        if (Number.isNaN(time)) {
+          result.error = `${arg} must be a date/time or a relative time like 10m, 2h, 1d`;
+        }
+        result[arg.slice(2)] = time;
+      }
+    } else {
+      result.error = `unexpected argument ${arg}`;
+    }
+  }
+
+  if (!result.error && result.list && (result.follow || result.session)) {
+    result.error = '--list cannot be combined with --follow or --session';
+  }
+  return result;
+}
+
+/**
+ * Find the session logs in a directory
+ * @param {string} [dir] - Log directory (default LOG_DIR)
+ * @returns {Array<{ id: string, files: string[], mtime: number, size: number }>}
+ *   Newest session first; files are oldest first (.N ... .1, then the current file)
+ */
+export function listSessions(dir = LOG_DIR) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return [];  // No logs yet
+  }
+
+  const sessions = new Map();
+  for (const name of names) {
+    const match = SESSION_FILE_PATTERN.exec(name);
+    if (!match) continue;
+    const stat = fs.statSync(path.join(dir, name));
+    const session = sessions.get(match[1]) || { id: match[1], files: [], mtime: 0, size: 0 };
+    session.files.push({ file: path.join(dir, name), rotation: Number(match[2] || 0) });
+    session.mtime = Math.max(session.mtime, stat.mtimeMs);
+    session.size += stat.size;
+    sessions.set(match[1], session);
+  }
+
+  return [...sessions.values()]
+    .map(session => ({
+      ...session,
+      files: session.files.sort((a, b) => b.rotation - a.rotation).map(entry => entry.file)
+    }))
+    .sort((a, b) => b.mtime - a.mtime);
+}
+
+/**
+ * Parse JSON-lines log text
+ * Lines that are not JSON (e.g. cut off by a crash) are kept as messages.
+ * @param {string} text - File contents
+ * @returns {object[]} Records
+ */
+export function parseLogLines(text) {
+  return text.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return { msg: line };
+      }
+    });
+}
+
+/**
+ * Keep the records matching the filters
+ * @param {object[]} records - Log records
+ * @param {object} filters
+ * @param {string[]} [filters.tags] - Tags to keep (all if empty)
+ * @param {string|null} [filters.level] - Keep this level and more severe ones
+ * @param {number|null} [filters.since] - Earliest time in ms
+ * @param {number|null} [filters.until] - Latest time in ms
+ * @returns {object[]}
+ */
+export function filterRecords(records, { tags = [], level = null, since = null, until = null }) {
+  const maxLevel = level ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.length;
+  return records.filter(record => {
+    const levelIndex = LOG_LEVELS.indexOf(record.level);
+    if (tags.length > 0 && !tags.includes(record.tag)) return false;
+    if (level && (levelIndex < 0 || levelIndex > maxLevel)) return false;
+    const time = Date.parse(record.ts);
+    if (since !== null && !(time >= since)) return false;
+    if (until !== null && !(time <= until)) return false;
+    return true;
+  });
+}
+
+/**
+ * Format a timestamp as local "YYYY-MM-DD HH:MM:SS.mmm"
+ * @param {string} ts - ISO timestamp
+ * @returns {string}
+ */
+function formatTimestamp(ts) {
+  const date = new Date(ts);
+  if (Number.isNaN(date.getTime())) return '-'.padEnd(23);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * Pretty-print a record: one header line, then its data as indented JSON
+ * @param {object} record - Log record
+ * @returns {string}
+ */
+export function formatRecord(record) {
+  const level = String(record.level || '?').toUpperCase().padEnd(5);
+  const lines = [`${formatTimestamp(record.ts)} ${level} [${record.tag || '-'}] ${record.msg ?? ''}`];
+  if (record.data !== undefined) {
+    lines.push(...JSON.stringify(record.data, null, 2).split('\n').map(line => `    ${line}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read a file from a byte offset to its end
+ * @param {string} filePath - File to read
+ * @param {number} start - Byte offset
+ * @returns {string}
+ */
+function readFrom(filePath, start) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const buffer = Buffer.alloc(Math.max(0, size - start));
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+    return buffer.toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Print new records as they are appended to a session log
+ * Handles rotation (the rest of the old file is read from .1) and partial lines.
+ * @param {string} filePath - Current session log file
+ * @param {function(object): void} onRecord - Called for each new record
+ * @param {object} [options]
+ * @param {number} [options.offset] - Bytes already read
+ * @param {AbortSignal} [options.signal] - Stops following
+ * @param {number} [options.intervalMs] - Poll interval
+ * @returns {Promise<void>} Resolves when the signal aborts
+ */
+export function followLog(filePath, onRecord, { offset = 0, signal, intervalMs = FOLLOW_INTERVAL_MS } = {}) {
+  let position = offset;
+  let partial = '';
+  let inode = null;
+
+  const emit = text => {
+    const combined = partial + text;
+    const end = combined.lastIndexOf('\n') + 1;
+    partial = combined.slice(end);
+    parseLogLines(combined.slice(0, end)).forEach(onRecord);
+  };
+
+  const poll = () => {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (e) {
+      return;  // Rotated away for a moment, or not created yet
+    }
+
+    inode ??= stat.ino;
+    if (stat.ino !== inode || stat.size < position) {
+      // Rotated: finish the old file (now .1), then start over
+      try {
+        emit(readFrom(`${filePath}.1`, position));
+      } catch (e) {
+        // Already rotated further or deleted - those records are gone
+      }
+      inode = stat.ino;
+      position = 0;
+      partial = '';
+    }
+    if (stat.size === position) return;
+
+    let text;
+    try {
+      text = readFrom(filePath, position);
+    } catch (e) {
+      return;  // Rotated between stat and open - picked up on the next poll
+    }
+    position += Buffer.byteLength(text);
+    emit(text);
+  };
+
+  return new Promise(resolve => {
+    const timer = setInterval(poll, intervalMs);
+    const stop = () => {
+      clearInterval(timer);
+      poll();
+      resolve();
+    };
+    if (signal?.aborted) stop();
+    else signal?.addEventListener('abort', stop, { once: true });
+  });
+}
+
+/**
+ * Format the session list
+ * @param {object[]} sessions - listSessions result
+ * @returns {string}
+ */
+function formatSessionList(sessions) {
+  return sessions.map(session => {
+    const kb = Math.ceil(session.size / 1024);
+    const rotated = session.files.length > 1 ? `, ${session.files.length - 1} rotated` : '';
+    return `${session.id}  ${formatTimestamp(new Date(session.mtime).toISOString()).slice(0, 19)}  ${kb} KB${rotated}`;
+  }).join('\n');
+}
+
+/**
+ * Run `wclaude logs`
+ * @param {string[]} argv - Arguments after "logs"
+ * @param {object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @param {string} [io.dir] - Log directory (default LOG_DIR)
+ * @param {number} [io.now] - Current time in ms (for relative times)
+ * @param {AbortSignal} [io.signal] - Stops --follow (default: Ctrl+C)
+ * @returns {Promise<number>} Exit code: 0 ok, 1 no such logs, 2 usage error
+ */
+export async function runLogsCommand(argv, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n'),
+  dir = LOG_DIR,
+  now = Date.now(),
+  signal
+} = {}) {
+  const args = parseLogsArgs(argv, { now });
+  if (args.error) {
+    err(`wclaude logs: ${args.error}`);
+    err(LOGS_USAGE);
+    return 2;
+  }
+
+  const sessions = listSessions(dir);
+  if (args.list) {
+    out(sessions.length ? formatSessionList(sessions) : `No session logs in ${dir}`);
+    return 0;
+  }
+
+  let session = sessions[0];
+  if (args.session) {
+    const matches = sessions.filter(s => s.id.startsWith(args.session));
+    if (matches.length > 1) {
+      err(`wclaude logs: session ${args.session} is ambiguous (${matches.map(s => s.id).join(', ')})`);
+      return 2;
+    }
+    session = matches[0];
+  }
+  if (!session) {
+    err(args.session
+      ? `wclaude logs: no log for session ${args.session} in ${dir} (see wclaude logs --list)`
+      : `wclaude logs: no session logs in ${dir} yet`);
+    return 1;
+  }
+
+  const print = record => out(args.json ? JSON.stringify(record) : formatRecord(record));
+  const current = session.files[session.files.length - 1];
+  let offset = 0;
+  const records = [];
+  for (const file of session.files) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (file === current) offset = Buffer.byteLength(text);
+    records.push(...parseLogLines(text));
+  }
+
+  const lines = args.lines ?? (args.follow ? FOLLOW_INITIAL_LINES : null);
+  const matching = filterRecords(records, args);
+  matching.slice(lines ? -lines : 0).forEach(print);
+
+  if (args.follow) {
+    let stopSignal = signal;
+    let onInterrupt;
+    if (!stopSignal) {
+      const controller = new AbortController();
+      onInterrupt = () => controller.abort();
+      process.once('SIGINT', onInterrupt);
+      stopSignal = controller.signal;
+    }
+    err(`Following ${current} (Ctrl+C to stop)`);
+    await followLog(current, record => filterRecords([record], args).forEach(print), { offset, signal: stopSignal });
+    if (onInterrupt) process.removeListener('SIGINT', onInterrupt);
+  }
+  return 0;
+}
@@ -0,0 +1,271 @@
+// offline.js - Wait for the connection to come back after a network error
+//
+// Between connectivity checks (see connectivity.js) the wait counts down on
+// one updating line in the terminal:
+//
+//   [wclaude] No internet connection (dns failed: ...). Retry 2/10 in 17s - R: retry now, Q: give up
+//
+//   R, Enter, Space    check now instead of waiting for the countdown
+//   Q, Esc, Ctrl+C     give up (wclaude exits)
+//
+// With network.maxRetries 0 the wait never gives up by itself. After the last
+// check the wait asks whether to keep trying instead of exiting. Without a
+// terminal (stdin or stderr redirected) it prints one line per check, and
+// after the last check it gives up.
+//
+// A timer alone can keep a reconnected laptop waiting for up to a minute, so
+// the wait also watches the network interfaces (network.watchInterfaces): a
+// new or lost address (Wi-Fi joined, VPN up, cable plugged in) ends the
+// countdown within NETWORK_POLL_MS and checks at once.
+//
+// The delays come from calculateBackoff (runner.js), optionally with jitter
+// (network.jitter) so that many clients cut off together do not all retry in
+// the same second:
+//
+//   none          base * 2^(n-1), up to the max
+//   full          random between 0 and that
+//   decorrelated  random between base and 3x the previous delay, up to the max
+
+import os from 'os';
+
+/**
+ * Keys understood during the wait
+ */
+export const OFFLINE_KEYS = {
+  retry: ['r', 'R', '\r', '\n', ' '],
+  cancel: ['q', 'Q', '\x1b', '\x03']  // Esc, Ctrl+C (raw mode delivers it as a key)
+};
+
+/**
+ * Jitter modes for the retry delay (network.jitter)
+ */
+export const BACKOFF_JITTER = ['none', 'full', 'decorrelated'];
+
+/**
+ * How often the network interfaces are compared
+ */
+export const NETWORK_POLL_MS = 1000;
+
+/**
+ * Clear the current terminal line and return to its start
+ */
+const CLEAR_LINE = '\r\x1b[2K';
+
+/**
+ * Check a network.jitter setting
+ * @param {string} mode - Jitter mode
+ * @throws {Error} If the mode is unknown
+ */
+export function validateJitter(mode) {
+  if (!BACKOFF_JITTER.includes(mode)) {
+    throw new Error(`must be one of ${BACKOFF_JITTER.join(', ')}`);
+  }
+}
+
+/**
+ * Action for a keypress
+ * @param {Buffer|string} data - Data read from stdin in raw mode
+ * @returns {'retry'|'cancel'|null}
+ */
+export function keyAction(data) {
+  const key = data.toString();
+  if (OFFLINE_KEYS.cancel.includes(key)) return 'cancel';
+  if (OFFLINE_KEYS.retry.includes(key)) return 'retry';
+  return null;
+}
+
+/**
+ * Status line for one wait
+ * @param {object} state
+ * @param {number} state.attempt - Check about to run (1-based)
+ * @param {number} state.maxRetries - Checks before giving up (0 = no limit)
+ * @param {number} state.remainingMs - Time until the check
+ * @param {object|null} [state.probe] - Result of the last failed check
+ * @param {boolean} [state.interactive] - Include the key help
+ * @returns {string}
+ */
+export function formatWait({ attempt, maxRetries, remainingMs, probe = null, interactive = false }) {
+  const reason = probe ? ` (${probe.stage} failed: ${probe.error})` : '';
+  const count = maxRetries ? `${attempt}/${maxRetries}` : `${attempt}`;
+  const keys = interactive ? ' - R: retry now, Q: give up' : '';
+  return `[wclaude] No internet connection${reason}. Retry ${count} in ${Math.ceil(remainingMs / 1000)}s...${keys}`;
+}
+
+/**
+ * Read wait keys from a terminal in raw mode
+ * @param {tty.ReadStream} input - Terminal input
+ * @param {function('retry'|'cancel'): void} onAction - Called for each wait key
+ * @returns {function(): void} Restores the terminal
+ */
+export function watchKeys(input, onAction) {
+  const wasRaw = Boolean(input.isRaw);
+  const onData = data => {
+    const action = keyAction(data);
+    if (action) onAction(action);
+  };
+
+  input.setRawMode?.(true);
+  input.on('data', onData);
+  input.resume();
+
+  return () => {
+    input.removeListener('data', onData);
+    input.setRawMode?.(wasRaw);
+    input.pause();
+  };
+}
+
+/**
+ * Addresses of the external network interfaces, as one comparable string
+ * @param {object} interfaces - os.networkInterfaces() result
+ * @returns {string}
+ */
+export function interfaceSignature(interfaces) {
+  return Object.entries(interfaces)
+    .flatMap(([name, addresses]) => (addresses || [])
+      .filter(address => !address.internal)
+      .map(address => `${name} ${address.address}`))
+    .sort()
+    .join('\n');
+}
+
+/**
+ * Call onChange when the network interfaces change
+ * @param {function(): void} onChange - Called after each change
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] - Poll interval
+ * @param {function(): object} [options.getInterfaces] - os.networkInterfaces
+ * @returns {function(): void} Stops watching
+ */
+export function watchNetworkChanges(onChange, { intervalMs = NETWORK_POLL_MS, getInterfaces = os.networkInterfaces } = {}) {
+  const read = () => {
+    try {
+      return interfaceSignature(getInterfaces());
+    } catch (e) {
+      return null;  // Can fail while an adapter is being reconfigured - try again next time
+    }
+  };
+
+  let last = read();
+  const timer = setInterval(() => {
+    const current = read();
+    if (current === null || current === last) return;
+    last = current;
+    onChange();
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Queue of wait events (keys, network changes)
+ * Events that arrive while nothing waits (e.g. during a check) are kept for
+ * the next next(); a network change is kept only once.
+ * @returns {{ push: function(string): void, next: function(number=): Promise<string|null> }}
+ *   next(timeoutMs) resolves with the next event, or null after timeoutMs
+ */
+function createEvents() {
+  const pending = [];
+  let waiter = null;
+
+  return {
+    push(event) {
+      if (waiter) {
+        waiter(event);
+      } else if (event !== 'network' || !pending.includes(event)) {
+        pending.push(event);
+      }
+    },
+    next(timeoutMs = Infinity) {
+      if (pending.length > 0) return Promise.resolve(pending.shift());
+      return new Promise(resolve => {
+        const timer = Number.isFinite(timeoutMs) ? setTimeout(() => done(null), timeoutMs) : null;
+        const done = event => {
+          clearTimeout(timer);
+          waiter = null;
+          resolve(event);
+        };
+        waiter = done;
+      });
+    }
+  };
+}
+
+/**
+ * Wait until a connectivity check succeeds
+ * @param {object} options
+ * @param {function(): Promise<{ok: boolean}>} options.check - Connectivity check (probeConnectivity result)
+ * @param {function(number): number} options.delayFor - Delay before check n (see calculateBackoff)
+ * @param {number} [options.maxRetries] - Checks before giving up (0 = no limit)
+ * @param {function(object): void} [options.onWait] - Called before each wait with { attempt, delayMs, probe }
+ * @param {function(function): function} [options.watchNetwork] - Starts an early-retry event source
+ *   (see watchNetworkChanges); null to wait for the timer only
+ * @param {stream.Readable} [options.input] - Terminal input (keys)
+ * @param {stream.Writable} [options.output] - Where the status line goes
+ * @param {boolean} [options.interactive] - Countdown and keys (default: both streams are terminals)
+ * @param {number} [options.tickMs] - Countdown update interval
+ * @returns {Promise<{ status: 'online'|'cancelled'|'exhausted', attempts: number, probe: object|null }>}
+ *   attempts: checks run; probe: last check result
+ */
+export async function waitForOnline({
+  check,
+  delayFor,
+  maxRetries = 10,
+  onWait = () => {},
+  watchNetwork = null,
+  input = process.stdin,
+  output = process.stderr,
+  interactive = Boolean(input.isTTY && output.isTTY),
+  tickMs = 1000
+}) {
+  const events = createEvents();
+  const stopKeys = interactive ? watchKeys(input, events.push) : null;
+  const stopNetwork = watchNetwork ? watchNetwork(() => events.push('network')) : null;
+  const show = line => output.write(interactive ? `${CLEAR_LINE}${line}` : `${line}\n`);
+  let attempts = 0;
+  let round = 0;  // Checks since the start or since "keep trying"
+  let probe = null;
+
+  try {
+    while (true) {
+      if (maxRetries && round >= maxRetries) {
+        if (!interactive) return { status: 'exhausted', attempts, probe };
+        show(`[wclaude] Still no connection after ${attempts} checks - R: keep trying, Q: give up`);
+        if (await events.next() === 'cancel') return { status: 'cancelled', attempts, probe };
+        round = 0;
+      }
+
+      round++;
+      const delayMs = delayFor(round);
+      onWait({ attempt: attempts + 1, delayMs, probe });
+
+      // Count down until the delay is over, a key is pressed or the network changes
+      const state = { attempt: round, maxRetries, probe, interactive };
+      const until = Date.now() + delayMs;
+      let event = null;
+      if (!interactive) show(formatWait({ ...state, remainingMs: delayMs }));
+      while (!event && Date.now() < until) {
+        const remainingMs = until - Date.now();
+        if (interactive) show(formatWait({ ...state, remainingMs }));
+        event = await events.next(interactive ? Math.min(tickMs, remainingMs) : remainingMs);
+      }
+      if (event === 'cancel') return { status: 'cancelled', attempts, probe };
+      if (event === 'network') {
+        show('[wclaude] Network changed, checking the connection...');
+      } else if (interactive) {
+        show('[wclaude] Checking the connection...');
+      }
+
+      attempts++;
+      const result = await check();
+      if (result.ok) return { status: 'online', attempts, probe: result };
+      probe = result;
+    }
+  } finally {
+    stopNetwork?.();
+    if (stopKeys) {
+      stopKeys();
+      output.write(CLEAR_LINE);
+    }
+  }
+}
@@ -0,0 +1,439 @@
+// policy.js - Permission policy rules for wclaude
+//
+// This file decides how the injected PermissionRequest hook answers
+// Claude Code: allow the tool call, deny it with a message, or ask
+// (pass through to Claude Code's normal permission prompt).
+//
+// Policy files:
+// - User policy:    ~/.claude/wclaude-policy.json (WCLAUDE_POLICY_FILE moves it)
+// - Project policy: .wclaude/policy.json (nearest one walking up from the project cwd)
+//
+// Example:
+//   {
+//     "onError": "closed",
+//     "rules": [
+//       { "name": "no-secrets", "action": "deny", "tools": ["Read", "Edit", "Write"],
+//         "paths": ["**/.env", "**/*.pem"], "message": "Secrets are off limits" },
+//       { "name": "confirm-push", "action": "ask", "tools": ["Bash"],
+//         "commands": ["^git\\s+push\\b"] }
+//     ]
+//   }
+//
+// onError (user policy only) decides what happens when a PermissionRequest
+// cannot be parsed: "open" (allow), "prompt" (normal Claude Code prompt) or
+// "closed" (deny). WCLAUDE_PERMISSIONS_ON_ERROR overrides it.
+//
+// Relative path globs are anchored at the project root (the directory that
+// holds .wclaude/) in project policies, and at the request cwd in the user
+// policy.
+//
+// Within a policy file, rules are evaluated in order and the first matching
+// rule wins. The built-in DEFAULT_POLICY rules are evaluated after the user
+// policy's rules, so an empty policy file behaves exactly like no policy file.
+//
+// User and project policies are evaluated separately and the stricter
+// decision wins (deny > ask > allow). A project policy can tighten the user
+// policy but never loosen it; if no project rule matches, the project has
+// no opinion.
+//
+// Test manually with:
+//   node -e "import('./policy.js').then(m => console.log(m.evaluatePolicy(m.loadPolicy(), { tool_name: 'Bash' })))"
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Valid rule actions
+ * - allow: approve the tool call without prompting
+ * - deny: reject the tool call and tell Claude why
+ * - ask: pass through to Claude Code's normal permission prompt
+ */
+export const ACTIONS = ['allow', 'deny', 'ask'];
+
+/**
+ * What to do when a PermissionRequest cannot be parsed
+ * - open: allow the tool call (default, keeps the session moving)
+ * - prompt: pass through to Claude Code's normal permission prompt
+ * - closed: deny the tool call
+ */
+export const FAILURE_MODES = ['open', 'prompt', 'closed'];
+
+/**
+ * Environment variable that overrides the policy file's onError setting
+ */
+export const FAILURE_MODE_ENV = 'WCLAUDE_PERMISSIONS_ON_ERROR';
+
+/**
+ * Environment variable that moves the user-level policy file (e.g. for tests)
+ */
+export const USER_POLICY_ENV = 'WCLAUDE_POLICY_FILE';
+
+/**
+ * Default location of the user-level policy file
+ */
+export const USER_POLICY_PATH = process.env[USER_POLICY_ENV] || path.join(os.homedir(), '.claude', 'wclaude-policy.json');
+
+/**
+ * Project policy file, relative to the project root
+ */
+export const PROJECT_POLICY_FILE = path.join('.wclaude', 'policy.json');
+
+/**
+ * Built-in policy: ask for tools that need user interaction, allow everything else
+ */
+export const DEFAULT_POLICY = {
+  rules: [
+    {
+      name: 'interactive-tools',
+      action: 'ask',
+      tools: ['AskUserQuestion', 'ExitPlanMode']
+    },
+    {
+      name: 'default-allow',
+      action: 'allow',
+      tools: ['*']
+    }
+  ]
+};
+
+/**
+ * Decision strictness, used to combine user and project policies
+ */
+const STRICTNESS = { allow: 0, ask: 1, deny: 2 };
+
+/**
+ * tool_input fields that hold file system paths
+ */
+const PATH_FIELDS = ['file_path', 'path', 'notebook_path'];
+
+/**
+ * Normalize a path for glob matching (forward slashes, ~ expanded)
+ * @param {string} p - Windows or POSIX path
+ * @returns {string} Normalized path
+ */
+function normalizePath(p) {
+  let normalized = String(p).replace(/\\/g, '/');
+  if (normalized === '~' || normalized.startsWith('~/')) {
+    normalized = os.homedir().replace(/\\/g, '/') + normalized.slice(1);
+  }
+  return normalized;
+}
+
+/**
+ * Check if a (normalized) path or glob is absolute
+ * @param {string} p - Normalized path
+ * @returns {boolean}
+ */
+function isAbsolutePath(p) {
+  return p.startsWith('/') || /^[A-Za-z]:\//.test(p);
+}
+
+/**
+ * Convert a path glob to a regular expression
+ * Supports ** (any characters including /), * (any characters except /) and ? (one character).
+ * Matching is case-insensitive because Windows paths are.
+ * @param {string} glob - Glob pattern (e.g. "src/**\/*.js")
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const normalized = normalizePath(glob);
+  let source = '';
+
+  for (let i = 0; i < normalized.length; i++) {
+    const ch = normalized[i];
+    if (ch === '*') {
+      if (normalized[i + 1] === '*') {
+        // "**/" matches zero or more directories, "**" alone matches anything
+        if (normalized[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Convert a tool name glob (e.g. "mcp__github__*") to a regular expression
+ * @param {string} pattern - Tool name pattern
+ * @returns {RegExp}
+ */
+function toolPatternToRegExp(pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Accept a single string or an array of strings
+ * @param {*} value - Rule field value
+ * @param {string} field - Field name (for error messages)
+ * @param {string} ruleName - Rule name (for error messages)
+ * @returns {string[]|null} null if the field is not set
+ */
+function toStringList(value, field, ruleName) {
+  if (value === undefined) return null;
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(v => typeof v !== 'string' || v === '')) {
+    throw new Error(`Rule "${ruleName}": "${field}" must be a non-empty string or array of strings`);
+  }
+  return list;
+}
+
+/**
+ * Validate a policy rule and compile its patterns
+ * @param {object} rule - Rule from a policy file
+ * @param {number} index - Position in the rules array (used when the rule has no name)
+ * @returns {object} Compiled rule
+ */
+export function compileRule(rule, index = 0) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Rule #${index + 1} must be an object`);
+  }
+
+  const name = rule.name || `rule-${index + 1}`;
+
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`Rule "${name}": action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (rule.message !== undefined && typeof rule.message !== 'string') {
+    throw new Error(`Rule "${name}": "message" must be a string`);
+  }
+
+  const tools = toStringList(rule.tools, 'tools', name);
+  const paths = toStringList(rule.paths, 'paths', name);
+  const commands = toStringList(rule.commands, 'commands', name);
+
+  return {
+    name,
+    action: rule.action,
+    message: rule.message,
+    tools: tools && tools.map(toolPatternToRegExp),
+    paths: paths && paths.map(glob => ({ glob: normalizePath(glob), regex: globToRegExp(glob) })),
+    commands: commands && commands.map(pattern => {
+      try {
+        return new RegExp(pattern);
+      } catch (e) {
+        throw new Error(`Rule "${name}": invalid command pattern ${JSON.stringify(pattern)} (${e.message})`);
+      }
+    })
+  };
+}
+
+/**
+ * Validate a policy and compile all of its rules
+ * The DEFAULT_POLICY rules are appended (unless options.defaults is false)
+ * so unmatched requests keep the built-in behavior.
+ * @param {object} policy - Parsed policy ({ rules: [...] })
+ * @param {string} [source] - Where the policy came from (for error messages)
+ * @param {{ defaults?: boolean, root?: string }} [options] - defaults: append DEFAULT_POLICY rules
+ *   (default true); root: directory relative path globs are anchored at (default: the request cwd)
+ * @returns {{ rules: object[], source: string, root?: string, onError?: string }}
+ */
+export function compilePolicy(policy = {}, source = 'built-in', { defaults = true, root } = {}) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`${source}: policy must be a JSON object`);
+  }
+  if (policy.rules !== undefined && !Array.isArray(policy.rules)) {
+    throw new Error(`${source}: "rules" must be an array`);
+  }
+  if (policy.onError !== undefined && !FAILURE_MODES.includes(policy.onError)) {
+    throw new Error(`${source}: "onError" must be one of ${FAILURE_MODES.join(', ')}`);
+  }
+
+  try {
+    return {
+      source,
+      root,
+      onError: policy.onError,
+      rules: [...(policy.rules || []), ...(defaults ? DEFAULT_POLICY.rules : [])].map(compileRule)
+    };
+  } catch (e) {
+    throw new Error(`${source}: ${e.message}`);
+  }
+}
+
+/**
+ * Load and compile a policy file
+ * A missing file is not an error - an empty policy is returned instead.
+ * @param {string} [filePath] - Policy file path (defaults to USER_POLICY_PATH)
+ * @param {{ defaults?: boolean, root?: string }} [options] - Passed to compilePolicy
+ * @returns {{ rules: object[], source: string, root?: string }}
+ */
+export function loadPolicy(filePath = USER_POLICY_PATH, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    return compilePolicy({}, 'built-in', options);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`${filePath}: could not parse policy file (${e.message})`);
+  }
+
+  return compilePolicy(parsed, filePath, options);
+}
+
+/**
+ * Resolve the failure mode for unparseable PermissionRequests
+ * The environment variable wins over the policy file; invalid values are ignored.
+ * @param {{ onError?: string }} [policy] - Compiled user policy
+ * @param {object} [env] - Environment (defaults to process.env)
+ * @returns {string} One of FAILURE_MODES
+ */
+export function resolveFailureMode(policy, env = process.env) {
+  const fromEnv = (env[FAILURE_MODE_ENV] || '').trim().toLowerCase();
+  if (FAILURE_MODES.includes(fromEnv)) {
+    return fromEnv;
+  }
+  return policy?.onError || 'open';
+}
+
+/**
+ * Find the nearest project policy file, walking up from a directory
+ * @param {string} cwd - Directory to start from (usually the PermissionRequest cwd)
+ * @returns {string|null} Path to .wclaude/policy.json, or null if there is none
+ */
+export function findProjectPolicy(cwd) {
+  if (!cwd) return null;
+
+  let dir = path.resolve(cwd);
+  while (true) {
+    const candidate = path.join(dir, PROJECT_POLICY_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Collect the file system paths a tool call touches
+ * @param {object} toolInput - tool_input from the PermissionRequest
+ * @returns {string[]} Normalized paths
+ */
+function getToolPaths(toolInput) {
+  if (!toolInput || typeof toolInput !== 'object') return [];
+  return PATH_FIELDS
+    .filter(field => typeof toolInput[field] === 'string' && toolInput[field])
+    .map(field => normalizePath(toolInput[field]));
+}
+
+/**
+ * Check if a path matches a compiled path glob
+ * Absolute globs and globs starting with ** match anywhere; other relative
+ * globs are matched against the path relative to the base directory.
+ * @param {{ glob: string, regex: RegExp }} pattern - Compiled path glob
+ * @param {string} toolPath - Normalized path from tool_input
+ * @param {string} base - Normalized base directory ('' if unknown)
+ * @returns {boolean}
+ */
+function matchesPath(pattern, toolPath, base) {
+  if (isAbsolutePath(pattern.glob) || pattern.glob.startsWith('**')) {
+    if (pattern.regex.test(toolPath)) return true;
+    if (isAbsolutePath(pattern.glob)) return false;
+  }
+
+  let relative = toolPath;
+  if (isAbsolutePath(toolPath)) {
+    const prefix = base.replace(/\/+$/, '') + '/';
+    if (!base || !toolPath.toLowerCase().startsWith(prefix.toLowerCase())) {
+      return false;
+    }
+    relative = toolPath.slice(prefix.length);
+  }
+  return pattern.regex.test(relative.replace(/^\.\//, ''));
+}
+
+/**
+ * Check if a compiled rule matches a PermissionRequest
+ * Every field the rule sets must match; unset fields match anything.
+ * @param {object} rule - Compiled rule
+ * @param {object} request - Parsed PermissionRequest (tool_name, tool_input, cwd)
+ * @param {string} [root] - Base directory for relative path globs (defaults to request cwd)
+ * @returns {boolean}
+ */
+function matchesRule(rule, request, root) {
+  const toolName = String(request.tool_name ?? '');
+  const toolInput = request.tool_input || {};
+
+  if (rule.tools && !rule.tools.some(regex => regex.test(toolName))) {
+    return false;
+  }
+
+  if (rule.paths) {
+    const base = root || request.cwd ? normalizePath(root || request.cwd) : '';
+    const toolPaths = getToolPaths(toolInput);
+    if (!toolPaths.some(p => rule.paths.some(pattern => matchesPath(pattern, p, base)))) {
+      return false;
+    }
+  }
+
+  if (rule.commands) {
+    const command = typeof toolInput.command === 'string' ? toolInput.command : null;
+    if (command === null || !rule.commands.some(regex => regex.test(command))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a PermissionRequest against a compiled policy
+ * @param {{ rules: object[] }} policy - Compiled policy (from compilePolicy/loadPolicy)
+ * @param {object} request - Parsed PermissionRequest (tool_name, tool_input, cwd)
+ * @returns {{ action: string, rule: string, message?: string }|null} null if no rule matches
+ */
+export function evaluatePolicy(policy, request) {
+  for (const rule of policy.rules) {
+    if (matchesRule(rule, request || {}, policy.root)) {
+      return rule.message
+        ? { action: rule.action, rule: rule.name, message: rule.message }
+        : { action: rule.action, rule: rule.name };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate a PermissionRequest against layered policies (user policy first, then project)
+ * Each layer is evaluated on its own and the strictest decision wins; on a tie
+ * the earlier layer's rule is reported. A layer with no matching rule has no opinion.
+ * @param {object[]} layers - Compiled policies
+ * @param {object} request - Parsed PermissionRequest (tool_name, tool_input, cwd)
+ * @returns {{ action: string, rule: string, source: string, message?: string }}
+ */
+export function evaluatePolicyLayers(layers, request) {
+  let result = null;
+
+  for (const layer of layers) {
+    const verdict = evaluatePolicy(layer, request);
+    if (verdict && (!result || STRICTNESS[verdict.action] > STRICTNESS[result.action])) {
+      result = { ...verdict, source: layer.source };
+    }
+  }
+
+  // Only reachable when no layer includes the default rules
+  return result || { action: 'ask', rule: 'no-match', source: 'none' };
+}
@@ -0,0 +1,113 @@
+// redact.js - Mask secrets before wclaude writes anything to disk
+//
+// Used by the session log (logger.js) and the audit log. Two kinds
+// of secrets are masked:
+//
+//   - Known values: the API tokens wclaude loaded (see secrets.js), added
+//     with redactor.addSecrets() once they are known
+//   - Patterns: KEY=value assignments, --password/--token flags, bearer
+//     tokens, sk- keys, AWS access key ids and GitHub tokens
+//
+// Objects are redacted field by field before they are serialized, so
+// masking never breaks the JSON that ends up in the log.
+
+/**
+ * Replacement for a masked value
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Object keys whose string values are always masked
+ */
+export const SECRET_KEY_PATTERN = /token|secret|passw(or)?d|api[_-]?key|auth|credential/i;
+
+/**
+ * Secrets embedded in strings. Group 1 is kept so the log still shows what
+ * kind of value was masked (e.g. "GITHUB_TOKEN=[REDACTED]", "sk-[REDACTED]").
+ */
+export const SECRET_PATTERNS = [
+  /(\b[A-Z0-9_]*(?:TOKEN|SECRET|PASSWORD|API_KEY)[A-Z0-9_]*=)("[^"]*"|'[^']*'|[^\s"']+)/gi,
+  /(--?(?:password|token|secret|api-key)[= ])("[^"]*"|'[^']*'|[^\s"']+)/gi,
+  /(\bBearer\s+)([A-Za-z0-9._~+/-]+=*)/gi,
+  /(\bsk-)[A-Za-z0-9_-]{20,}/g,
+  /(\b(?:AKIA|ASIA))[0-9A-Z]{16}\b/g,
+  /(\b(?:gh[pousr]_|github_pat_))[A-Za-z0-9_]{20,}/g
+];
+
+/**
+ * Known values shorter than this are not masked (they would match ordinary text)
+ */
+const MIN_SECRET_LENGTH = 8;
+
+/**
+ * Mask secret patterns and known secret values in a string
+ * @param {string} text - Text to mask
+ * @param {Iterable<string>} [secrets] - Known secret values
+ * @returns {string} Text with secrets replaced by [REDACTED]
+ */
+export function redactText(text, secrets = []) {
+  let masked = text;
+  for (const secret of secrets) {
+    masked = masked.split(secret).join(REDACTED);
+  }
+  return SECRET_PATTERNS.reduce((result, pattern) => result.replace(pattern, `$1${REDACTED}`), masked);
+}
+
+/**
+ * Mask secrets in a value: strings, and the fields of arrays and plain objects
+ * @param {*} value - Value to mask (not modified)
+ * @param {Iterable<string>} [secrets] - Known secret values
+ * @returns {*} Masked copy
+ */
+export function redactValue(value, secrets = []) {
+  if (typeof value === 'string') return redactText(value, secrets);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, secrets));
+  if (!value || typeof value !== 'object') return value;
+
+  const masked = {};
+  for (const [key, field] of Object.entries(value)) {
+    masked[key] = SECRET_KEY_PATTERN.test(key) && typeof field === 'string'
+      ? REDACTED
+      : redactValue(field, secrets);
+  }
+  return masked;
+}
+
+/**
+ * Create a redactor that also masks the values it is told about
+ * @param {string[]} [secrets] - Initial known secret values
+ * @returns {{ addSecrets: function(Iterable<string>): void, redact: function(*): * }}
+ */
+export function createRedactor(secrets = []) {
+  // Longest first, so a secret that contains another is masked whole
+  let known = [];
+
+  const redactor = {
+    /**
+     * Mask these values from now on (short and empty values are ignored)
+     * @param {Iterable<string>} values - Secret values
+     */
+    addSecrets(values) {
+      const all = new Set(known);
+      for (const value of values) {
+        if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) continue;
+        all.add(value);
+        // Also match the value as it appears inside JSON text (e.g. raw hook input)
+        all.add(JSON.stringify(value).slice(1, -1));
+      }
+      known = [...all].sort((a, b) => b.length - a.length);
+    },
+
+    /**
+     * Mask secrets in a string or object
+     * @param {*} value - Value to mask
+     * @returns {*} Masked copy
+     */
+    redact(value) {
+      return redactValue(value, known);
+    }
+  };
+
+  redactor.addSecrets(secrets);
+  return redactor;
+}
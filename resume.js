@@ -0,0 +1,109 @@
+// resume.js - Resume the Claude Code conversation after an auto-restart
+//
+// Claude Code writes each conversation to a transcript named after its
+// session ID, in a directory per project:
+//
+//   ~/.claude/projects/C--Users-me-project/0f1e2d3c-....jsonl
+//
+// After a crash the runner looks for the transcript this wclaude process
+// wrote to last and restarts Claude Code with `--resume <id>`, so the user
+// keeps the conversation instead of landing in a new one. Resume flags the
+// user passed (--continue, --resume, --session-id) are replaced.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Claude Code's configuration directory (CLAUDE_CONFIG_DIR overrides ~/.claude)
+ * @param {object} [env] - Environment variables
+ * @returns {string}
+ */
+export function claudeConfigDir(env = process.env) {
+  return env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+}
+
+/**
+ * Transcript directory of a project
+ * Claude Code replaces every character except letters and digits with "-".
+ * @param {string} cwd - Project directory
+ * @param {string} [configDir] - Claude Code's configuration directory
+ * @returns {string} e.g. ~/.claude/projects/C--Users-me-project
+ */
+export function transcriptDir(cwd, configDir = claudeConfigDir()) {
+  return path.join(configDir, 'projects', cwd.replace(/[^a-zA-Z0-9]/g, '-'));
+}
+
+/**
+ * Transcript file names: <session ID>.jsonl
+ */
+const TRANSCRIPT_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.jsonl$/i;
+
+/**
+ * Find the conversation that was written to last
+ * @param {string} dir - Transcript directory (see transcriptDir)
+ * @param {number} [since] - Ignore transcripts not modified since then (ms),
+ *   e.g. conversations of other sessions before wclaude started
+ * @returns {{ id: string, file: string, mtime: number }|null}
+ */
+export function findActiveSession(dir, since = 0) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    return null;  // No conversation in this project yet
+  }
+
+  let active = null;
+  for (const name of names) {
+    const match = TRANSCRIPT_PATTERN.exec(name);
+    if (!match) continue;
+    const file = path.join(dir, name);
+    let mtime;
+    try {
+      mtime = fs.statSync(file).mtimeMs;
+    } catch (e) {
+      continue;  // Deleted in the meantime
+    }
+    if (mtime >= since && (!active || mtime > active.mtime)) {
+      active = { id: match[1], file, mtime };
+    }
+  }
+  return active;
+}
+
+/**
+ * Claude Code arguments that resume a conversation
+ * Existing --continue/-c, --resume/-r [id] and --session-id <id> flags are
+ * removed first, so the restart always resumes the given session.
+ * @param {string[]} args - Claude Code arguments
+ * @param {string} sessionId - Session to resume
+ * @returns {string[]} New arguments
+ */
+export function resumeArgs(args, sessionId) {
+  const result = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      result.push(...args.slice(i));
+      break;
+    }
+    if (arg === '--continue' || arg === '-c' || arg.startsWith('--resume=') || arg.startsWith('--session-id=')) {
+      continue;
+    }
+    if (arg === '--resume' || arg === '-r') {
+      // The session ID is optional (without one Claude Code shows a picker)
+      if (TRANSCRIPT_PATTERN.test(`${args[i + 1]}.jsonl`)) i++;
+      continue;
+    }
+    if (arg === '--session-id') {
+      i++;
+      continue;
+    }
+    result.push(arg);
+  }
+
+  const end = result.indexOf('--');
+  const resume = ['--resume', sessionId];
+  return end === -1 ? [...result, ...resume] : [...result.slice(0, end), ...resume, ...result.slice(end)];
+}
@@ -5,17 +5,23 @@
  * Based on win-claude-code by somersby10ml (MIT License)
  * Enhanced with:
  * - EPERM crash fix for Windows process termination
- * - Environment setup (MSYS, NODE_OPTIONS)
- * - API token loading from Windows Registry
+ * - Environment setup (MSYS), heap sizing and memory-pressure warnings
+ * - API token loading from secret providers (registry, dotenv, vault, command)
  * - WSL path detection and redirection
  * - MCP module directory setup
- * - Auto-restart on crash (with loop prevention)
+ * - Auto-restart on crash (policy per crash class, loop prevention, conversation resume,
+ *   crash report when it gives up), optionally as a supervisor of a child process
  * - Auto-approve permissions (native JavaScript, no PowerShell)
+ * - Permission policy rules (allow/deny/ask per tool, path and command)
+ * - Audit log of permission decisions and blocked commands
+ * - Leveled JSON-lines session logs with rotation and secret redaction
+ * - Watchdog: timeout and stdout budget for Git Bash commands
+ * - Layered configuration (wclaude.json, .wclaude.json, WCLAUDE_* variables)
  *
  * Hooks:
  * 1. fs.accessSync - Fake /bin/bash existence
  * 2. os.tmpdir - Convert Windows paths to POSIX
- * 3. child_process.spawn - Redirect /bin/bash to Git Bash, intercept hooks
+ * 3. child_process.spawn - Redirect /bin/bash to Git Bash, intercept hooks, watchdog limits
  * 4. process.kill - Catch EPERM, use taskkill fallback
  * 5. ChildProcess.prototype.kill - Catch EPERM
  * 6. child_process.execSync - Intercept cygpath, use windowsToPosix
@@ -27,12 +33,63 @@ import path from 'path';
 import fs from 'fs';
 import { syncBuiltinESMExports, createRequire } from 'module';
 import os from 'os';
-import dns from 'dns';
-import { promisify } from 'util';
 import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
-import { validateCommand } from './blocklist.js';
+import {
+  validateCommand,
+  shellQuote,
+  USER_RULES_PATH,
+  loadRuleFile,
+  findProjectRules,
+  mergeRules
+} from './blocklist.js';
+import {
+  USER_POLICY_PATH,
+  loadPolicy,
+  compilePolicy,
+  findProjectPolicy,
+  evaluatePolicyLayers,
+  resolveFailureMode
+} from './policy.js';
+import { watchChild, commandTimeout } from './watchdog.js';
+import { loadConfig, configEnvName } from './config.js';
+import { parseArgs, runWrapper, WCLAUDE_VERSION } from './cli.js';
+import {
+  PROGRAM_FILES_GIT_CMD,
+  MCP_JUNCTION_PATH,
+  findGitBashPath,
+  getNpmGlobalRoot,
+  getPowerShellVersion,
+  supportsToasts,
+  queryProtocolHandler
+} from './system.js';
+import { createAuditLog, summarizeToolInput } from './audit.js';
+import { resolveSecrets, formatSecretReport } from './secrets.js';
+import { createRedactor } from './redact.js';
+import { LOG_LEVELS, createLogger, sessionLogPath } from './logger.js';
+import { transcriptDir, findActiveSession, resumeArgs } from './resume.js';
+import {
+  SUPERVISOR_ENV,
+  childNodeArgs,
+  recordCrash,
+  readCrashRecord,
+  crashFromExit,
+  runChild,
+  supportsImportFlag
+} from './supervisor.js';
+import { heapSizeFor, heapFromNodeOptions, heapUsage, createHeapMonitor } from './heap.js';
+import { probeTarget, probeConnectivity, formatProbe } from './connectivity.js';
+import { waitForOnline, watchNetworkChanges } from './offline.js';
+import {
+  CRASH_CLASSES,
+  CRASH_BACKOFF,
+  classifyCrash,
+  nextHeapSize,
+  describeCrash,
+  createCrashReport,
+  writeCrashReport
+} from './crash.js';
 
 // ES modules equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -50,34 +107,30 @@ let wclaudeTabTitle = '';
 let Toast = null;  // Loaded dynamically by loadPowerToast()
 let parentWtHandle = 0;  // Windows Terminal window handle (found at startup)
 
-const dnsLookup = promisify(dns.lookup);
+// Set when this process is the Claude Code child of a supervising wclaude (see
+// supervisor.js). Removed from the environment so Claude Code's own children
+// don't see them.
+const supervisorSession = process.env[SUPERVISOR_ENV.session];
+const supervisorCrashFile = process.env[SUPERVISOR_ENV.crashFile];
+delete process.env[SUPERVISOR_ENV.session];
+delete process.env[SUPERVISOR_ENV.crashFile];
+
+// Unique ID for this wclaude session (shown in the tab title, recorded in the audit log);
+// a supervised child shares its supervisor's
+const sessionId = supervisorSession || crypto.randomBytes(4).toString('hex');
 
 // ============================================
-// DEBUG MODE (must be before exported functions that use logger)
+// LOGGING (must be before exported functions that use logger)
 // ============================================
 
-const DEBUG_MODE = process.argv.includes('--windebug');
-
-// Remove --windebug from argv so Claude Code's CLI doesn't see it
-if (DEBUG_MODE) {
-  const idx = process.argv.indexOf('--windebug');
-  if (idx !== -1) {
-    process.argv.splice(idx, 1);
-  }
-}
-
-// Debug log file path (writes to ~/.claude/debug.log when --debug is enabled)
-const DEBUG_LOG_PATH = DEBUG_MODE ? path.join(os.homedir(), '.claude', 'debug.log') : null;
+// A supervised child only gets Claude Code's arguments ("--" keeps them all)
+const cliArgs = parseArgs(supervisorSession
+  ? [...process.argv.slice(0, 2), '--', ...process.argv.slice(2)]
+  : process.argv);
+const DEBUG_MODE = cliArgs.debug;
 
-// Initialize debug log file
-if (DEBUG_LOG_PATH) {
-  try {
-    const timestamp = new Date().toISOString();
-    fs.writeFileSync(DEBUG_LOG_PATH, `\n=== wclaude debug log started at ${timestamp} ===\n`, { flag: 'a' });
-  } catch (e) {
-    // Ignore - debug logging is best-effort
-  }
-}
+// Remove wrapper arguments (--wc-*, wclaude commands) so Claude Code's CLI doesn't see them
+process.argv.splice(2, process.argv.length - 2, ...cliArgs.claudeArgs);
 
 const originalConsole = {
   error: console.error.bind(console),
@@ -85,21 +138,54 @@ const originalConsole = {
   log: console.log.bind(console)
 };
 
-const logger = {
-  error: originalConsole.error,
-  warn: originalConsole.warn,
-  log: originalConsole.log,
-  debug: (...args) => {
-    if (DEBUG_MODE && DEBUG_LOG_PATH) {
-      try {
-        const timestamp = new Date().toISOString();
-        const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
-        fs.appendFileSync(DEBUG_LOG_PATH, `[${timestamp}] ${message}\n`);
-      } catch (e) {
-        // Ignore - debug logging is best-effort
-      }
-    }
-  }
+// Layered configuration (defaults, ~/.claude/wclaude.json, .wclaude.json, WCLAUDE_*)
+const wclaudeConfig = loadConfig();
+const settings = wclaudeConfig.values;
+
+// Run Claude Code in a supervised child (restart.supervisor; needs --import, see supervisor.js)
+const supervisorMode = !supervisorSession && settings.restart.supervisor && supportsImportFlag();
+
+// Masks secret patterns and loaded API token values in the session and audit logs
+const redactor = createRedactor();
+
+// Audit log of permission decisions and blocked commands (always on)
+const auditLog = createAuditLog({
+  maxBytes: settings.audit.maxBytes,
+  maxFiles: settings.audit.maxFiles,
+  fields: { session: sessionId },
+  redact: redactor.redact
+});
+
+// Audit log summary of a tool input; the redactor also knows the loaded token values
+const summarizeInput = toolInput => summarizeToolInput(toolInput, { redact: redactor.redact });
+
+// Session log (~/.claude/wclaude-logs/wclaude-<session>.jsonl); --wc-debug raises log.level to debug
+const logLevel = DEBUG_MODE && LOG_LEVELS.indexOf(settings.log.level) < LOG_LEVELS.indexOf('debug')
+  ? 'debug'
+  : settings.log.level;
+const logger = createLogger({
+  filePath: sessionLogPath(sessionId),
+  level: logLevel,
+  maxBytes: settings.log.maxBytes,
+  maxFiles: settings.log.maxFiles,
+  rotate: !supervisorMode,  // The supervised child rotates the shared log
+  maxSessions: settings.log.maxSessions,
+  fields: { session: sessionId },
+  redact: redactor.redact
+});
+
+// Subsystem loggers (the "tag" field of each record)
+const log = {
+  policy: logger.tag('policy'),
+  hooks: logger.tag('hooks'),
+  spawn: logger.tag('spawn'),
+  cygpath: logger.tag('cygpath'),
+  network: logger.tag('network'),
+  toast: logger.tag('toast'),
+  signals: logger.tag('signals'),
+  secrets: logger.tag('secrets'),
+  mcp: logger.tag('mcp'),
+  heap: logger.tag('heap')
 };
 
 // ============================================
@@ -107,15 +193,18 @@ const logger = {
 // ============================================
 
 /**
- * Configuration constants
+ * Configuration constants (from the restart and network config sections)
  */
 export const CONFIG = {
-  MAX_CRASH_RESTARTS: 3,
-  CRASH_WINDOW_MS: 60000,
-  MAX_NETWORK_RETRIES: 10,
-  NETWORK_CHECK_HOST: 'api.anthropic.com',
-  NETWORK_BACKOFF_BASE_MS: 5000,
-  NETWORK_BACKOFF_MAX_MS: 60000
+  MAX_CRASH_RESTARTS: settings.restart.maxCrashRestarts,
+  CRASH_WINDOW_MS: settings.restart.crashWindowMs,
+  MAX_NETWORK_RETRIES: settings.network.maxRetries,
+  NETWORK_CHECK_HOST: settings.network.checkHost,
+  NETWORK_PROBE_TIMEOUT_MS: settings.network.probeTimeoutMs,
+  NETWORK_BACKOFF_BASE_MS: settings.network.backoffBaseMs,
+  NETWORK_BACKOFF_MAX_MS: settings.network.backoffMaxMs,
+  NETWORK_JITTER: settings.network.jitter,
+  NETWORK_WATCH_INTERFACES: settings.network.watchInterfaces
 };
 
 /**
@@ -135,71 +224,201 @@ export function windowsToPosix(windowsPath) {
  * @param {number} attempt - Current attempt number (1-based)
  * @param {number} baseMs - Base delay in milliseconds
  * @param {number} maxMs - Maximum delay in milliseconds
+ * @param {object} [options]
+ * @param {string} [options.jitter] - none, full or decorrelated (see offline.js)
+ * @param {number} [options.previousMs] - Previous delay (decorrelated jitter)
+ * @param {function(): number} [options.random] - Random number in [0, 1)
  * @returns {number} Delay in milliseconds
  */
-export function calculateBackoff(attempt, baseMs, maxMs) {
-  return Math.min(baseMs * Math.pow(2, attempt - 1), maxMs);
+export function calculateBackoff(attempt, baseMs, maxMs, { jitter = 'none', previousMs = null, random = Math.random } = {}) {
+  if (jitter === 'decorrelated') {
+    const upperMs = Math.max(baseMs, (previousMs ?? baseMs) * 3);
+    return Math.min(Math.floor(baseMs + random() * (upperMs - baseMs)), maxMs);
+  }
+  const delayMs = Math.min(baseMs * Math.pow(2, attempt - 1), maxMs);
+  return jitter === 'full' ? Math.floor(random() * delayMs) : delayMs;
 }
 
+// Re-export isNetworkError (crash classification is in crash.js)
+export { isNetworkError } from './crash.js';
+
+// Re-export parseArgs (the wclaude command line is handled in cli.js)
+export { parseArgs } from './cli.js';
+
+// Re-export validateCommand as validateBashCommand for backward compatibility
+// The actual implementation is now in blocklist.js
+export { validateCommand as validateBashCommand } from './blocklist.js';
+
+// Cached policy and rule files by file path (reloaded when the file changes)
+const policyCache = new Map();
+const rulesCache = new Map();
+
 /**
- * Determine if an error is network-related
- * @param {Error} err - The error to check
- * @returns {boolean} true if network-related
+ * Load a file through a cache, reloading it when its mtime changes
+ * @param {Map} cache - Cache for this kind of file
+ * @param {string} filePath - File path (a missing file is cached too)
+ * @param {function(): *} load - Loads and compiles the file
+ * @returns {*} Cached result of load()
  */
-export function isNetworkError(err) {
-  if (!err) return false;
-
-  const networkErrorCodes = [
-    'ENOTFOUND', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET',
-    'ENETUNREACH', 'EAI_AGAIN', 'EHOSTUNREACH', 'EPIPE'
-  ];
-  const networkErrorMessages = [
-    'network', 'fetch failed', 'socket hang up', 'ENOTFOUND',
-    'ETIMEDOUT', 'getaddrinfo', 'connect ECONNREFUSED'
-  ];
-
-  if (err.code && networkErrorCodes.includes(err.code)) {
-    return true;
+function loadCached(cache, filePath, load) {
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch (e) {
+    // File doesn't exist
+  }
+
+  const cached = cache.get(filePath);
+  if (cached && cached.mtime === mtime) {
+    return cached.value;
   }
-  const message = (err.message || '').toLowerCase();
-  return networkErrorMessages.some(pattern =>
-    message.includes(pattern.toLowerCase())
-  );
+
+  const value = load();
+  cache.set(filePath, { mtime, value });
+  return value;
 }
 
 /**
- * Parse command line arguments
- * @param {string[]} args - process.argv array
- * @returns {object} Parsed flags
+ * Load a policy file through the cache.
+ * An invalid policy file never fails open: every tool falls back to 'ask'
+ * and unparseable requests are denied (onError 'closed', since the file's own
+ * onError cannot be read) until the file is fixed.
+ * @param {string} filePath - Policy file path
+ * @param {{ defaults?: boolean, root?: string }} [options] - Passed to loadPolicy
+ * @returns {{ rules: object[], source: string }} Compiled policy
  */
-export function parseArgs(args) {
-  return {
-    debug: args.includes('--windebug'),
-    help: args.includes('--help') || args.includes('-h'),
-    version: args.includes('--version') || args.includes('-v')
-  };
+function getCachedPolicy(filePath, options = {}) {
+  return loadCached(policyCache, filePath, () => {
+    try {
+      const policy = loadPolicy(filePath, options);
+      log.policy.debug('Permission policy loaded:', policy.source, `(${policy.rules.length} rules)`);
+      return policy;
+    } catch (e) {
+      originalConsole.error(`[wclaude] Invalid permission policy, asking for every tool: ${e.message}`);
+      log.policy.error('Invalid permission policy, asking for every tool:', e.message);
+      return compilePolicy({ onError: 'closed', rules: [{ name: 'policy-error', action: 'ask' }] }, filePath, { defaults: false });
+    }
+  });
 }
 
-// Re-export validateCommand as validateBashCommand for backward compatibility
-// The actual implementation is now in blocklist.js
-export { validateCommand as validateBashCommand } from './blocklist.js';
+/**
+ * Load a blocklist rule file through the cache.
+ * Invalid rules are reported once per change and skipped.
+ * @param {string} filePath - Rule file path
+ * @param {object} [options] - loadRuleFile options (project files: { project: true })
+ * @returns {{ rules: object[], disable: string[], errors: string[] }}
+ */
+function getCachedRules(filePath, options = {}) {
+  return loadCached(rulesCache, filePath, () => {
+    const ruleSet = loadRuleFile(filePath, options);
+    for (const error of ruleSet.errors) {
+      originalConsole.warn(`[wclaude] Blocklist rule skipped: ${error}`);
+      log.spawn.warn('Blocklist rule skipped:', error);
+    }
+    if (ruleSet.rules.length || ruleSet.disable.length) {
+      log.spawn.debug('Blocklist rules loaded:', filePath, {
+        rules: ruleSet.rules.map(r => r.name),
+        disable: ruleSet.disable
+      });
+    }
+    return ruleSet;
+  });
+}
 
 /**
- * Handle PermissionRequest hook - auto-approve most tools
- * @param {string} jsonInput - JSON string with tool_name, tool_input, etc.
+ * Get the user and project blocklist rules for a command
+ * @param {string} [cwd] - Working directory of the command
+ * @returns {{ rules: object[], disable: string[], errors: string[] }} Options for validateCommand
+ */
+function getBlocklistRules(cwd) {
+  const ruleSets = [getCachedRules(USER_RULES_PATH)];
+
+  const projectRulesPath = findProjectRules(cwd);
+  if (projectRulesPath) {
+    ruleSets.push(getCachedRules(projectRulesPath, { project: true }));
+  }
+
+  return mergeRules(...ruleSets);
+}
+
+/**
+ * Get the policy layers for a PermissionRequest: the user policy, plus the
+ * nearest project policy (.wclaude/policy.json walking up from cwd)
+ * @param {string} [cwd] - PermissionRequest cwd
+ * @returns {object[]} Compiled policies, user policy first
+ */
+function getPermissionPolicies(cwd) {
+  const layers = [getCachedPolicy(USER_POLICY_PATH)];
+
+  const projectPolicyPath = findProjectPolicy(cwd);
+  if (projectPolicyPath) {
+    const root = path.dirname(path.dirname(projectPolicyPath));
+    layers.push(getCachedPolicy(projectPolicyPath, { defaults: false, root }));
+  }
+
+  return layers;
+}
+
+/**
+ * Record a permission decision in the audit log
+ * @param {object} request - Parsed PermissionRequest (may be empty if parsing failed)
+ * @param {string} decision - allow, deny or ask
+ * @param {string} rule - Name of the rule that produced the decision
+ * @param {string} [source] - Policy file the rule came from
+ */
+function auditPermission(request, decision, rule, source) {
+  auditLog.write({
+    cwd: request.cwd || null,
+    tool: request.tool_name ?? null,
+    input: summarizeInput(request.tool_input),
+    decision,
+    rule,
+    source
+  });
+}
+
+/**
+ * Build a PermissionRequest hook response
+ * @param {object} decision - { behavior: 'allow' } or { behavior: 'deny', message }
  * @returns {string} JSON response for Claude Code
  */
-export function handlePermissionRequest(jsonInput) {
+function permissionResponse(decision) {
+  return JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PermissionRequest',
+      decision
+    }
+  });
+}
+
+/**
+ * Handle PermissionRequest hook - answer according to the permission policy
+ * (default policy: auto-approve everything except interactive tools)
+ * @param {string} jsonInput - JSON string with tool_name, tool_input, etc.
+ * @param {object} [policy] - Compiled policy (defaults to the user + project policy files)
+ * @returns {string} JSON response for Claude Code ('' = passthrough to normal prompt)
+ */
+export function handlePermissionRequest(jsonInput, policy) {
   try {
     const request = JSON.parse(jsonInput);
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw new Error('PermissionRequest is not a JSON object');
+    }
     const toolName = request.tool_name;
 
-    logger.debug('PermissionRequest for tool:', toolName);
+    log.policy.debug('PermissionRequest for tool:', toolName);
 
-    // Tools that require user interaction - don't auto-approve
-    const excludedTools = ['AskUserQuestion', 'ExitPlanMode'];
+    const layers = policy ? [policy] : getPermissionPolicies(request.cwd);
+    const verdict = evaluatePolicyLayers(layers, request);
+    auditPermission(request, verdict.action, verdict.rule, verdict.source);
 
-    if (excludedTools.includes(toolName)) {
+    if (verdict.action === 'deny') {
+      const message = verdict.message || `Denied by wclaude policy rule "${verdict.rule}"`;
+      log.policy.info('Denying tool:', toolName, 'rule:', verdict.rule, 'from', verdict.source);
+      return permissionResponse({ behavior: 'deny', message });
+    }
+
+    if (verdict.action === 'ask') {
       // Show toast notification so user knows action is required
       const projectFolder = request.cwd ? path.basename(request.cwd) : 'Unknown';
 
@@ -211,31 +430,52 @@ export function handlePermissionRequest(jsonInput) {
           ? 'Plan ready for review'
           : `${toolName} needs approval`;
 
-      logger.debug('Tool excluded, showing notification:', toolName, 'in', projectFolder);
+      log.policy.debug('Tool requires approval, showing notification:', toolName, 'in', projectFolder, 'rule:', verdict.rule, 'from', verdict.source);
       showNotification(title, message);
 
       // Return empty string - Claude Code will show normal prompt (passthrough)
       return '';
     }
 
-    // Auto-approve all other tools
-    logger.debug('Auto-approving tool:', toolName);
-    return JSON.stringify({
-      hookSpecificOutput: {
-        hookEventName: 'PermissionRequest',
-        decision: { behavior: 'allow' }
-      }
-    });
+    log.policy.debug('Auto-approving tool:', toolName, 'rule:', verdict.rule, 'from', verdict.source);
+    return permissionResponse({ behavior: 'allow' });
   } catch (e) {
-    // Fail-open: approve on error to avoid blocking the session
-    logger.debug('PermissionRequest error, failing open:', e.message);
-    return JSON.stringify({
-      hookSpecificOutput: {
-        hookEventName: 'PermissionRequest',
-        decision: { behavior: 'allow' }
-      }
+    return handlePermissionError(e, policy);
+  }
+}
+
+/**
+ * Answer a PermissionRequest that could not be parsed, according to the
+ * configured failure mode (policy onError / WCLAUDE_PERMISSIONS_ON_ERROR)
+ * @param {Error} err - Parse error
+ * @param {object} [policy] - Compiled policy passed to handlePermissionRequest
+ * @returns {string} JSON response for Claude Code ('' = passthrough to normal prompt)
+ */
+function handlePermissionError(err, policy) {
+  const mode = resolveFailureMode(policy || getCachedPolicy(USER_POLICY_PATH));
+
+  if (mode === 'closed') {
+    // Fail-closed: never approve a request we could not read
+    log.policy.warn('PermissionRequest error, failing closed:', err.message);
+    auditPermission({}, 'deny', 'parse-error');
+    return permissionResponse({
+      behavior: 'deny',
+      message: `wclaude could not parse the permission request (fail-closed mode): ${err.message}`
     });
   }
+
+  if (mode === 'prompt') {
+    // Fail-to-prompt: let Claude Code show its normal permission prompt
+    log.policy.warn('PermissionRequest error, passing through to prompt:', err.message);
+    auditPermission({}, 'ask', 'parse-error');
+    showNotification('wclaude - Input Required', 'A permission request needs approval');
+    return '';
+  }
+
+  // Fail-open: approve on error to avoid blocking the session
+  log.policy.warn('PermissionRequest error, failing open:', err.message);
+  auditPermission({}, 'allow', 'parse-error');
+  return permissionResponse({ behavior: 'allow' });
 }
 
 /**
@@ -264,6 +504,22 @@ export function handleStopHook(jsonInput) {
 // Track child processes for clean shutdown
 const childProcesses = new Set();
 
+/**
+ * Kill a process and all of its descendants (taskkill /T /F)
+ * @param {number} pid - Process ID
+ * @param {number} [timeout] - taskkill timeout in ms
+ */
+function killProcessTree(pid, timeout = 3000) {
+  try {
+    execSync(`taskkill /T /F /PID ${pid}`, {
+      stdio: 'ignore',
+      timeout
+    });
+  } catch (e) {
+    // Process already dead - ignore
+  }
+}
+
 /**
  * Setup signal handlers for clean Ctrl+C shutdown
  */
@@ -277,17 +533,11 @@ function setupSignalHandlers() {
     }
 
     originalConsole.log(`\n[wclaude] ${signal} - killing ${count} child process(es)...`);
+    log.signals.info(signal, '- killing', count, 'child process(es)');
 
     for (const child of childProcesses) {
       if (child.pid) {
-        try {
-          execSync(`taskkill /T /F /PID ${child.pid}`, {
-            stdio: 'ignore',
-            timeout: 3000
-          });
-        } catch (e) {
-          // Process already dead - ignore
-        }
+        killProcessTree(child.pid);
       }
     }
     childProcesses.clear();
@@ -296,6 +546,7 @@ function setupSignalHandlers() {
   // Full cleanup and exit
   const cleanupAndExit = (signal) => {
     originalConsole.log(`\n[wclaude] Received ${signal}, shutting down...`);
+    log.signals.info('Received', signal, '- shutting down');
     killChildren(signal);
 
     // Force exit after a short delay
@@ -315,7 +566,7 @@ function setupSignalHandlers() {
     process.on('SIGBREAK', () => killChildren('SIGBREAK'));
   }
 
-  logger.debug('Signal handlers installed (SIGINT, SIGTERM, SIGHUP, SIGBREAK)');
+  log.signals.debug('Signal handlers installed (SIGINT, SIGTERM, SIGHUP, SIGBREAK)');
 }
 
 /**
@@ -325,29 +576,21 @@ function setupSignalHandlers() {
  */
 function checkPowerShellVersion() {
   try {
-    const version = execSync('pwsh -NoProfile -Command "$PSVersionTable.PSVersion.ToString()"', {
-      encoding: 'utf8',
-      timeout: 5000,
-      stdio: ['pipe', 'pipe', 'ignore']
-    }).trim();
-
-    const parts = version.split('.');
-    const major = parseInt(parts[0], 10) || 0;
-    const minor = parseInt(parts[1], 10) || 0;
+    const version = getPowerShellVersion();
 
-    if (major > 7 || (major === 7 && minor >= 1)) {
+    if (supportsToasts(version)) {
       toastEnabled = true;
-      logger.debug('PowerShell version:', version, '- toast notifications enabled');
+      log.toast.debug('PowerShell version:', version, '- toast notifications enabled');
     } else {
       toastEnabled = false;
       originalConsole.log(`[wclaude] Toast notifications disabled: PowerShell 7.1+ required (found ${version})`);
-      logger.debug('PowerShell version:', version, '- too old, toasts disabled');
+      log.toast.debug('PowerShell version:', version, '- too old, toasts disabled');
     }
   } catch (e) {
     toastEnabled = false;
     originalConsole.log('[wclaude] Toast notifications disabled: pwsh not found');
     originalConsole.log('[wclaude] Install PowerShell 7: winget install Microsoft.PowerShell');
-    logger.debug('PowerShell check failed:', e.message, '- toasts disabled');
+    log.toast.debug('PowerShell check failed:', e.message, '- toasts disabled');
   }
 }
 
@@ -391,10 +634,10 @@ if ($className.ToString() -eq 'CASCADIA_HOSTING_WINDOW_CLASS') {
 
     if (result && /^\d+$/.test(result)) {
       parentWtHandle = parseInt(result, 10);
-      logger.debug('Found Windows Terminal window handle:', parentWtHandle);
+      log.toast.debug('Found Windows Terminal window handle:', parentWtHandle);
     }
   } catch (e) {
-    logger.debug('Could not find Windows Terminal window:', e.message);
+    log.toast.debug('Could not find Windows Terminal window:', e.message);
   }
 }
 
@@ -404,9 +647,6 @@ if ($className.ToString() -eq 'CASCADIA_HOSTING_WINDOW_CLASS') {
  * when the user clicks on a toast notification.
  */
 function setupTabTitle() {
-  // Generate unique session ID
-  const sessionId = crypto.randomBytes(4).toString('hex');
-
   // Get project name from current working directory
   let projectName = 'wclaude';
   try {
@@ -435,10 +675,10 @@ async function loadPowerToast() {
   try {
     const powertoast = await import('powertoast');
     Toast = powertoast.Toast;
-    logger.debug('powertoast module loaded successfully');
+    log.toast.debug('powertoast module loaded successfully');
   } catch (e) {
     toastEnabled = false;
-    logger.debug('Failed to load powertoast:', e.message, '- toasts disabled');
+    log.toast.warn('Failed to load powertoast:', e.message, '- toasts disabled');
   }
 }
 
@@ -450,21 +690,12 @@ async function loadPowerToast() {
 function registerProtocolHandler() {
   if (!toastEnabled) return;
 
-  try {
-    // Check if already registered by looking for the registry key
-    const checkResult = execSync(
-      'reg query "HKCU\\Software\\Classes\\wclaude\\shell\\open\\command" /ve 2>nul',
-      { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
-    );
-
-    // If we get here, the key exists - check if it has the correct parameter name
-    // We check for -UrlOrHandle to force re-registration when parameter name changes
-    if (checkResult.includes('-UrlOrHandle')) {
-      logger.debug('wclaude:// protocol already registered');
-      return;
-    }
-  } catch {
-    // Key doesn't exist - need to register
+  // Check if already registered, with the correct parameter name
+  // We check for -UrlOrHandle to force re-registration when parameter name changes
+  const checkResult = queryProtocolHandler();
+  if (checkResult?.includes('-UrlOrHandle')) {
+    log.toast.debug('wclaude:// protocol already registered');
+    return;
   }
 
   try {
@@ -474,10 +705,10 @@ function registerProtocolHandler() {
       `pwsh -NoProfile -WindowStyle Hidden -ExecutionPolicy Bypass -File "${registerScript}"`,
       { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
     );
-    logger.debug('wclaude:// protocol registered successfully');
+    log.toast.debug('wclaude:// protocol registered successfully');
   } catch (e) {
     // Non-fatal - toasts will still show, just won't focus on click
-    logger.debug('Failed to register wclaude:// protocol:', e.message);
+    log.toast.warn('Failed to register wclaude:// protocol:', e.message);
   }
 }
 
@@ -491,7 +722,7 @@ function registerProtocolHandler() {
  */
 function showNotification(title, message) {
   if (!toastEnabled || !Toast) {
-    logger.debug('Toast skipped (disabled):', title);
+    log.toast.debug('Toast skipped (disabled):', title);
     return;
   }
 
@@ -513,24 +744,24 @@ function showNotification(title, message) {
     });
 
     toast.on('activated', () => {
-      logger.debug('Toast activated, focusing terminal');
+      log.toast.debug('Toast activated, focusing terminal');
       focusTerminal();
     });
 
     toast.on('dismissed', (reason) => {
-      logger.debug('Toast dismissed:', reason);
+      log.toast.debug('Toast dismissed:', reason);
     });
 
     // keepalive: time in seconds to wait for click events (PowerShell stays running)
     // 0 = no waiting, toast fires and forgets
     // We use 30 seconds - enough time for user to notice and click
     toast.show({ keepalive: 30 }).catch(e => {
-      logger.debug('Toast show error:', e.message);
+      log.toast.warn('Toast show error:', e.message);
     });
 
-    logger.debug('Toast shown:', title);
+    log.toast.debug('Toast shown:', title);
   } catch (e) {
-    logger.debug('Toast error:', e.message);
+    log.toast.warn('Toast error:', e.message);
   }
 }
 
@@ -553,34 +784,86 @@ function focusTerminal() {
       stdio: 'ignore'
     }).unref();
 
-    logger.debug('Focus script launched');
+    log.toast.debug('Focus script launched');
   } catch (e) {
-    logger.debug('Focus script error:', e.message);
+    log.toast.warn('Focus script error:', e.message);
   }
 }
 
 // Counters (configuration is in exported CONFIG object)
 let crashRestartCount = 0;
 let lastCrashTime = 0;
-let networkRetryCount = 0;
-
-(async () => {
-  // ============================================
-  // SETUP: Run before anything else
-  // ============================================
-  setupSignalHandlers();  // Enable clean Ctrl+C shutdown
-  setupEnvironment();
-  setupGitPath();
-  loadApiTokensFromRegistry();
-  setupMcpModules();
-  checkPowerShellVersion();  // Check if pwsh 7.1+ is available for toasts
-  findTerminalWindowHandle();  // Find WT window handle for click-to-focus
-  setupTabTitle();  // Set unique tab title for user reference
-  await loadPowerToast();  // Load powertoast module if pwsh available
-  registerProtocolHandler();  // Register wclaude:// protocol for click-to-focus
-  handleWslPath(); // May exit if WSL path detected
+let crashHistory = [];  // Crashes in the current window, for the crash report
 
+const started = (async () => {
+  let cliPath = null;  // Claude Code's cli.js (findClaudeCli)
   let gitBashPath = null;
+  let claudeCodeVersion = null;  // From Claude Code's package.json (for crash reports)
+  let hookStatus = {};  // Which hooks were applied (for the debug log and crash reports)
+  const startedAt = Date.now();  // Older transcripts belong to other sessions (see resume.js)
+  let restartCount = 0;
+  // Heap of the supervised child (heap.percent/maxMB); a size in the user's NODE_OPTIONS is kept
+  let childHeapMB = heapFromNodeOptions(process.env.NODE_OPTIONS)
+    ? null
+    : heapSizeFor(Math.floor(os.totalmem() / (1024 * 1024)), settings.heap);
+
+  if (supervisorSession) {
+    // Child of the supervisor, which already handled wrapper commands, set up
+    // the environment, PATH and MCP junction and checked for WSL
+    setupSignalHandlers();
+    loadApiTokens({ providers: [] });  // Tokens are inherited - only mask their values
+    checkPowerShellVersion();
+    findTerminalWindowHandle();
+    setupTabTitle();
+    await loadPowerToast();
+  } else {
+    // Wrapper commands (wclaude rules, ...) and --wc-help/--wc-version run instead of Claude Code
+    const wrapperExitCode = await runWrapper(cliArgs);
+    if (wrapperExitCode !== null) {
+      process.exitCode = wrapperExitCode;
+      return;
+    }
+
+    // Before any setup: a relaunch with the configured heap starts over in a new process
+    cliPath = findClaudeCli();
+    if (!cliPath) return;
+    if (!supervisorMode) {
+      applyHeapSize();  // The supervised child gets it on its command line
+    }
+
+    logger.info('wclaude started', { pid: process.pid, cwd: process.cwd(), node: process.version, args: process.argv.slice(2) });
+    if (DEBUG_MODE) {
+      originalConsole.log(`[wclaude] Debug log: ${logger.filePath}`);
+    }
+
+    for (const error of wclaudeConfig.errors) {
+      originalConsole.warn(`[wclaude] Config setting ignored: ${error}`);
+      logger.warn('Config setting ignored:', error);
+    }
+    logger.debug('Config files loaded:', wclaudeConfig.files.length > 0 ? wclaudeConfig.files : 'none');
+
+    // ============================================
+    // SETUP: Run before anything else
+    // ============================================
+    if (settings.restart.supervisor && !supervisorMode) {
+      originalConsole.warn(`[wclaude] restart.supervisor needs Node 18.19+ or 20.6+ (this is ${process.version}) - running Claude Code in-process`);
+      logger.warn('restart.supervisor ignored: --import is not supported by', process.version);
+    }
+    if (!supervisorMode) {
+      setupSignalHandlers();  // Enable clean Ctrl+C shutdown (the supervisor forwards signals instead)
+    }
+    setupEnvironment();
+    setupGitPath();
+    loadApiTokens();
+    setupMcpModules();
+    checkPowerShellVersion();  // Check if pwsh 7.1+ is available for toasts
+    findTerminalWindowHandle();  // Find WT window handle for click-to-focus
+    setupTabTitle();  // Set unique tab title for user reference
+    await loadPowerToast();  // Load powertoast module if pwsh available
+    registerProtocolHandler();  // Register wclaude:// protocol for click-to-focus
+    handleWslPath(); // May exit if WSL path detected
+  }
+
 
   /**
    * Setup environment variables for Windows compatibility
@@ -591,22 +874,12 @@ let networkRetryCount = 0;
     process.env.MSYS2_ARG_CONV_EXCL = '*';
     process.env.MSYS_PATH_CONVERT_DISABLE = '1';
 
-    // Allocate heap based on system memory (75% of RAM, capped at 32GB)
-    // Only add if not already set (allow user override)
-    if (!process.env.NODE_OPTIONS?.includes('max-old-space-size')) {
-      const totalMemoryMB = Math.floor(os.totalmem() / (1024 * 1024));
-      const heapSizeMB = Math.min(Math.floor(totalMemoryMB * 0.75), 32768);
-      process.env.NODE_OPTIONS = ((process.env.NODE_OPTIONS || '') + ` --max-old-space-size=${heapSizeMB}`).trim();
-    }
-
-    // Extract heap size for logging
-    const heapMatch = process.env.NODE_OPTIONS?.match(/--max-old-space-size=(\d+)/);
-    const heapSizeGB = heapMatch ? (parseInt(heapMatch[1], 10) / 1024).toFixed(1) + 'GB' : 'default';
-
+    // The heap size is not set here: NODE_OPTIONS would not change this
+    // process, only every Node process Claude Code starts (see heap.js)
     logger.debug('Environment configured:', {
       MSYS_NO_PATHCONV: process.env.MSYS_NO_PATHCONV,
       MSYS_PATH_CONVERT_DISABLE: process.env.MSYS_PATH_CONVERT_DISABLE,
-      NODE_OPTIONS: heapSizeGB + ' heap'
+      heapLimitMB: heapUsage().limitMB
     });
   }
 
@@ -615,7 +888,7 @@ let networkRetryCount = 0;
    * (Scoop Git has known issues with Claude Code)
    */
   function setupGitPath() {
-    const programFilesGit = 'C:\\Program Files\\Git\\cmd';
+    const programFilesGit = PROGRAM_FILES_GIT_CMD;
     if (fs.existsSync(programFilesGit)) {
       // Remove Scoop Git from PATH, prepend Program Files Git
       const pathParts = (process.env.PATH || '').split(';')
@@ -628,48 +901,22 @@ let networkRetryCount = 0;
   }
 
   /**
-   * Load API tokens from Windows Registry if not already in environment
+   * Load API tokens that are not already in the environment
+   * (names and wildcards from secrets.tokens, looked up through secrets.providers)
    */
-  function loadApiTokensFromRegistry() {
-    const tokens = [
-      'ANTHROPIC_API_KEY',
-      'GITHUB_TOKEN',
-      'BRAVE_API_KEY',
-      'EXA_API_KEY',
-      'PERPLEXITY_API_KEY'
-    ];
-
-    const loaded = [];
-
-    for (const token of tokens) {
-      if (process.env[token]) continue; // Already set
-
-      // Try User environment first, then Machine
-      const hives = [
-        'HKCU\\Environment',
-        'HKLM\\SYSTEM\\CurrentControlSet\\Control\\Session Manager\\Environment'
-      ];
-
-      for (const hive of hives) {
-        try {
-          const result = execSync(`reg query "${hive}" /v ${token}`, {
-            encoding: 'utf8',
-            stdio: ['pipe', 'pipe', 'ignore'],
-            timeout: 5000
-          });
-          const match = result.match(/REG_(?:SZ|EXPAND_SZ)\s+(.+)/);
-          if (match) {
-            process.env[token] = match[1].trim();
-            loaded.push(token);
-            break;
-          }
-        } catch (e) {
-          // Token not found in this hive - continue
-        }
-      }
+  function loadApiTokens({ providers = settings.secrets.providers } = {}) {
+    const result = resolveSecrets(settings.secrets.tokens, { providers });
+    Object.assign(process.env, result.values);
+    redactor.addSecrets(result.report.map(({ name }) => process.env[name]));
+
+    for (const error of result.errors) {
+      originalConsole.warn(`[wclaude] Secret provider failed: ${error}`);
+      log.secrets.warn('Secret provider failed:', error);
+    }
+    log.secrets.debug('API tokens:', result.report.length > 0 ? formatSecretReport(result.report) : 'none');
+    if (result.missing.length > 0) {
+      log.secrets.debug('API tokens not found:', result.missing.join(', '));
     }
-
-    logger.debug('API tokens loaded from registry:', loaded.length > 0 ? loaded : 'none');
   }
 
   /**
@@ -680,9 +927,9 @@ let networkRetryCount = 0;
   function setupMcpModules() {
     let npmGlobalRoot;
     try {
-      npmGlobalRoot = execSync('npm root -g', { encoding: 'utf8', timeout: 10000 }).trim();
+      npmGlobalRoot = getNpmGlobalRoot();
     } catch (e) {
-      logger.debug('MCP junction skipped: could not get npm root');
+      log.mcp.debug('MCP junction skipped: could not get npm root');
       return;
     }
 
@@ -690,13 +937,13 @@ let networkRetryCount = 0;
     const target = path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code');
 
     if (!fs.existsSync(target)) {
-      logger.debug('MCP junction skipped: claude-code not found at', target);
+      log.mcp.debug('MCP junction skipped: claude-code not found at', target);
       return;
     }
 
     // Link location: ~/.mcp-modules/node_modules/@anthropic-ai/claude-code
-    const mcpBase = path.join(os.homedir(), '.mcp-modules', 'node_modules', '@anthropic-ai');
-    const linkPath = path.join(mcpBase, 'claude-code');
+    const linkPath = MCP_JUNCTION_PATH;
+    const mcpBase = path.dirname(linkPath);
 
     // Skip if anything already exists at link path
     // NEVER delete user data - if something exists, leave it alone
@@ -704,12 +951,12 @@ let networkRetryCount = 0;
       try {
         const stat = fs.lstatSync(linkPath);
         if (stat.isSymbolicLink()) {
-          logger.debug('MCP junction already exists:', linkPath);
+          log.mcp.debug('MCP junction already exists:', linkPath);
         } else {
-          logger.debug('MCP junction skipped: path exists and is not a junction:', linkPath);
+          log.mcp.debug('MCP junction skipped: path exists and is not a junction:', linkPath);
         }
       } catch (e) {
-        logger.debug('MCP junction skipped: could not stat path:', linkPath);
+        log.mcp.debug('MCP junction skipped: could not stat path:', linkPath);
       }
       return;
     }
@@ -718,17 +965,17 @@ let networkRetryCount = 0;
     try {
       fs.mkdirSync(mcpBase, { recursive: true });
     } catch (e) {
-      logger.debug('MCP junction skipped: could not create parent directories:', e.message);
+      log.mcp.debug('MCP junction skipped: could not create parent directories:', e.message);
       return;
     }
 
     // Create junction (Windows directory link)
     try {
       fs.symlinkSync(target, linkPath, 'junction');
-      logger.debug('MCP junction created:', linkPath, '->', target);
+      log.mcp.debug('MCP junction created:', linkPath, '->', target);
     } catch (e) {
       // Non-fatal - MCP will still work, just won't find modules at expected path
-      logger.debug('MCP junction skipped: could not create junction:', e.message);
+      log.mcp.debug('MCP junction skipped: could not create junction:', e.message);
     }
   }
 
@@ -751,6 +998,7 @@ let networkRetryCount = 0;
       const wslPath = wslMatch[3].replace(/\\/g, '/') || '/';
 
       originalConsole.log(`[wclaude] WSL path detected, launching in ${distro}: ${wslPath}`);
+      logger.info('WSL path detected, launching in', distro, wslPath);
 
       const result = spawnSync('wsl', ['-d', distro, '--cd', wslPath, '--', 'claude'], {
         stdio: 'inherit'
@@ -761,138 +1009,435 @@ let networkRetryCount = 0;
   }
 
   /**
-   * Check if internet is available by performing DNS lookup
-   * @returns {Promise<boolean>} true if connected
+   * Check that the API is reachable the way Claude Code reaches it
+   * (ANTHROPIC_BASE_URL, proxy; DNS, connect, TLS and HTTP - see connectivity.js)
+   * @returns {Promise<object>} probeConnectivity result
    */
   async function checkConnectivity() {
+    const target = probeTarget(process.env, CONFIG.NETWORK_CHECK_HOST);
+    const result = await probeConnectivity(target, { timeoutMs: CONFIG.NETWORK_PROBE_TIMEOUT_MS });
+    log.network.debug('Connectivity probe:', formatProbe(result), result);
+    return result;
+  }
+
+  /**
+   * Wait for internet connectivity with exponential backoff
+   * In a terminal the wait counts down on one line and can be cut short
+   * (R: retry now) or cancelled (Q) - see offline.js.
+   * @returns {Promise<'online'|'cancelled'|'exhausted'>}
+   */
+  async function waitForConnectivity() {
+    let previousMs = null;
+    const { status, attempts, probe } = await waitForOnline({
+      check: checkConnectivity,
+      // Exponential backoff: 5s, 10s, 20s, 40s, 60s, 60s, ... (network.jitter randomizes it)
+      delayFor: attempt => {
+        previousMs = calculateBackoff(attempt, CONFIG.NETWORK_BACKOFF_BASE_MS, CONFIG.NETWORK_BACKOFF_MAX_MS, {
+          jitter: CONFIG.NETWORK_JITTER,
+          previousMs: attempt > 1 ? previousMs : null
+        });
+        return previousMs;
+      },
+      maxRetries: CONFIG.MAX_NETWORK_RETRIES,
+      onWait: ({ attempt, delayMs, probe: last }) => {
+        log.network.warn('No internet connection, check', attempt, 'in', delayMs, 'ms', last ?? {});
+      },
+      // Check at once when Wi-Fi, a cable or a VPN comes up
+      watchNetwork: CONFIG.NETWORK_WATCH_INTERFACES
+        ? onChange => watchNetworkChanges(() => {
+          log.network.info('Network interfaces changed, checking now');
+          onChange();
+        })
+        : null
+    });
+
+    if (status === 'online') {
+      originalConsole.log('[wclaude] Connection restored!');
+      log.network.info('Connection restored after', attempts, 'check(s):', formatProbe(probe));
+      showNotification(`${path.basename(process.cwd())} - Connection Restored`, 'Claude Code is resuming');
+    } else {
+      log.network.info('Stopped waiting for the connection:', status, 'after', attempts, 'check(s)', probe ?? {});
+    }
+    return status;
+  }
+
+  /**
+   * Write a crash report for the crashes in the current window and print its path
+   * @param {string} reason - Why wclaude is stopping
+   */
+  function reportCrash(reason) {
     try {
-      await dnsLookup(CONFIG.NETWORK_CHECK_HOST);
-      return true;
-    } catch (err) {
-      return false;
+      const report = createCrashReport({
+        session: sessionId,
+        reason,
+        crashes: crashHistory,
+        versions: { wclaude: WCLAUDE_VERSION, claudeCode: claudeCodeVersion },
+        gitBashPath,
+        hooks: hookStatus,
+        logFile: logger.filePath,
+        logLines: settings.restart.crashLogLines
+      });
+      const reportPath = writeCrashReport(report, {
+        maxReports: settings.restart.maxCrashReports,
+        redact: redactor.redact
+      });
+      originalConsole.error(`[wclaude] Crash report: ${reportPath}`);
+      originalConsole.error('[wclaude] Please attach it when reporting this problem (secrets are masked).');
+      logger.info('Crash report written:', reportPath);
+    } catch (e) {
+      originalConsole.error(`[wclaude] Could not write crash report: ${e.message}`);
+      logger.error('Could not write crash report:', e.message);
     }
   }
 
-  // Note: isNetworkError() is now exported at the top of the file
+  /**
+   * Make the restart resume the conversation that was active before the crash
+   * (restart.resume). Replaces Claude Code's arguments in process.argv.
+   */
+  function prepareResume() {
+    if (!settings.restart.resume) return;
+    const session = findActiveSession(transcriptDir(process.cwd()), startedAt);
+    if (!session) {
+      logger.info('No conversation to resume');
+      return;
+    }
+
+    const args = resumeArgs(process.argv.slice(2), session.id);
+    process.argv.splice(2, process.argv.length - 2, ...args);
+    originalConsole.warn(`[wclaude] Resuming conversation ${session.id}`);
+    logger.info('Resuming conversation', session.id, { transcript: session.file, args });
+  }
 
   /**
-   * Wait for internet connectivity with exponential backoff
-   * @returns {Promise<boolean>} true if connected, false if max retries exceeded
+   * Next heap limit for the larger-heap policy
+   * @param {number} currentMB - Current heap limit
+   * @returns {number|null} New limit in MB, or null if the heap cannot grow
    */
-  async function waitForConnectivity() {
-    networkRetryCount = 0;
+  function largerHeap(currentMB) {
+    const heapMB = nextHeapSize(currentMB, Math.floor(os.totalmem() / (1024 * 1024)), settings.heap);
+    if (!heapMB) {
+      logger.warn('Heap cannot grow beyond', currentMB, 'MB, restarting instead');
+    }
+    return heapMB;
+  }
 
-    while (networkRetryCount < CONFIG.MAX_NETWORK_RETRIES) {
-      networkRetryCount++;
+  /**
+   * Start wclaude again in a new node process with a larger heap
+   * (the heap limit of a running process cannot be raised)
+   * @param {Error} err - The out-of-memory error
+   * @returns {boolean} false if the heap cannot grow (nothing was started)
+   */
+  function relaunchWithLargerHeap(err) {
+    const currentMB = heapUsage().limitMB;
+    const heapMB = largerHeap(currentMB);
+    if (!heapMB) return false;
+
+    originalConsole.warn(`[wclaude] Out of memory. Restarting with a ${(heapMB / 1024).toFixed(1)}GB heap...`);
+    logger.warn('Out of memory, relaunching with a larger heap:', err.message, { fromMB: currentMB, toMB: heapMB });
+    relaunchWithHeap(heapMB);
+  }
 
-      // Exponential backoff: 5s, 10s, 20s, 40s, 60s, 60s, ...
-      const backoffMs = calculateBackoff(
-        networkRetryCount,
-        CONFIG.NETWORK_BACKOFF_BASE_MS,
-        CONFIG.NETWORK_BACKOFF_MAX_MS
-      );
+  /**
+   * Run wclaude in a new node process with the given heap limit and exit with its exit code
+   * @param {number} heapMB - --max-old-space-size
+   */
+  function relaunchWithHeap(heapMB) {
+    // Ctrl+C reaches both processes; only the new one should handle it
+    process.on('SIGINT', () => {});
+    const result = spawnSync(process.execPath, [
+      `--max-old-space-size=${heapMB}`,
+      fileURLToPath(import.meta.url),
+      ...(DEBUG_MODE ? ['--wc-debug'] : []),  // process.argv only has Claude Code's arguments
+      ...process.argv.slice(2)
+    ], { stdio: 'inherit' });
+    process.exit(result.status ?? 1);
+  }
 
-      originalConsole.warn(
-        `[wclaude] No internet connection. ` +
-        `Retry ${networkRetryCount}/${CONFIG.MAX_NETWORK_RETRIES} in ${backoffMs / 1000}s...`
-      );
+  /**
+   * In-process mode: start again with the configured heap (heap.percent,
+   * heap.maxMB) when this process has less. Skipped when the heap was set on
+   * the command line (a relaunch) or in NODE_OPTIONS. Called before any setup
+   * and without logging, so the new process is the only wclaude session.
+   */
+  function applyHeapSize() {
+    if (process.execArgv.some(arg => arg.startsWith('--max-old-space-size')) ||
+        heapFromNodeOptions(process.env.NODE_OPTIONS)) {
+      return;
+    }
+    const heapMB = heapSizeFor(Math.floor(os.totalmem() / (1024 * 1024)), settings.heap);
+    const currentMB = heapUsage().limitMB;
+    if (currentMB >= heapMB) return;
 
-      await new Promise(r => setTimeout(r, backoffMs));
+    relaunchWithHeap(heapMB);
+  }
 
-      if (await checkConnectivity()) {
-        originalConsole.log('[wclaude] Connection restored!');
-        networkRetryCount = 0; // Reset for next disconnection
-        return true;
+  /**
+   * Give the next supervised child a larger heap
+   * @param {object} err - The out-of-memory crash
+   * @returns {boolean} false if the heap cannot grow
+   */
+  function growChildHeap(err) {
+    const currentMB = childHeapMB ?? heapFromNodeOptions(process.env.NODE_OPTIONS) ?? heapUsage().limitMB;
+    const heapMB = largerHeap(currentMB);
+    if (!heapMB) return false;
+
+    childHeapMB = heapMB;
+    originalConsole.warn(`[wclaude] Out of memory. Restarting with a ${(heapMB / 1024).toFixed(1)}GB heap...`);
+    logger.warn('Out of memory, restarting with a larger heap:', err.message, { fromMB: currentMB, toMB: heapMB });
+    return true;
+  }
+
+  /**
+   * Handle a crash of Claude Code with the crashPolicy of its class (see crash.js):
+   * network errors wait for connectivity without counting against the crash
+   * limit, auth and module errors stop at once with a hint. Restarts resume
+   * the active conversation (see prepareResume).
+   * Returns when Claude Code should be started again; exits when wclaude stops.
+   * @param {object} err - The error (or the crash record of a supervised child)
+   * @param {function(object): boolean} growHeap - Applies the larger-heap policy, false if the heap cannot grow
+   */
+  async function handleCrash(err, growHeap) {
+    const now = Date.now();
+    const crashClass = classifyCrash(err);
+    const { title, hint } = CRASH_CLASSES[crashClass];
+    let policy = settings.crashPolicy[crashClass];
+    logger.info('Crash classified:', crashClass, { policy, code: err?.code });
+
+    if (policy === 'wait') {
+      originalConsole.warn(`[wclaude] ${title} detected:`, err.message);
+      log.network.warn(`${title} detected:`, err.message);
+
+      // Wait for connectivity to be restored
+      const status = await waitForConnectivity();
+
+      if (status === 'cancelled') {
+        originalConsole.error('[wclaude] Stopped waiting for the connection.');
+        log.network.error('Waiting for the connection cancelled, stopping');
+        process.exit(1);
       }
+      if (status === 'exhausted') {
+        originalConsole.error(
+          `[wclaude] No internet after ${CONFIG.MAX_NETWORK_RETRIES} retries. Stopping.`
+        );
+        log.network.error('No internet after', CONFIG.MAX_NETWORK_RETRIES, 'retries, stopping');
+        process.exit(1);
+      }
+
+      // Connection restored - restart without counting against crash limit
+      prepareResume();
+      restartCount++;
+      return;
+    }
+
+    if (policy === 'stop') {
+      originalConsole.error(`[wclaude] ${title}: ${err.message}`);
+      originalConsole.error(`[wclaude] ${hint}`);
+      logger.error(`${title}, stopping:`, err.message, { class: crashClass, stack: err.stack });
+      process.exit(1);
+    }
+
+    if (now - lastCrashTime > CONFIG.CRASH_WINDOW_MS) {
+      crashRestartCount = 0;
+      crashHistory = [];
+    }
+
+    crashRestartCount++;
+    lastCrashTime = now;
+    crashHistory.push(describeCrash(err, now));
+
+    if (crashRestartCount >= CONFIG.MAX_CRASH_RESTARTS) {
+      const reason = `Crashed ${CONFIG.MAX_CRASH_RESTARTS} times in ${CONFIG.CRASH_WINDOW_MS / 1000}s`;
+      originalConsole.error(`[wclaude] ${reason}. Stopping.`);
+      originalConsole.error(`[wclaude] ${title}:`, err.message);
+      originalConsole.error(`[wclaude] ${hint}`);
+      logger.error('Crash limit reached, stopping:', err.message, { class: crashClass, stack: err.stack });
+      reportCrash(reason);
+      process.exit(1);
+    }
+
+    prepareResume();
+    restartCount++;
+
+    if (policy === 'larger-heap' && !growHeap(err)) {
+      policy = 'restart';
     }
 
-    return false; // Max retries exceeded
+    // Small delay before restart to prevent CPU thrashing
+    const delayMs = policy === 'backoff'
+      ? calculateBackoff(crashRestartCount, CRASH_BACKOFF.baseMs, CRASH_BACKOFF.maxMs)
+      : 1000;
+
+    originalConsole.warn(
+      `[wclaude] ${title}. Restarting${policy === 'backoff' ? ` in ${delayMs / 1000}s` : ''}... (${crashRestartCount}/${CONFIG.MAX_CRASH_RESTARTS})`
+    );
+    logger.warn('Crashed, restarting', `(${crashRestartCount}/${CONFIG.MAX_CRASH_RESTARTS}):`, err.message, { class: crashClass, policy, delayMs, stack: err.stack });
+
+    await new Promise(r => setTimeout(r, delayMs));
   }
 
   /**
-   * Run CLI with auto-restart on crash (with loop prevention)
-   * Handles network errors separately from regular crashes
+   * Run CLI in this process with auto-restart on crash (with loop prevention)
    */
   async function runWithAutoRestart(cliPath) {
     while (true) {
       try {
-        await import(`file://${cliPath}`);
+        // A new URL per restart, so the module runs again with the new arguments
+        // instead of import() returning the cached (failed) module
+        await import(`file://${cliPath}${restartCount > 0 ? `?restart=${restartCount}` : ''}`);
         break; // Normal exit
       } catch (err) {
-        const now = Date.now();
-
-        // Check if this is a network error
-        if (isNetworkError(err)) {
-          originalConsole.warn('[wclaude] Network error detected:', err.message);
+        await handleCrash(err, relaunchWithLargerHeap);
+      }
+    }
+  }
 
-          // Wait for connectivity to be restored
-          const connected = await waitForConnectivity();
+  /**
+   * Run CLI in supervised child processes (restart.supervisor, see supervisor.js)
+   * Each start is a fresh node process with the hooks preloaded. Crashes are
+   * handled like in runWithAutoRestart; any other exit ends wclaude with the
+   * child's exit code.
+   */
+  async function runSupervised(cliPath) {
+    const crashFile = path.join(os.tmpdir(), `wclaude-${sessionId}-crash.json`);
+    let child = null;
+    let stopping = false;
+
+    const stop = signal => {
+      stopping = true;
+      log.signals.info('Received', signal, '- stopping Claude Code');
+      child?.kill(signal);
+    };
+    // Ctrl+C and Ctrl+Break reach the child directly (same console) - keep supervising
+    process.on('SIGINT', () => {});
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    if (process.platform === 'win32') {
+      process.on('SIGHUP', () => stop('SIGHUP'));
+      process.on('SIGBREAK', () => {});
+    }
 
-          if (!connected) {
-            originalConsole.error(
-              `[wclaude] No internet after ${CONFIG.MAX_NETWORK_RETRIES} retries. Stopping.`
-            );
-            process.exit(1);
-          }
+    while (true) {
+      fs.rmSync(crashFile, { force: true });
+      const args = process.argv.slice(2);
+      const env = {
+        ...process.env,
+        [SUPERVISOR_ENV.session]: sessionId,
+        [SUPERVISOR_ENV.crashFile]: crashFile,
+        [configEnvName('log', 'level')]: logLevel
+      };
+      logger.info('Starting Claude Code process', { args, heapMB: childHeapMB ?? heapFromNodeOptions(process.env.NODE_OPTIONS) });
 
-          // Connection restored - restart without counting against crash limit
-          continue;
-        }
+      const exit = await runChild(
+        childNodeArgs({ runnerPath: fileURLToPath(import.meta.url), cliPath, args, heapMB: childHeapMB }),
+        { env, onStart: started => { child = started; } }
+      );
+      child = null;
 
-        // Non-network error: use existing crash restart logic
-        if (now - lastCrashTime > CONFIG.CRASH_WINDOW_MS) {
-          crashRestartCount = 0;
-        }
+      if (exit.error) {
+        originalConsole.error(`[wclaude] Could not start Claude Code: ${exit.error.message}`);
+        logger.error('Could not start Claude Code:', exit.error.message);
+        process.exit(1);
+      }
 
-        crashRestartCount++;
-        lastCrashTime = now;
+      const crash = crashFromExit({ ...exit, record: readCrashRecord(crashFile), stopping });
+      logger.info('Claude Code process exited', { code: exit.code, signal: exit.signal, crashed: !!crash });
+      if (!crash) {
+        process.exit(exit.code ?? 0);
+      }
 
-        if (crashRestartCount >= CONFIG.MAX_CRASH_RESTARTS) {
-          originalConsole.error(
-            `[wclaude] Crashed ${CONFIG.MAX_CRASH_RESTARTS} times in ${CONFIG.CRASH_WINDOW_MS / 1000}s. Stopping.`
-          );
-          originalConsole.error('[wclaude] Error:', err.message);
-          process.exit(1);
-        }
+      await handleCrash(crash, growChildHeap);
+    }
+  }
 
+  /**
+   * Warn when the heap of the process running Claude Code gets full
+   * (heap.warnPercent). An out-of-memory crash is then handled by
+   * crashPolicy.heap (larger-heap by default).
+   */
+  function startHeapMonitor() {
+    const monitor = createHeapMonitor({
+      warnPercent: settings.heap.warnPercent,
+      intervalMs: settings.heap.monitorIntervalMs,
+      onWarn: ({ usedMB, limitMB, percent }) => {
         originalConsole.warn(
-          `[wclaude] Crashed. Restarting... (${crashRestartCount}/${CONFIG.MAX_CRASH_RESTARTS})`
+          `\n[wclaude] Memory: heap ${percent}% full (${usedMB}MB of ${limitMB}MB). ` +
+          'If Claude Code runs out of memory it is restarted with a larger heap; /compact or a new session frees memory.'
         );
+        log.heap.warn('Heap', `${percent}% full`, { usedMB, limitMB });
+      },
+      onRecover: usage => log.heap.info('Heap usage back to', `${usage.percent}%`, usage)
+    });
+    monitor.start();
+    log.heap.debug('Heap monitor started', { ...heapUsage(), warnPercent: settings.heap.warnPercent });
+  }
 
-        // Small delay before restart to prevent CPU thrashing
-        await new Promise(r => setTimeout(r, 1000));
-      }
-    }
+  /**
+   * Child of the supervisor: record uncaught exceptions for it and apply the
+   * hooks. Claude Code's cli.js then runs as this process's main module.
+   */
+  function setupSupervisedChild() {
+    process.on('uncaughtExceptionMonitor', err => recordCrash(supervisorCrashFile, err));
+    gitBashPath = findGitBashPath({ candidates: settings.git.bashCandidates });
+    hook();
+    startHeapMonitor();
+    logger.info('Supervised Claude Code process started', { pid: process.pid, args: process.argv.slice(2) });
   }
 
-  async function main() {
-    const npmGlobalRoot = await getNpmGlobalRoot();
+  /**
+   * Find Claude Code's cli.js in the npm global root and read its version
+   * @returns {string|null} Path of cli.js, or null (after printing why) if it is not installed
+   */
+  function findClaudeCli() {
+    let npmGlobalRoot;
+    try {
+      npmGlobalRoot = getNpmGlobalRoot();
+    } catch (e) {
+      originalConsole.error('Claude Code could not be located:', e.message);
+      logger.error('npm root -g failed:', e.message);
+      return null;
+    }
     const claudePath = path.join(npmGlobalRoot, '@anthropic-ai', 'claude-code');
     const packageInstalled = fs.existsSync(path.join(claudePath, 'package.json'));
 
     if (!packageInstalled) {
       originalConsole.error('Claude Code package is not installed globally.');
       originalConsole.error('Please run: npm install -g @anthropic-ai/claude-code --ignore-scripts');
-      return;
+      return null;
+    }
+
+    try {
+      claudeCodeVersion = JSON.parse(fs.readFileSync(path.join(claudePath, 'package.json'), 'utf8')).version;
+    } catch (e) {
+      // Leave unknown - only used in crash reports
     }
 
     const cliPath = path.join(claudePath, 'cli.js');
     if (!fs.existsSync(cliPath)) {
       originalConsole.error('CLI script is not found. Please ensure it is installed correctly.');
-      return;
+      return null;
     }
+    return cliPath;
+  }
 
+  async function main() {
     logger.debug('Claude Code path:', cliPath);
 
-    gitBashPath = findGitBashPath();
+    gitBashPath = findGitBashPath({ candidates: settings.git.bashCandidates });
     if (!gitBashPath) {
       originalConsole.warn('[wclaude] Git Bash not found - Unix commands (grep, find, awk, sed) will not be available');
+      logger.warn('Git Bash not found');
       originalConsole.warn('[wclaude] To enable Unix commands, install Git for Windows: https://git-scm.com/download/win');
       originalConsole.warn('[wclaude] After installation, restart your terminal and run again');
     }
     logger.debug('Git Bash:', gitBashPath || 'not found');
 
+    if (supervisorMode) {
+      // The hooks are applied in each child (setupSupervisedChild)
+      await runSupervised(cliPath);
+      return;
+    }
+
     hook();
+    startHeapMonitor();
 
     // Run CLI with auto-restart capability
     await runWithAutoRestart(cliPath);
@@ -976,7 +1521,7 @@ let networkRetryCount = 0;
       // Claude Code calls: stdin.on("error", cb), stdin.write(data, "utf8"), stdin.end()
       child.stdin = new EventEmitter();
       child.stdin.write = function(chunk, encoding, callback) {
-        logger.debug('Hook stdin.write called, chunk length:', chunk?.length);
+        log.hooks.trace('Hook stdin.write called, chunk length:', chunk?.length);
         if (chunk) stdinData += chunk.toString();
         // Call callback if provided (stream interface)
         if (typeof encoding === 'function') encoding();
@@ -984,12 +1529,13 @@ let networkRetryCount = 0;
         return true; // Indicate write was successful (buffer not full)
       };
       child.stdin.end = function(chunk, encoding, callback) {
-        logger.debug('Hook stdin.end called, total data length:', stdinData.length);
+        log.hooks.trace('Hook stdin.end called, total data length:', stdinData.length);
         if (chunk) stdinData += chunk.toString();
 
-        logger.debug('Hook processing input:', stdinData.substring(0, 500));
+        // Redact before truncating so a secret cut in half is still masked
+        log.hooks.debug('Hook processing input:', redactor.redact(stdinData).substring(0, 500));
         const response = handleFn(stdinData);
-        logger.debug('Hook response:', response.substring(0, 200));
+        log.hooks.debug('Hook response:', response.substring(0, 200));
 
         // Emit response on next tick to allow event handlers to attach
         process.nextTick(() => {
@@ -1008,13 +1554,13 @@ let networkRetryCount = 0;
       // stdout/stderr need setEncoding method (Claude Code calls this)
       child.stdout = new EventEmitter();
       child.stdout.setEncoding = function(enc) {
-        logger.debug('Hook stdout.setEncoding called:', enc);
+        log.hooks.trace('Hook stdout.setEncoding called:', enc);
         return this;
       };
 
       child.stderr = new EventEmitter();
       child.stderr.setEncoding = function(enc) {
-        logger.debug('Hook stderr.setEncoding called:', enc);
+        log.hooks.trace('Hook stderr.setEncoding called:', enc);
         return this;
       };
 
@@ -1029,23 +1575,53 @@ let networkRetryCount = 0;
         try {
           // Check if this is our injected hook being spawned
           if (typeof command === 'string' && command.includes('__RUNNER_PERMISSION_HOOK__')) {
-            logger.debug('Intercepting injected PermissionRequest hook');
+            log.hooks.debug('Intercepting injected PermissionRequest hook');
             return createHookChildProcess(handlePermissionRequest);
           }
           // Also check args for cases where command is 'node' and args contain the marker
           if (command === 'node' && Array.isArray(args) && args.some(a => String(a).includes('__RUNNER_PERMISSION_HOOK__'))) {
-            logger.debug('Intercepting injected PermissionRequest hook (args)');
+            log.hooks.debug('Intercepting injected PermissionRequest hook (args)');
             return createHookChildProcess(handlePermissionRequest);
           }
 
-          if (command === '/bin/bash' && gitBashPath) {
+          const isGitBash = command === '/bin/bash' && gitBashPath;
+          if (isGitBash) {
             // Validate bash -c commands before execution
             if (args[0] === '-c' && args[1]) {
-              const validation = validateBashCommand(args[1]);
+              const commandCwd = String(options?.cwd || process.cwd());
+              const validation = validateCommand(args[1], {
+                ...getBlocklistRules(commandCwd),
+                rewrite: settings.blocklist.rewrite,
+                maxPathLength: settings.blocklist.maxPathLength
+              });
               if (!validation.allowed) {
-                logger.debug('Command blocked:', { command: args[1], reason: validation.reason });
+                log.spawn.info('Command blocked:', { command: args[1], reason: validation.reason });
+                auditLog.write({
+                  cwd: commandCwd,
+                  tool: 'Bash',
+                  input: summarizeInput({ command: args[1] }),
+                  decision: 'block',
+                  rule: validation.rule,
+                  reason: validation.reason
+                });
                 return createBlockedChildProcess(validation.reason);
               }
+              if (validation.rewrites) {
+                // Run the fixed command and tell the model what changed (on stderr, before its output)
+                log.spawn.info('Command rewritten:', { command: args[1], rewritten: validation.command });
+                for (const rewrite of validation.rewrites) {
+                  auditLog.write({
+                    cwd: commandCwd,
+                    tool: 'Bash',
+                    input: summarizeInput({ command: rewrite.from }),
+                    decision: 'rewrite',
+                    rule: rewrite.rule,
+                    rewritten: summarizeInput({ command: rewrite.to }).command
+                  });
+                }
+                const notices = validation.rewrites.map(r => shellQuote(`[rewritten] ${r.from} -> ${r.to} (${r.reason})`));
+                args = [args[0], `printf '%s\\n' ${notices.join(' ')} >&2; ${validation.command}`, ...args.slice(2)];
+              }
             }
             command = gitBashPath;
           }
@@ -1060,11 +1636,33 @@ let networkRetryCount = 0;
             child.on('error', () => {
               childProcesses.delete(child);
             });
+
+            // Kill runaway commands the blocklist did not predict
+            if (isGitBash) {
+              const commandText = args[0] === '-c' ? args[1] : args.join(' ');
+              watchChild(child, {
+                ...settings.watchdog,
+                timeoutMs: commandTimeout(settings.watchdog.timeoutMs),
+                kill: c => killProcessTree(c.pid),
+                onLimit: ({ limit, message }) => {
+                  log.spawn.warn('Watchdog killed command:', { command: commandText, limit });
+                  auditLog.write({
+                    cwd: String(options?.cwd || process.cwd()),
+                    tool: 'Bash',
+                    input: summarizeInput({ command: commandText }),
+                    decision: 'kill',
+                    rule: `watchdog-${limit}`,
+                    reason: message
+                  });
+                }
+              });
+            }
           }
 
           return child;
         } catch (error) {
           originalConsole.error('[wclaude] spawn error:', error);
+          log.spawn.error('spawn error:', error);
           throw error;
         }
       };
@@ -1082,6 +1680,7 @@ let networkRetryCount = 0;
         }
       } catch (e) {
         originalConsole.warn('[wclaude] Could not hook spawn function:', e.message);
+        log.spawn.warn('Could not hook spawn function:', e.message);
       }
     }
 
@@ -1163,7 +1762,7 @@ let networkRetryCount = 0;
             windowsPath = windowsPath.replace(/[\r\n]/g, '').replace(/^['"]|['"]$/g, '');
             // Convert using our function
             const posixPath = windowsToPosix(windowsPath);
-            logger.debug('cygpath intercepted:', { from: windowsPath, to: posixPath });
+            log.cygpath.debug('cygpath intercepted:', { from: windowsPath, to: posixPath });
             return posixPath;
           }
         }
@@ -1178,7 +1777,7 @@ let networkRetryCount = 0;
     // Claude Code reads settings.json to get hook configurations.
     // Instead of requiring hooks in settings.json, we inject our hook
     // configuration dynamically. This allows us to:
-    // 1. Auto-approve most tools without user intervention
+    // 1. Answer permission requests from the policy (default: auto-approve most tools)
     // 2. Still require user approval for AskUserQuestion and ExitPlanMode
     // 3. Show toast notifications when user approval is needed
     {
@@ -1200,7 +1799,9 @@ let networkRetryCount = 0;
           const settings = JSON.parse(content);
 
           // Only inject if hooks section doesn't already have PermissionRequest
-          if (!settings.hooks?.PermissionRequest?.length) {
+          // (then the user's hook and Claude Code's prompt answer permission requests)
+          hookStatus.permissions = settings.hooks?.PermissionRequest?.length ? 'prompt' : 'policy';
+          if (hookStatus.permissions === 'policy') {
             settings.hooks = settings.hooks || {};
 
             // Inject PermissionRequest hook - points to a placeholder script
@@ -1212,7 +1813,7 @@ let networkRetryCount = 0;
               }]
             }];
 
-            logger.debug('Injected PermissionRequest hook into settings');
+            log.hooks.debug('Injected PermissionRequest hook into settings');
           }
 
           // Return modified settings as string or buffer
@@ -1220,7 +1821,7 @@ let networkRetryCount = 0;
           return typeof result === 'string' ? modifiedContent : Buffer.from(modifiedContent);
         } catch (e) {
           // If parsing fails, return original content
-          logger.debug('Could not inject hooks into settings:', e.message);
+          log.hooks.warn('Could not inject hooks into settings:', e.message);
           return result;
         }
       };
@@ -1232,7 +1833,7 @@ let networkRetryCount = 0;
       // Silently ignore sync errors - not critical for operation
     }
 
-    logger.debug('Hooks applied:', {
+    hookStatus = {
       fsAccessSync: true,
       osTmpdir: true,
       spawn: !!gitBashPath,
@@ -1241,81 +1842,25 @@ let networkRetryCount = 0;
       childProcessKill: true,
       execSync: true,
       fsReadFileSync: true,
-      autoApprovePermissions: true
-    });
-  };
-
-  /**
-   * Find Git Bash installation path
-   */
-  const findGitBashPath = () => {
-    const possibleGitPaths = [
-      'C:/Program Files/Git/usr/bin/bash.exe',
-      'C:/Program Files (x86)/Git/usr/bin/bash.exe',
-      // Also check common custom install locations
-      'D:/Program Files/Git/usr/bin/bash.exe',
-      'D:/Git/usr/bin/bash.exe',
-    ];
-
-    for (const gitPath of possibleGitPaths) {
-      if (fs.existsSync(gitPath)) {
-        return gitPath;
-      }
-    }
-
-    // Try to find via where command
-    try {
-      const result = execSync('where git', { encoding: 'utf8', timeout: 5000 });
-      const gitExePath = result.trim().split('\n')[0];
-      if (gitExePath) {
-        // Git is usually at Git/cmd/git.exe, bash is at Git/usr/bin/bash.exe
-        const gitDir = path.dirname(path.dirname(gitExePath));
-        const bashPath = path.join(gitDir, 'usr', 'bin', 'bash.exe').replace(/\\/g, '/');
-        if (fs.existsSync(bashPath)) {
-          return bashPath;
-        }
-      }
-    } catch (e) {
-      // Git not found in PATH
-    }
-
-    return false;
+      // policy: answered by the wclaude permission policy (prompt for "ask" rules);
+      // prompt: settings.json has its own PermissionRequest hook (updated by Hook 7)
+      permissions: 'policy',
+      auditLog: auditLog.filePath
+    };
+    logger.debug('Hooks applied:', hookStatus);
   };
 
-  // Note: windowsToPosix() is now exported at the top of the file
-
-  /**
-   * Get npm global root directory
-   */
-  const getNpmGlobalRoot = () => {
-    try {
-      const result = execSync('npm root -g', {
-        encoding: 'utf8',
-        timeout: 10000
-      });
-
-      const rootPath = result.trim();
-
-      if (!rootPath) {
-        throw new Error('npm root -g returned empty result');
-      }
-
-      return rootPath;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        throw new Error('npm command not found. Please ensure npm is installed and available in PATH');
-      }
-
-      if (error.signal === 'SIGTERM') {
-        throw new Error('npm root -g command timed out');
-      }
-
-      throw new Error(`Failed to get npm global root: ${error.message}`);
-    }
-  };
+  if (supervisorSession) {
+    setupSupervisedChild();
+    return;
+  }
 
   main().catch(err => {
     originalConsole.error('Error in main function:', err);
+    logger.error('Error in main function:', err, { stack: err?.stack });
   });
 
 })();
+
+// A supervised child must apply the hooks before cli.js runs (it is loaded with --import)
+if (supervisorSession) await started;
@@ -0,0 +1,414 @@
+// secrets.js - API tokens from secret providers
+//
+// A terminal started before a token was set does not see it, and some
+// security policies forbid keeping API keys in plain environment
+// variables at all. At startup wclaude imports the configured names
+// (secrets.tokens in wclaude.json) that are not already in the
+// environment, asking each provider in secrets.providers in order:
+//
+//   { "type": "registry" }                   Windows user (HKCU) and machine (HKLM) variables
+//   { "type": "dotenv", "path": "~/.claude/secrets.env" }
+//                                            KEY=value file
+//   { "type": "vault", "path": "~/.claude/wclaude-vault.json",
+//     "passphraseCommand": "..." }           AES-256-GCM encrypted file (edit with `wclaude vault`)
+//   { "type": "command", "commands": { "ANTHROPIC_API_KEY": "op read op://Private/Anthropic/credential" } }
+//                                            Command that prints the secret
+//
+// The first provider that has a name wins; the environment always wins
+// over every provider. Names may use wildcards: "*_API_KEY" imports every
+// matching name a provider can list (command providers only run for the
+// names they map). Matching is case-insensitive, like Windows.
+//
+// Each registry hive is read with one `reg query` (all values at once).
+//
+// Test manually with:
+//   node -e "import('./secrets.js').then(m => console.log(m.resolveSecrets(['*_API_KEY']).report))"
+
+import { execFileSync, execSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Registry keys holding environment variables, in precedence order
+ */
+export const REGISTRY_HIVES = [
+  { name: 'HKCU', key: 'HKCU\\Environment' },
+  { name: 'HKLM', key: 'HKLM\\SYSTEM\\CurrentControlSet\\Control\\Session Manager\\Environment' }
+];
+
+/**
+ * Provider chain used when secrets.providers is not configured
+ */
+export const DEFAULT_SECRET_PROVIDERS = [{ type: 'registry' }];
+
+/**
+ * Environment variable holding the vault passphrase (when a vault has no passphraseCommand)
+ */
+export const VAULT_PASSPHRASE_ENV = 'WCLAUDE_VAULT_PASSPHRASE';
+
+/**
+ * Fields each provider type accepts: name -> 'string' | 'integer' | 'commands' (? = optional)
+ */
+const PROVIDER_FIELDS = {
+  registry: {},
+  dotenv: { path: 'string' },
+  vault: { path: 'string', passphraseCommand: 'string?' },
+  command: { commands: 'commands', timeoutMs: 'integer?' }
+};
+
+/**
+ * Default time limit for command providers (they may wait for an unlock prompt)
+ */
+const COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * scrypt parameters of vault files (16MB of memory); decryptVault accepts no others
+ */
+const VAULT_KDF = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Run reg.exe and return its stdout
+ * @param {string[]} args - reg arguments (e.g. ['query', 'HKCU\\Environment'])
+ * @returns {string} stdout
+ * @throws {Error} If reg fails (e.g. the key does not exist)
+ */
+export function runReg(args) {
+  return execFileSync('reg', args, {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'ignore'],
+    timeout: 5000,
+    windowsHide: true
+  });
+}
+
+/**
+ * Run a secret command and return what it printed
+ * stdin and stderr stay attached to the terminal so unlock prompts work.
+ * @param {string} command - Shell command (e.g. "op read op://Private/Anthropic/credential")
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {string} stdout without surrounding whitespace
+ * @throws {Error} If the command fails or times out
+ */
+export function runSecretCommand(command, { timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  return execSync(command, {
+    encoding: 'utf8',
+    stdio: ['inherit', 'pipe', 'inherit'],
+    timeout: timeoutMs,
+    windowsHide: true
+  }).trim();
+}
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string} p - Path from the config
+ * @returns {string}
+ */
+export function expandHome(p) {
+  if (p === '~' || p.startsWith('~/') || p.startsWith('~\\')) {
+    return path.join(os.homedir(), p.slice(1));
+  }
+  return p;
+}
+
+/**
+ * Parse `reg query <key>` output into string values
+ * Only REG_SZ and REG_EXPAND_SZ values are returned (as stored, not expanded).
+ * @param {string} output - reg query stdout
+ * @returns {Map<string, string>} Value name -> data
+ */
+export function parseRegQuery(output) {
+  const values = new Map();
+  for (const line of output.split(/\r?\n/)) {
+    const match = line.match(/^ {4}(.+?) {4}(REG_SZ|REG_EXPAND_SZ) {4}(.*)$/);
+    if (match) {
+      values.set(match[1], match[3].trim());
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a dotenv file
+ * Supports comments, "export KEY=value", single quotes (literal) and
+ * double quotes (\n, \" and \\ escapes). Unquoted values end at " #".
+ * @param {string} text - File contents
+ * @returns {Map<string, string>} Name -> value
+ */
+export function parseDotenv(text) {
+  const values = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    let value = match[2].trim();
+    if (value.startsWith('"')) {
+      const end = value.match(/^"((?:[^"\\]|\\.)*)"/);
+      value = end
+        ? end[1].replace(/\\(.)/g, (_, ch) => (ch === 'n' ? '\n' : ch))
+        : value.slice(1);
+    } else if (value.startsWith("'")) {
+      const end = value.indexOf("'", 1);
+      value = end === -1 ? value.slice(1) : value.slice(1, end);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values.set(match[1], value);
+  }
+  return values;
+}
+
+/**
+ * Encrypt secrets into a vault file object (AES-256-GCM, scrypt key)
+ * @param {object} secrets - { NAME: value }
+ * @param {string} passphrase - Vault passphrase
+ * @returns {object} JSON-serializable vault
+ */
+export function encryptVault(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, VAULT_KDF);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    kdf: { name: 'scrypt', ...VAULT_KDF, salt: salt.toString('base64') },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a vault file object
+ * @param {object} vault - Parsed vault file (from encryptVault)
+ * @param {string} passphrase - Vault passphrase
+ * @returns {object} { NAME: value }
+ * @throws {Error} If the passphrase is wrong, the file is damaged or its scrypt parameters are not VAULT_KDF
+ */
+export function decryptVault(vault, passphrase) {
+  if (vault?.version !== 1 || vault.kdf?.name !== 'scrypt' || vault.cipher?.name !== 'aes-256-gcm') {
+    throw new Error('unsupported vault format');
+  }
+
+  // Only the parameters encryptVault writes: a damaged or crafted file must not
+  // choose how much memory and time the key derivation takes
+  const { N, r, p } = vault.kdf;
+  if (N !== VAULT_KDF.N || r !== VAULT_KDF.r || p !== VAULT_KDF.p) {
+    throw new Error('unsupported vault key parameters');
+  }
+  try {
+    const key = crypto.scryptSync(passphrase, Buffer.from(vault.kdf.salt, 'base64'), 32, {
+      ...VAULT_KDF, maxmem: 256 * VAULT_KDF.N * VAULT_KDF.r
+    });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(vault.cipher.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(vault.cipher.tag, 'base64'));
+    const text = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error('could not decrypt vault (wrong passphrase or damaged file)');
+  }
+}
+
+/**
+ * Get the passphrase for a vault provider
+ * @param {object} spec - Vault provider ({ path, passphraseCommand? })
+ * @param {object} deps - { env, exec }
+ * @returns {string}
+ * @throws {Error} If no passphrase is available
+ */
+export function getVaultPassphrase(spec, { env = process.env, exec = runSecretCommand } = {}) {
+  const passphrase = spec.passphraseCommand ? exec(spec.passphraseCommand, {}) : env[VAULT_PASSPHRASE_ENV];
+  if (!passphrase) {
+    throw new Error(`no passphrase (set "passphraseCommand" or ${VAULT_PASSPHRASE_ENV})`);
+  }
+  return passphrase;
+}
+
+/**
+ * Validate the secrets.providers setting
+ * @param {object[]} providers - Provider specs
+ * @throws {Error} Describing the first invalid provider
+ */
+export function validateSecretProviders(providers) {
+  providers.forEach((spec, index) => {
+    const label = `provider #${index + 1}`;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!Object.hasOwn(PROVIDER_FIELDS, spec.type)) {
+      throw new Error(`${label}: "type" must be one of ${Object.keys(PROVIDER_FIELDS).join(', ')}`);
+    }
+
+    const fields = PROVIDER_FIELDS[spec.type];
+    for (const key of Object.keys(spec)) {
+      if (key !== 'type' && !Object.hasOwn(fields, key)) {
+        throw new Error(`${label} (${spec.type}): unknown key "${key}"`);
+      }
+    }
+    for (const [key, kind] of Object.entries(fields)) {
+      const value = spec[key];
+      if (value === undefined) {
+        if (!kind.endsWith('?')) throw new Error(`${label} (${spec.type}): "${key}" is required`);
+        continue;
+      }
+      if (kind.startsWith('string') && (typeof value !== 'string' || !value.trim())) {
+        throw new Error(`${label} (${spec.type}): "${key}" must be a non-empty string`);
+      }
+      if (kind.startsWith('integer') && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`${label} (${spec.type}): "${key}" must be a positive integer`);
+      }
+      if (kind === 'commands' && (
+        !value || typeof value !== 'object' || Array.isArray(value) ||
+        !Object.entries(value).every(([name, command]) => !/[*?]/.test(name) && typeof command === 'string' && command.trim())
+      )) {
+        throw new Error(`${label} (${spec.type}): "${key}" must map token names (no wildcards) to commands`);
+      }
+    }
+  });
+}
+
+/**
+ * Create the providers for a spec
+ * A provider is { label, read(wanted) }: read returns [{ name, value }]
+ * for the names it has (wanted(name) says whether a name is still needed)
+ * and throws if the source cannot be read at all.
+ * @param {object} spec - Validated provider spec
+ * @param {object} deps - { env, reg, hives, readFile, exec }
+ * @param {string[]} errors - Collects per-name failures
+ * @returns {object[]} Providers (the registry spec creates one per hive)
+ */
+function createProviders(spec, deps, errors) {
+  const fromMap = values => [...values].map(([name, value]) => ({ name, value }));
+
+  switch (spec.type) {
+    case 'registry':
+      return deps.hives.map(hive => ({
+        label: hive.name,
+        read: () => fromMap(parseRegQuery(deps.reg(['query', hive.key])))
+      }));
+
+    case 'dotenv':
+      return [{
+        label: `dotenv ${spec.path}`,
+        read: () => fromMap(parseDotenv(deps.readFile(expandHome(spec.path))))
+      }];
+
+    case 'vault':
+      return [{
+        label: `vault ${spec.path}`,
+        read: () => {
+          const vault = JSON.parse(deps.readFile(expandHome(spec.path)));
+          return Object.entries(decryptVault(vault, getVaultPassphrase(spec, deps)))
+            .map(([name, value]) => ({ name, value: String(value) }));
+        }
+      }];
+
+    case 'command':
+      return [{
+        label: 'command',
+        read: wanted => Object.entries(spec.commands).flatMap(([name, command]) => {
+          if (!wanted(name)) return [];
+          try {
+            return [{ name, value: deps.exec(command, { timeoutMs: spec.timeoutMs }) }];
+          } catch (e) {
+            errors.push(`command ${name}: ${e.message.split('\n')[0]}`);
+            return [];
+          }
+        })
+      }];
+  }
+  return [];
+}
+
+/**
+ * Compile a secret name pattern (* = any characters, ? = one character)
+ * @param {string} pattern - Name or wildcard pattern (e.g. "*_API_KEY")
+ * @returns {RegExp} Case-insensitive, anchored
+ */
+export function secretPatternToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Resolve the configured secret names through the environment and the provider chain
+ * The environment is not modified - assign `values` to apply them.
+ * @param {string[]} patterns - Names and wildcard patterns (secrets.tokens)
+ * @param {object} [options]
+ * @param {object[]} [options.providers] - Provider specs in order (default DEFAULT_SECRET_PROVIDERS)
+ * @param {object} [options.env] - Current environment (default process.env)
+ * @param {function(string[]): string} [options.reg] - Runs reg.exe (default runReg)
+ * @param {object[]} [options.hives] - Registry keys to read (default REGISTRY_HIVES)
+ * @param {function(string): string} [options.readFile] - Reads dotenv and vault files
+ * @param {function(string, object): string} [options.exec] - Runs secret commands (default runSecretCommand)
+ * @returns {{ values: object, report: object[], missing: string[], errors: string[] }}
+ *   values: { NAME: value } to add to the environment;
+ *   report: [{ name, source }] every matched name, source 'environment' or a provider label
+ *   ('HKCU', 'HKLM', 'dotenv <path>', 'vault <path>', 'command');
+ *   missing: names without wildcards that were not found anywhere;
+ *   errors: providers (or commands) that failed
+ */
+export function resolveSecrets(patterns, {
+  providers = DEFAULT_SECRET_PROVIDERS,
+  env = process.env,
+  reg = runReg,
+  hives = REGISTRY_HIVES,
+  readFile = file => fs.readFileSync(file, 'utf8'),
+  exec = runSecretCommand
+} = {}) {
+  const exact = patterns.filter(p => !/[*?]/.test(p));
+  const regexes = patterns.map(secretPatternToRegExp);
+  const found = new Map();  // upper-case name -> { name, source }
+  const values = {};
+  const errors = [];
+  const wanted = name => !found.has(name.toUpperCase()) && regexes.some(regex => regex.test(name));
+
+  for (const name of Object.keys(env)) {
+    if (env[name] && wanted(name)) {
+      found.set(name.toUpperCase(), { name, source: 'environment' });
+    }
+  }
+
+  const hasWildcards = exact.length < patterns.length;
+  const chain = providers.flatMap(spec => createProviders(spec, { env, reg, hives, readFile, exec }, errors));
+
+  for (const provider of chain) {
+    // Without wildcards, stop as soon as every name is known
+    if (!hasWildcards && exact.every(name => found.has(name.toUpperCase()))) break;
+
+    let entries;
+    try {
+      entries = provider.read(wanted);
+    } catch (e) {
+      errors.push(`${provider.label}: ${e.message.split('\n')[0]}`);
+      continue;
+    }
+
+    for (const { name, value } of entries) {
+      if (!value || !wanted(name)) continue;
+      found.set(name.toUpperCase(), { name, source: provider.label });
+      values[name] = value;
+    }
+  }
+
+  return {
+    values,
+    report: [...found.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    missing: exact.filter(name => !found.has(name.toUpperCase())),
+    errors
+  };
+}
+
+/**
+ * Format a resolve report for logs and `wclaude doctor` (names only, never values)
+ * @param {object[]} report - resolveSecrets report
+ * @returns {string} e.g. "ANTHROPIC_API_KEY (HKCU), GITHUB_TOKEN (environment)"
+ */
+export function formatSecretReport(report) {
+  return report.map(entry => `${entry.name} (${entry.source})`).join(', ');
+}
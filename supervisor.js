@@ -0,0 +1,150 @@
+// supervisor.js - Run Claude Code in a supervised child process
+//
+// By default Claude Code runs inside the wrapper's own process (import of
+// cli.js). With restart.supervisor the wrapper becomes a supervisor instead:
+//
+//   wclaude (supervisor)                      node child
+//   - setup (env, PATH, tokens, tab title)    - --import runner.js: hooks
+//   - start child, wait for its exit    --->  - cli.js as the main module
+//   - crash window, network wait, resume
+//
+// A restart is a fresh process, and a hard crash (an uncaught exception in a
+// timer, heap out of memory) only takes down the child. The child records an
+// uncaught exception in a file, so the supervisor can classify a failed exit
+// (see crash.js); a clean exit, or one without a record, is Claude Code's own
+// exit code and is passed on unchanged.
+//
+// The child preloads the hooks with --import (Node 18.19+ / 20.6+). On an
+// older Node wclaude warns and runs Claude Code in-process instead.
+//
+// Both processes write the same session log. Only the child rotates it: it
+// writes nearly all records, and a new child reads the real file size.
+
+import fs from 'fs';
+import { spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+
+/**
+ * Environment variables passed to the child (removed again in the child, so
+ * processes Claude Code starts do not see them)
+ */
+export const SUPERVISOR_ENV = {
+  session: 'WCLAUDE_SUPERVISOR_SESSION',   // wclaude session ID of the supervisor
+  crashFile: 'WCLAUDE_SUPERVISOR_CRASH_FILE'  // Where the child records an uncaught exception
+};
+
+/**
+ * Exit codes of node's abort(), e.g. on "JavaScript heap out of memory"
+ * (134 = SIGABRT, 0xC0000409 = abort on Windows)
+ */
+const ABORT_EXIT_CODES = [134, 0xC0000409];
+
+/**
+ * Error fields kept in a crash record (what classifyCrash looks at)
+ */
+const CRASH_FIELDS = ['name', 'message', 'code', 'status', 'statusCode', 'syscall', 'path', 'cmd', 'stack'];
+
+/**
+ * Check whether this Node can preload the hooks with --import
+ * @param {Set<string>} [flags] - process.allowedNodeEnvironmentFlags
+ * @returns {boolean}
+ */
+export function supportsImportFlag(flags = process.allowedNodeEnvironmentFlags) {
+  return flags.has('--import');
+}
+
+/**
+ * Node arguments for the child
+ * @param {object} options
+ * @param {string} options.runnerPath - runner.js, preloaded to apply the hooks
+ * @param {string} options.cliPath - Claude Code's cli.js
+ * @param {string[]} options.args - Claude Code arguments
+ * @param {number|null} [options.heapMB] - Heap limit (see heap.js)
+ * @returns {string[]}
+ */
+export function childNodeArgs({ runnerPath, cliPath, args, heapMB = null }) {
+  const heap = heapMB ? [`--max-old-space-size=${heapMB}`] : [];
+  return [...heap, '--import', pathToFileURL(runnerPath).href, cliPath, ...args];
+}
+
+/**
+ * Record an uncaught exception for the supervisor (in the child)
+ * Synchronous, because the process exits right after.
+ * @param {string} file - Crash file (SUPERVISOR_ENV.crashFile)
+ * @param {*} err - Thrown value
+ */
+export function recordCrash(file, err) {
+  const record = {};
+  if (err && typeof err === 'object') {
+    for (const field of CRASH_FIELDS) {
+      if (err[field] !== undefined) record[field] = err[field];
+    }
+  } else {
+    record.name = typeof err;
+    record.message = String(err);
+  }
+  try {
+    fs.writeFileSync(file, JSON.stringify(record));
+  } catch (e) {
+    // Ignore - the supervisor falls back to the exit code
+  }
+}
+
+/**
+ * Read and delete the crash record of the last child
+ * @param {string} file - Crash file
+ * @returns {object|null} Error fields, or null if the child did not record one
+ */
+export function readCrashRecord(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Decide whether a child exit was a crash
+ * @param {object} exit
+ * @param {number|null} exit.code - Exit code
+ * @param {string|null} exit.signal - Signal that ended the child
+ * @param {object|null} [exit.record] - Crash record (readCrashRecord), used for a failed exit
+ * @param {boolean} [exit.stopping] - The supervisor itself stopped the child
+ * @returns {object|null} Error-like crash for classifyCrash, or null for a normal exit
+ */
+export function crashFromExit({ code, signal, record = null, stopping = false }) {
+  if (stopping) return null;
+  // The record is written for every uncaught exception, including ones Claude Code
+  // recovers from, so it only explains an exit that failed
+  if (record && (code !== 0 || signal)) return record;
+  if (signal) {
+    return { name: 'Error', message: `Claude Code was killed by ${signal}`, code: signal };
+  }
+  if (ABORT_EXIT_CODES.includes(code)) {
+    return { name: 'Error', message: `Claude Code aborted with exit code ${code} (usually JavaScript heap out of memory)` };
+  }
+  if (code >= 0xC0000000) {
+    return { name: 'Error', message: `Claude Code crashed with exit code 0x${code.toString(16).toUpperCase()}` };
+  }
+  return null;
+}
+
+/**
+ * Start the child and wait for it to exit
+ * @param {string[]} nodeArgs - childNodeArgs result
+ * @param {object} [options]
+ * @param {object} [options.env] - Child environment
+ * @param {function(ChildProcess): void} [options.onStart] - Called with the child (for signal forwarding)
+ * @param {string} [options.execPath] - Node executable
+ * @returns {Promise<{ code: number|null, signal: string|null, error?: Error }>}
+ */
+export function runChild(nodeArgs, { env = process.env, onStart = () => {}, execPath = process.execPath } = {}) {
+  return new Promise(resolve => {
+    const child = spawn(execPath, nodeArgs, { stdio: 'inherit', env });
+    child.once('error', error => resolve({ code: null, signal: null, error }));
+    child.once('exit', (code, signal) => resolve({ code, signal }));
+    onStart(child);
+  });
+}
@@ -0,0 +1,153 @@
+// system.js - Windows environment probes for wclaude
+//
+// Used by the startup sequence in runner.js and by `wclaude doctor`, so
+// both see the same Git, npm and PowerShell installations. Each probe
+// takes its process/file-system functions as options (defaults: the real
+// ones) so it can run anywhere.
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Program Files Git, preferred over Scoop Git (which has known issues with Claude Code)
+ */
+export const PROGRAM_FILES_GIT_CMD = 'C:\\Program Files\\Git\\cmd';
+
+/**
+ * Git Bash locations checked before falling back to "where git"
+ */
+export const GIT_BASH_CANDIDATES = [
+  'C:/Program Files/Git/usr/bin/bash.exe',
+  'C:/Program Files (x86)/Git/usr/bin/bash.exe',
+  // Also check common custom install locations
+  'D:/Program Files/Git/usr/bin/bash.exe',
+  'D:/Git/usr/bin/bash.exe',
+];
+
+/**
+ * Registry key of the wclaude:// protocol handler (toast click-to-focus)
+ */
+export const PROTOCOL_HANDLER_KEY = 'HKCU\\Software\\Classes\\wclaude\\shell\\open\\command';
+
+/**
+ * Where the MCP modules junction is created
+ */
+export const MCP_JUNCTION_PATH = path.join(os.homedir(), '.mcp-modules', 'node_modules', '@anthropic-ai', 'claude-code');
+
+/**
+ * Find Git Bash installation path
+ * @param {object} [options]
+ * @param {function(string): boolean} [options.exists] - fs.existsSync
+ * @param {function(string, object): string} [options.exec] - execSync
+ * @param {string[]} [options.candidates] - Paths checked first
+ * @returns {string|false} bash.exe path (forward slashes), or false if not found
+ */
+export function findGitBashPath({
+  exists = fs.existsSync,
+  exec = execSync,
+  candidates = GIT_BASH_CANDIDATES
+} = {}) {
+  for (const gitPath of candidates) {
+    if (exists(gitPath)) {
+      return gitPath;
+    }
+  }
+
+  // Try to find via where command
+  try {
+    const result = exec('where git', { encoding: 'utf8', timeout: 5000, stdio: ['pipe', 'pipe', 'ignore'] });
+    const gitExePath = result.trim().split('\n')[0].trim();
+    if (gitExePath) {
+      // Git is usually at Git/cmd/git.exe, bash is at Git/usr/bin/bash.exe
+      const gitDir = path.win32.dirname(path.win32.dirname(gitExePath));
+      const bashPath = path.win32.join(gitDir, 'usr', 'bin', 'bash.exe').replace(/\\/g, '/');
+      if (exists(bashPath)) {
+        return bashPath;
+      }
+    }
+  } catch (e) {
+    // Git not found in PATH
+  }
+
+  return false;
+}
+
+/**
+ * Get npm global root directory
+ * @param {object} [options]
+ * @param {function(string, object): string} [options.exec] - execSync
+ * @returns {string} npm global root
+ * @throws {Error} If npm is missing, times out or returns nothing
+ */
+export function getNpmGlobalRoot({ exec = execSync } = {}) {
+  try {
+    const result = exec('npm root -g', {
+      encoding: 'utf8',
+      timeout: 10000
+    });
+
+    const rootPath = result.trim();
+
+    if (!rootPath) {
+      throw new Error('npm root -g returned empty result');
+    }
+
+    return rootPath;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('npm command not found. Please ensure npm is installed and available in PATH');
+    }
+
+    if (error.signal === 'SIGTERM') {
+      throw new Error('npm root -g command timed out');
+    }
+
+    throw new Error(`Failed to get npm global root: ${error.message}`);
+  }
+}
+
+/**
+ * Get the PowerShell 7 (pwsh) version
+ * @param {object} [options]
+ * @param {function(string, object): string} [options.exec] - execSync
+ * @returns {string} Version, e.g. "7.4.1"
+ * @throws {Error} If pwsh is not installed
+ */
+export function getPowerShellVersion({ exec = execSync } = {}) {
+  return exec('pwsh -NoProfile -Command "$PSVersionTable.PSVersion.ToString()"', {
+    encoding: 'utf8',
+    timeout: 5000,
+    stdio: ['pipe', 'pipe', 'ignore']
+  }).trim();
+}
+
+/**
+ * Whether a PowerShell version supports toast click events (7.1+)
+ * @param {string} version - PowerShell version
+ * @returns {boolean}
+ */
+export function supportsToasts(version) {
+  const parts = String(version).split('.');
+  const major = parseInt(parts[0], 10) || 0;
+  const minor = parseInt(parts[1], 10) || 0;
+  return major > 7 || (major === 7 && minor >= 1);
+}
+
+/**
+ * Read the registered wclaude:// protocol handler command
+ * @param {object} [options]
+ * @param {function(string, object): string} [options.exec] - execSync
+ * @returns {string|null} reg query output, or null if the key does not exist
+ */
+export function queryProtocolHandler({ exec = execSync } = {}) {
+  try {
+    return exec(`reg query "${PROTOCOL_HANDLER_KEY}" /ve 2>nul`, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the permission audit log
+ *
+ * Tests audit.js exports:
+ * - summarizeToolInput
+ * - createAuditLog (writing and size-based rotation)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { summarizeToolInput, createAuditLog } from '../audit.js';
+import { createRedactor } from '../redact.js';
+
+describe('summarizeToolInput', () => {
+  test('keeps short strings and scalars', () => {
+    expect(summarizeToolInput({ command: 'git status', timeout: 5000, run_in_background: false }))
+      .toEqual({ command: 'git status', timeout: 5000, run_in_background: false });
+  });
+
+  test('reduces file contents to their length', () => {
+    const summary = summarizeToolInput({ file_path: 'C:\\repo\\a.js', content: 'x'.repeat(1234) });
+    expect(summary).toEqual({ file_path: 'C:\\repo\\a.js', content: '<1234 chars>' });
+  });
+
+  test('truncates long strings', () => {
+    const summary = summarizeToolInput({ command: 'echo ' + 'a'.repeat(1000) });
+    expect(summary.command.length).toBeLessThan(310);
+    expect(summary.command.endsWith('...')).toBe(true);
+  });
+
+  test('masks secret-looking keys', () => {
+    expect(summarizeToolInput({ api_key: 'abc', authToken: 'def' }))
+      .toEqual({ api_key: '[REDACTED]', authToken: '[REDACTED]' });
+  });
+
+  test('masks secrets inside commands', () => {
+    const summary = summarizeToolInput({
+      command: 'GITHUB_TOKEN=ghp_abc123 curl -H "Authorization: Bearer xyz.789" --password hunter2 url'
+    });
+    expect(summary.command).not.toMatch(/ghp_abc123|xyz\.789|hunter2/);
+    expect(summary.command).toContain('GITHUB_TOKEN=[REDACTED]');
+    expect(summary.command).toContain('Bearer [REDACTED]');
+  });
+
+  test('masks known secrets before truncating', () => {
+    // The secret crosses the 300 character cut
+    const secret = 'XyZsecretvalue0123456789abcdef';
+    const { redact } = createRedactor([secret]);
+    const summary = summarizeToolInput({ command: 'echo ' + 'a'.repeat(275) + ' ' + secret }, { redact });
+    expect(summary.command).toBe('echo ' + 'a'.repeat(275) + ' [REDACTED]');
+  });
+
+  test('summarizes nested values', () => {
+    expect(summarizeToolInput({ edits: [1, 2, 3], options: { a: 1 } }))
+      .toEqual({ edits: '<3 items>', options: '<object>' });
+  });
+
+  test('handles missing input', () => {
+    expect(summarizeToolInput(undefined)).toEqual({});
+  });
+});
+
+describe('createAuditLog', () => {
+  let tmpDir;
+  let filePath;
+
+  const readRecords = (file) => fs.readFileSync(file, 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-audit-'));
+    filePath = path.join(tmpDir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('writes one JSON record per line with fixed fields', () => {
+    const log = createAuditLog({ filePath, fields: { session: 'abcd1234' } });
+    expect(log.write({ tool: 'Bash', decision: 'allow', rule: 'default-allow' })).toBe(true);
+    log.write({ tool: 'Read', decision: 'deny', rule: 'no-env' });
+
+    const records = readRecords(filePath);
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({ session: 'abcd1234', tool: 'Bash', decision: 'allow', rule: 'default-allow' });
+    expect(new Date(records[0].ts).toString()).not.toBe('Invalid Date');
+    expect(records[1].rule).toBe('no-env');
+  });
+
+  test('rotates when the file would exceed maxBytes', () => {
+    const log = createAuditLog({ filePath, maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 10; i++) {
+      log.write({ tool: 'Bash', decision: 'allow', rule: `rule-${i}` });
+    }
+
+    expect(fs.existsSync(`${filePath}.1`)).toBe(true);
+    expect(fs.existsSync(`${filePath}.2`)).toBe(true);
+    expect(fs.existsSync(`${filePath}.3`)).toBe(false);
+    expect(fs.statSync(filePath).size).toBeLessThanOrEqual(200);
+    expect(readRecords(filePath).pop().rule).toBe('rule-9');
+  });
+
+  test('redacts each record before writing it', () => {
+    const log = createAuditLog({ filePath, redact: record => ({ ...record, input: '[REDACTED]' }) });
+    log.write({ tool: 'Bash', input: { command: 'echo sk-ant-secret' } });
+
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('sk-ant-secret');
+    expect(readRecords(filePath)[0].input).toBe('[REDACTED]');
+  });
+
+  test('never throws when the log cannot be written', () => {
+    const log = createAuditLog({ filePath: path.join(tmpDir, 'missing', 'dir', 'audit.jsonl') });
+    expect(log.write({ tool: 'Bash' })).toBe(false);
+  });
+});
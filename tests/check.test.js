@@ -0,0 +1,281 @@
+/**
+ * Unit tests for `wclaude check-command`
+ *
+ * Tests check.js exports:
+ * - parseCheckArgs
+ * - parseCommandBatch (plain lines, JSON lines, Claude Code transcripts)
+ * - checkBatch
+ * - runCheckCommand
+ * - runRulesCommand
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseCheckArgs,
+  parseCommandBatch,
+  checkBatch,
+  runCheckCommand,
+  runRulesCommand
+} from '../check.js';
+
+/**
+ * Run check-command and capture its output
+ */
+function run(argv, options = {}) {
+  const out = [];
+  const err = [];
+  const code = runCheckCommand(argv, {
+    out: line => out.push(line),
+    err: line => err.push(line),
+    env: {},
+    userRulesPath: path.join(os.tmpdir(), 'wclaude-no-such-rules.json'),
+    userConfigPath: path.join(os.tmpdir(), 'wclaude-no-such-config.json'),
+    ...options
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+describe('parseCheckArgs', () => {
+  test('takes the command as one argument', () => {
+    expect(parseCheckArgs(['git log --all'])).toEqual(expect.objectContaining({ command: 'git log --all', error: null }));
+  });
+
+  test('joins unquoted command words', () => {
+    expect(parseCheckArgs(['--json', 'git', 'log', '--', '--all']).command).toBe('git log --all');
+  });
+
+  test('reads options', () => {
+    expect(parseCheckArgs(['--file', 'cmds.txt', '--cwd', 'C:\\repo', '--json']))
+      .toEqual({ command: null, file: 'cmds.txt', cwd: 'C:\\repo', json: true, error: null });
+  });
+
+  test('reports usage errors', () => {
+    expect(parseCheckArgs([]).error).toBe('a command or --file is required');
+    expect(parseCheckArgs(['--file']).error).toBe('--file needs a value');
+    expect(parseCheckArgs(['ls', '--file', 'x']).error).toContain('not both');
+  });
+});
+
+describe('parseCommandBatch', () => {
+  test('reads plain lines and skips comments', () => {
+    expect(parseCommandBatch('# header\nls -la\n\n  git status  \n', 'cmds.txt')).toEqual([
+      { command: 'ls -la', expect: null, origin: 'cmds.txt:2' },
+      { command: 'git status', expect: null, origin: 'cmds.txt:4' }
+    ]);
+  });
+
+  test('reads JSON lines with expectations', () => {
+    const text = [
+      JSON.stringify({ command: 'tree /c/Users/me', expect: 'block' }),
+      JSON.stringify({ command: 'ls', expect: 'maybe' })
+    ].join('\n');
+    expect(parseCommandBatch(text).map(e => e.expect)).toEqual(['block', null]);
+  });
+
+  test('reads Bash commands and outcomes from transcripts', () => {
+    const toolUse = (id, command) => JSON.stringify({
+      type: 'assistant',
+      message: { content: [{ type: 'text', text: 'Running' }, { type: 'tool_use', id, name: 'Bash', input: { command } }] }
+    });
+    const toolResult = (id, content, isError = false) => JSON.stringify({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: id, content, is_error: isError }] }
+    });
+    const text = [
+      JSON.stringify({ type: 'summary', summary: 'Session' }),
+      toolUse('a', 'npm test'),
+      toolResult('a', [{ type: 'text', text: 'Tests: 3 passed' }]),
+      toolUse('b', 'find /c/Users/me/src -name "*.ts"'),
+      toolResult('b', 'Command timed out after 2m 0.0s', true),
+      toolUse('c', 'cat missing.txt'),
+      toolResult('c', 'No such file or directory', true),
+      JSON.stringify({ type: 'assistant', message: { content: [{ type: 'tool_use', id: 'd', name: 'Read', input: {} }] } })
+    ].join('\n');
+
+    expect(parseCommandBatch(text, 'session.jsonl')).toEqual([
+      { command: 'npm test', expect: 'allow', origin: 'session.jsonl:2' },
+      { command: 'find /c/Users/me/src -name "*.ts"', expect: 'block', origin: 'session.jsonl:4' },
+      { command: 'cat missing.txt', expect: null, origin: 'session.jsonl:6' }
+    ]);
+  });
+});
+
+describe('checkBatch', () => {
+  test('reports false-positive and false-negative candidates', () => {
+    const report = checkBatch([
+      { command: 'ls', expect: 'allow', origin: 'x:1' },
+      { command: 'tree /c/Users/me', expect: 'allow', origin: 'x:2' },
+      { command: 'npm ls', expect: 'block', origin: 'x:3' },
+      { command: 'git log --all', expect: null, origin: 'x:4' }
+    ], { rewrite: true });
+
+    expect(report.counts).toEqual({ total: 4, allowed: 2, rewritten: 2, blocked: 0 });
+    expect(report.falsePositives).toEqual([]);
+    expect(report.falseNegatives.map(r => r.origin)).toEqual(['x:3']);
+
+    const strict = checkBatch([{ command: 'tree /c/Users/me', expect: 'allow', origin: 'x:2' }], {});
+    expect(strict.falsePositives.map(r => r.verdict.rule)).toEqual(['tree-no-depth']);
+  });
+});
+
+describe('runCheckCommand', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-check-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('explains an allowed command', () => {
+    const { code, out } = run(['ls -la']);
+    expect(code).toBe(0);
+    expect(out).toContain('Command: ls -la');
+    expect(out).toMatch(/pass\s+nested-quotes/);
+    expect(out).toMatch(/skip\s+find-no-maxdepth/);
+    expect(out).toContain('Verdict: ALLOWED');
+  });
+
+  test('shows which patterns matched', () => {
+    const { code, out } = run(['tree -L 2 /c/Users/me && git log --all'], { env: { WCLAUDE_REWRITE: 'off' } });
+    expect(code).toBe(1);
+    expect(out).toMatch(/exempt\s+tree-no-depth/);
+    expect(out).toContain('detect:yes unless:yes  tree -L 2 /c/Users/me');
+    expect(out).toMatch(/BLOCK\s+git-all-no-limit/);
+    expect(out).toContain('Verdict: BLOCKED by git-all-no-limit');
+  });
+
+  test('shows rewrites', () => {
+    const { code, out } = run(['git log --all']);
+    expect(code).toBe(0);
+    expect(out).toContain('Verdict: REWRITTEN (git-all-no-limit) - runs: git log -n 200 --all');
+  });
+
+  test('prints JSON', () => {
+    const { out } = run(['--json', 'tree /c/Users/me'], { env: { WCLAUDE_REWRITE: 'off' } });
+    const result = JSON.parse(out);
+    expect(result.verdict.rule).toBe('tree-no-depth');
+    expect(result.checks.find(c => c.name === 'tree-no-depth').matches)
+      .toEqual([{ text: 'tree /c/Users/me', detect: true, unless: false }]);
+  });
+
+  test('applies project rules from --cwd', () => {
+    fs.mkdirSync(path.join(dir, '.wclaude'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.wclaude', 'rules.json'), JSON.stringify({
+      rules: [{ name: 'no-npm-ls', command: 'npm', detect: '^npm\\s+ls', reason: 'npm ls is slow here' }]
+    }));
+
+    const { code, out } = run(['--cwd', dir, 'npm ls']);
+    expect(code).toBe(1);
+    expect(out).toContain(`[${path.join(dir, '.wclaude', 'rules.json')}]`);
+    expect(out).toContain('BLOCKED by no-npm-ls');
+  });
+
+  test('skips project rules that rewrite', () => {
+    fs.mkdirSync(path.join(dir, '.wclaude'), { recursive: true });
+    fs.writeFileSync(path.join(dir, '.wclaude', 'rules.json'), JSON.stringify({
+      rules: [{ name: 'y', command: 'git', detect: 'status', unless: 'rm', reason: 'r', rewrite: { insert: '--porcelain' } }]
+    }));
+
+    const { out, err } = run(['--cwd', dir, 'git status']);
+    expect(out).toContain('Verdict: ALLOWED');
+    expect(out).not.toContain('git --porcelain status');
+    expect(err).toContain('"rewrite" is only allowed in the user rule file');
+  });
+
+  test('checks a batch file', () => {
+    const file = path.join(dir, 'commands.jsonl');
+    fs.writeFileSync(file, [
+      JSON.stringify({ command: 'ls', expect: 'allow' }),
+      JSON.stringify({ command: "cat 'a'b'c'", expect: 'allow' }),
+      'git status'
+    ].join('\n'));
+
+    const { code, out } = run(['--file', file]);
+    expect(code).toBe(1);
+    expect(out).toContain('Checked 3 command(s): 2 allowed, 0 rewritten, 1 blocked');
+    expect(out).toContain('False-positive candidates (blocked, expected to run): 1');
+    expect(out).toContain('commands.jsonl:2  nested-quotes');
+    expect(out).toContain('False-negative candidates (allowed, expected to be blocked): 0');
+  });
+
+  test('reports usage and file errors', () => {
+    expect(run([]).code).toBe(2);
+    const { code, err } = run(['--file', path.join(dir, 'missing.txt')]);
+    expect(code).toBe(2);
+    expect(err).toContain('cannot read');
+  });
+});
+
+describe('runRulesCommand', () => {
+  let dir;
+  let userRulesPath;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-rules-'));
+    userRulesPath = path.join(dir, 'user-rules.json');
+    fs.writeFileSync(userRulesPath, JSON.stringify({
+      rules: [
+        { name: 'npm-ls', command: 'npm', detect: '^npm\\s+ls', reason: 'npm ls is slow', rewrite: { insert: '--depth=0', after: 'subcommand' } },
+        { name: 'broken', detect: '(', reason: 'bad pattern' }
+      ],
+      disable: ['tree-no-depth']
+    }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const runRules = (argv, options = {}) => {
+    const out = [];
+    const err = [];
+    const code = runRulesCommand(argv, {
+      out: line => out.push(line),
+      err: line => err.push(line),
+      env: {},
+      userRulesPath,
+      userConfigPath: path.join(os.tmpdir(), 'wclaude-no-such-config.json'),
+      ...options
+    });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  };
+
+  test('lists built-in and user rules', () => {
+    const { code, out } = runRules(['--cwd', dir]);
+    expect(code).toBe(1);
+    expect(out).toContain('Built-in rules:');
+    expect(out).toMatch(/find-no-maxdepth\s+find/);
+    expect(out).toMatch(/tree-no-depth\s+tree \[disabled\]/);
+    expect(out).toContain(`User rules (${userRulesPath}):`);
+    expect(out).toMatch(/npm-ls\s+npm/);
+    expect(out).toContain('Errors:');
+    expect(out).toContain('rule "broken"');
+  });
+
+  test('prints JSON', () => {
+    const { out } = runRules(['--json', '--cwd', dir]);
+    const result = JSON.parse(out);
+    expect(result.disable).toEqual(['tree-no-depth']);
+    expect(result.rules.find(r => r.name === 'npm-ls')).toEqual(expect.objectContaining({
+      source: userRulesPath,
+      scope: 'npm',
+      detect: '^npm\\s+ls',
+      rewrite: { insert: '--depth=0', after: 'subcommand' }
+    }));
+  });
+
+  test('shows the path length limit in effect', () => {
+    expect(runRules(['--cwd', dir]).out).toContain('Path exceeds 260 characters');
+    const { out } = runRules(['--cwd', dir], { env: { WCLAUDE_BLOCKLIST_MAX_PATH_LENGTH: '200' } });
+    expect(out).toContain('Path exceeds 200 characters');
+  });
+
+  test('rejects unknown arguments', () => {
+    expect(runRules(['--verbose']).code).toBe(2);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the wclaude command line
+ *
+ * Tests cli.js exports:
+ * - parseArgs (wrapper commands, --wc-* options, forwarding)
+ * - formatHelp
+ * - runWrapper
+ */
+
+import {
+  parseArgs,
+  formatHelp,
+  runWrapper,
+  WRAPPER_COMMANDS,
+  WCLAUDE_VERSION
+} from '../cli.js';
+
+const argv = (...args) => ['node', 'runner.js', ...args];
+
+/**
+ * Run runWrapper and capture its output
+ */
+async function run(...args) {
+  const out = [];
+  const err = [];
+  const code = await runWrapper(parseArgs(argv(...args)), {
+    out: line => out.push(line),
+    err: line => err.push(line)
+  });
+  return { code, out: out.join('\n'), err: err.join('\n') };
+}
+
+describe('parseArgs', () => {
+  test('forwards Claude Code arguments untouched', () => {
+    const result = parseArgs(argv('--continue', '-p', 'list the rules', '--model', 'opus'));
+    expect(result.claudeArgs).toEqual(['--continue', '-p', 'list the rules', '--model', 'opus']);
+    expect(result.command).toBeNull();
+    expect(result.forward).toBe(true);
+  });
+
+  test('removes wrapper options from Claude Code arguments', () => {
+    const result = parseArgs(argv('--continue', '--wc-debug'));
+    expect(result.debug).toBe(true);
+    expect(result.claudeArgs).toEqual(['--continue']);
+  });
+
+  test('keeps accepting --windebug', () => {
+    const result = parseArgs(argv('--windebug', '-c'));
+    expect(result.debug).toBe(true);
+    expect(result.claudeArgs).toEqual(['-c']);
+  });
+
+  test('recognizes wrapper commands as the first argument', () => {
+    const result = parseArgs(argv('--wc-debug', 'check-command', 'git log --all', '--json'));
+    expect(result).toEqual(expect.objectContaining({
+      debug: true,
+      command: 'check-command',
+      commandArgs: ['git log --all', '--json'],
+      forward: false
+    }));
+  });
+
+  test('does not treat later arguments as commands', () => {
+    expect(parseArgs(argv('-p', 'rules')).command).toBeNull();
+    expect(parseArgs(argv('-p', 'rules')).claudeArgs).toEqual(['-p', 'rules']);
+  });
+
+  test('-- passes everything to Claude Code', () => {
+    const result = parseArgs(argv('--', 'rules', '--wc-debug'));
+    expect(result.command).toBeNull();
+    expect(result.debug).toBe(false);
+    expect(result.claudeArgs).toEqual(['rules', '--wc-debug']);
+  });
+
+  test('--wc-help and --wc-version do not start Claude Code', () => {
+    expect(parseArgs(argv('--wc-help'))).toEqual(expect.objectContaining({ help: true, forward: false }));
+    expect(parseArgs(argv('--wc-version'))).toEqual(expect.objectContaining({ version: true, forward: false }));
+    expect(parseArgs(argv('--help'))).toEqual(expect.objectContaining({ help: true, forward: true, claudeArgs: ['--help'] }));
+  });
+
+  test('reports unknown and malformed wrapper options', () => {
+    expect(parseArgs(argv('--wc-nope')).error).toBe('unknown option --wc-nope');
+    expect(parseArgs(argv('--wc-debug=1')).error).toBe('--wc-debug does not take a value');
+  });
+
+  test('does not mistake inherited object keys for commands', () => {
+    expect(parseArgs(argv('toString')).command).toBeNull();
+  });
+});
+
+describe('formatHelp', () => {
+  test('documents commands and wrapper options', () => {
+    const help = formatHelp();
+    expect(help).toContain(`wclaude ${WCLAUDE_VERSION}`);
+    for (const name of Object.keys(WRAPPER_COMMANDS)) {
+      expect(help).toContain(name);
+    }
+    expect(help).toContain('--wc-debug');
+    expect(help).toContain('also --windebug');
+    expect(help).toContain('wclaude -- doctor');
+  });
+});
+
+describe('runWrapper', () => {
+  test('starts Claude Code for normal invocations', async () => {
+    expect((await run('--continue')).code).toBeNull();
+  });
+
+  test('prints help and exits for --wc-help', async () => {
+    const { code, out } = await run('--wc-help');
+    expect(code).toBe(0);
+    expect(out).toContain('Wrapper options:');
+  });
+
+  test('prints help before Claude Code help for --help', async () => {
+    const { code, out } = await run('--help');
+    expect(code).toBeNull();
+    expect(out).toContain('Wrapper options:');
+  });
+
+  test('prints the wclaude version', async () => {
+    expect(await run('--wc-version')).toEqual({ code: 0, out: `wclaude ${WCLAUDE_VERSION}`, err: '' });
+    expect((await run('-v')).code).toBeNull();
+  });
+
+  test('exits with 2 on unknown options', async () => {
+    const { code, err } = await run('--wc-nope');
+    expect(code).toBe(2);
+    expect(err).toContain('unknown option --wc-nope');
+  });
+
+  test('runs wrapper commands', async () => {
+    const saved = WRAPPER_COMMANDS.rules.run;
+    WRAPPER_COMMANDS.rules.run = async args => (args[0] === '--json' ? 0 : 3);
+    try {
+      expect((await run('rules', '--json')).code).toBe(0);
+      expect((await run('rules')).code).toBe(3);
+    } finally {
+      WRAPPER_COMMANDS.rules.run = saved;
+    }
+  });
+});
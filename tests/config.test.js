@@ -0,0 +1,219 @@
+/**
+ * Unit tests for the layered wclaude configuration
+ *
+ * Tests config.js exports:
+ * - configEnvName
+ * - loadConfig (defaults, user and project files, environment, validation)
+ * - findProjectConfig
+ * - runConfigCommand
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CONFIG_SCHEMA,
+  configEnvName,
+  loadConfig,
+  findProjectConfig,
+  runConfigCommand
+} from '../config.js';
+import { WATCHDOG_DEFAULTS } from '../watchdog.js';
+
+describe('configEnvName', () => {
+  test('derives WCLAUDE_<SECTION>_<KEY>', () => {
+    expect(configEnvName('network', 'checkHost')).toBe('WCLAUDE_NETWORK_CHECK_HOST');
+    expect(configEnvName('restart', 'maxCrashRestarts')).toBe('WCLAUDE_RESTART_MAX_CRASH_RESTARTS');
+  });
+
+  test('keeps the older variable names', () => {
+    expect(configEnvName('blocklist', 'rewrite')).toBe('WCLAUDE_REWRITE');
+    expect(configEnvName('watchdog', 'timeoutMs')).toBe('WCLAUDE_BASH_TIMEOUT_MS');
+    expect(configEnvName('watchdog', 'maxOutputBytes')).toBe('WCLAUDE_BASH_MAX_OUTPUT');
+  });
+});
+
+describe('loadConfig', () => {
+  let dir;
+  let userPath;
+  let projectDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-config-'));
+    userPath = path.join(dir, 'wclaude.json');
+    projectDir = path.join(dir, 'project');
+    fs.mkdirSync(path.join(projectDir, 'src'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (env = {}) => loadConfig({ cwd: path.join(projectDir, 'src'), env, userPath });
+  const write = (file, data) => fs.writeFileSync(file, JSON.stringify(data));
+
+  test('uses the schema defaults without files or environment', () => {
+    const config = load();
+    expect(config.values.network.checkHost).toBe('api.anthropic.com');
+    expect(config.values.restart).toEqual({ maxCrashRestarts: 3, crashWindowMs: 60000, crashLogLines: 200, maxCrashReports: 20, resume: true, supervisor: false });
+    expect(config.values.heap).toEqual({ percent: 50, maxMB: 16384, warnPercent: 90, monitorIntervalMs: 30000 });
+    expect(config.values.watchdog).toEqual(WATCHDOG_DEFAULTS);
+    expect(config.values.blocklist).toEqual({ maxPathLength: 260, rewrite: true });
+    expect(config.values.secrets.tokens).toContain('ANTHROPIC_API_KEY');
+    expect(config.files).toEqual([]);
+    expect(config.errors).toEqual([]);
+    expect(new Set(Object.values(config.sources))).toEqual(new Set(['default']));
+  });
+
+  test('layers user file, project file and environment', () => {
+    write(userPath, { network: { checkHost: 'user.example.com', maxRetries: 20 }, audit: { maxFiles: 2 } });
+    write(path.join(projectDir, '.wclaude.json'), { network: { checkHost: 'project.example.com' } });
+
+    const config = load({ WCLAUDE_NETWORK_MAX_RETRIES: '30' });
+    expect(config.values.network.checkHost).toBe('project.example.com');
+    expect(config.values.network.maxRetries).toBe(30);
+    expect(config.values.audit.maxFiles).toBe(2);
+    expect(config.sources).toEqual(expect.objectContaining({
+      'network.checkHost': path.join(projectDir, '.wclaude.json'),
+      'network.maxRetries': 'env WCLAUDE_NETWORK_MAX_RETRIES',
+      'audit.maxFiles': userPath,
+      'audit.maxBytes': 'default'
+    }));
+    expect(config.files).toEqual([userPath, path.join(projectDir, '.wclaude.json')]);
+  });
+
+  test('reads booleans, integers and lists from the environment', () => {
+    const config = load({
+      WCLAUDE_REWRITE: 'off',
+      WCLAUDE_BASH_TIMEOUT_MS: '600000',
+      WCLAUDE_BASH_MAX_OUTPUT: '0',
+      WCLAUDE_SECRETS_TOKENS: 'SENTRY_AUTH_TOKEN, LINEAR_API_KEY;GITHUB_TOKEN'
+    });
+    expect(config.values.blocklist.rewrite).toBe(false);
+    expect(config.values.watchdog).toEqual({ timeoutMs: 600000, maxOutputBytes: 0 });
+    expect(config.values.secrets.tokens).toEqual(['SENTRY_AUTH_TOKEN', 'LINEAR_API_KEY', 'GITHUB_TOKEN']);
+    expect(load({ WCLAUDE_REWRITE: 'on' }).values.blocklist.rewrite).toBe(true);
+  });
+
+  test('reports unknown keys and invalid values, keeping the rest', () => {
+    write(userPath, {
+      network: { checkHost: 'ok.example.com', maxRetry: 5, backoffBaseMs: -1 },
+      blocklist: { rewrite: 'no' },
+      telemetry: { enabled: true }
+    });
+
+    const config = load({ WCLAUDE_BASH_TIMEOUT_MS: '10m', WCLAUDE_BASH_MAX_OUTPUT: '-1' });
+    expect(config.values.network.checkHost).toBe('ok.example.com');
+    expect(config.values.network.backoffBaseMs).toBe(5000);
+    expect(config.values.blocklist.rewrite).toBe(true);
+    expect(config.values.watchdog).toEqual(WATCHDOG_DEFAULTS);
+    expect(config.errors).toEqual([
+      `${userPath}: unknown key "network.maxRetry"`,
+      `${userPath}: "network.backoffBaseMs" must be an integer >= 0`,
+      `${userPath}: "blocklist.rewrite" must be true or false`,
+      `${userPath}: unknown key "telemetry"`,
+      'WCLAUDE_BASH_TIMEOUT_MS must be an integer >= 0',
+      'WCLAUDE_BASH_MAX_OUTPUT must be an integer >= 0'
+    ]);
+  });
+
+  test('ignores user-only keys in project configs', () => {
+    const projectFile = path.join(projectDir, '.wclaude.json');
+    write(projectFile, { git: { bashCandidates: ['C:/evil/bash.exe'] }, secrets: { tokens: ['AWS_SECRET_ACCESS_KEY'] } });
+
+    const config = load();
+    expect(config.values.git.bashCandidates).toEqual(CONFIG_SCHEMA.git.bashCandidates.default);
+    expect(config.values.secrets.tokens).toEqual(CONFIG_SCHEMA.secrets.tokens.default);
+    expect(config.errors).toEqual([
+      expect.stringContaining(`${projectFile}: "git.bashCandidates" is only allowed in`),
+      expect.stringContaining(`${projectFile}: "secrets.tokens" is only allowed in`)
+    ]);
+  });
+
+  test('reports files that are not JSON objects', () => {
+    fs.writeFileSync(userPath, '{ network: ');
+    write(path.join(projectDir, '.wclaude.json'), [1, 2]);
+
+    const config = load();
+    expect(config.errors[0]).toContain(`${userPath}: could not parse config file`);
+    expect(config.errors[1]).toBe(`${path.join(projectDir, '.wclaude.json')}: config must be a JSON object`);
+    expect(config.files).toEqual([]);
+  });
+
+  test('validates secret providers from files and the environment', () => {
+    write(userPath, { secrets: { providers: [{ type: 'dotenv', path: '~/.claude/secrets.env' }, { type: 'registry' }] } });
+    expect(load().values.secrets.providers).toEqual([{ type: 'dotenv', path: '~/.claude/secrets.env' }, { type: 'registry' }]);
+
+    const config = load({ WCLAUDE_SECRETS_PROVIDERS: '[{"type":"vault"}]' });
+    expect(config.values.secrets.providers).toEqual([{ type: 'dotenv', path: '~/.claude/secrets.env' }, { type: 'registry' }]);
+    expect(config.errors).toEqual(['WCLAUDE_SECRETS_PROVIDERS provider #1 (vault): "path" is required']);
+
+    expect(load({ WCLAUDE_SECRETS_PROVIDERS: 'registry' }).errors).toEqual(['WCLAUDE_SECRETS_PROVIDERS must be a JSON array']);
+  });
+
+  test('validates crash policies', () => {
+    write(userPath, { crashPolicy: { auth: 'restart', heap: 'bigger' } });
+    const config = load({ WCLAUDE_CRASH_POLICY_NETWORK: 'backoff' });
+    expect(config.values.crashPolicy).toMatchObject({ auth: 'restart', heap: 'larger-heap', network: 'backoff', module: 'stop' });
+    expect(config.errors).toEqual([expect.stringContaining('"crashPolicy.heap" must be one of restart, backoff, larger-heap, wait, stop')]);
+  });
+
+  test('does not share default arrays between loads', () => {
+    load().values.secrets.tokens.push('MUTATED');
+    expect(load().values.secrets.tokens).not.toContain('MUTATED');
+  });
+
+  test('findProjectConfig walks up to the nearest file', () => {
+    expect(findProjectConfig(path.join(projectDir, 'src'))).toBeNull();
+    write(path.join(projectDir, '.wclaude.json'), {});
+    expect(findProjectConfig(path.join(projectDir, 'src'))).toBe(path.join(projectDir, '.wclaude.json'));
+  });
+});
+
+describe('runConfigCommand', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-config-cmd-'));
+    fs.writeFileSync(path.join(dir, '.wclaude.json'), JSON.stringify({ watchdog: { timeoutMs: 0, limit: 1 } }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (argv, env = {}) => {
+    const out = [];
+    const err = [];
+    const code = runConfigCommand(argv, {
+      out: line => out.push(line),
+      err: line => err.push(line),
+      env,
+      userPath: path.join(dir, 'no-such-user-config.json')
+    });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  };
+
+  test('shows values, their sources and errors', () => {
+    const { code, out } = run(['--cwd', dir], { WCLAUDE_NETWORK_CHECK_HOST: 'example.com' });
+    expect(code).toBe(1);
+    expect(out).toContain(`Config files: ${path.join(dir, '.wclaude.json')}`);
+    expect(out).toMatch(/checkHost\s+"example\.com"\s+\[env WCLAUDE_NETWORK_CHECK_HOST\]/);
+    expect(out).toMatch(new RegExp(`timeoutMs\\s+0\\s+\\[${path.join(dir, '.wclaude.json').replace(/[\\.]/g, '\\$&')}\\]`));
+    expect(out).toMatch(/maxCrashRestarts\s+3\n/);
+    expect(out).toContain('unknown key "watchdog.limit"');
+  });
+
+  test('prints JSON', () => {
+    const { out } = run(['--json', '--cwd', dir]);
+    const result = JSON.parse(out);
+    expect(result.values.watchdog.timeoutMs).toBe(0);
+    expect(result.sources['watchdog.timeoutMs']).toBe(path.join(dir, '.wclaude.json'));
+  });
+
+  test('rejects unknown arguments', () => {
+    const { code, err } = run(['--verbose']);
+    expect(code).toBe(2);
+    expect(err).toContain('Usage: wclaude config');
+  });
+});
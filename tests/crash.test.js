@@ -0,0 +1,185 @@
+/**
+ * Unit tests for crash reports
+ *
+ * Tests crash.js exports:
+ * - classifyCrash, nextHeapSize, validateCrashPolicy
+ * - describeCrash
+ * - readLogTail (rotated session logs)
+ * - createCrashReport
+ * - writeCrashReport (redaction, retention)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CRASH_CLASSES,
+  classifyCrash,
+  nextHeapSize,
+  validateCrashPolicy,
+  describeCrash,
+  readLogTail,
+  createCrashReport,
+  writeCrashReport
+} from '../crash.js';
+import { createRedactor } from '../redact.js';
+
+const NOW = Date.parse('2025-01-01T12:00:00.000Z');
+
+describe('classifyCrash', () => {
+  const error = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+  test.each([
+    ['auth', error('401 {"type":"error","error":{"type":"authentication_error","message":"invalid x-api-key"}}')],
+    ['auth', error('Request failed', { status: 403 })],
+    ['auth', error('Invalid API key - please run /login')],
+    ['heap', new RangeError('Array buffer allocation failed')],
+    ['heap', error('JavaScript heap out of memory')],
+    ['module', error("Cannot find module './vendor/ripgrep.js'", { code: 'MODULE_NOT_FOUND' })],
+    ['module', error("Cannot find package 'undici' imported from cli.js", { code: 'ERR_MODULE_NOT_FOUND' })],
+    ['kill', error('kill EPERM', { code: 'EPERM', syscall: 'kill' })],
+    ['kill', error('kill ESRCH', { code: 'ESRCH' })],
+    ['cygpath', error('Command failed: cygpath -u "C:\\Users\\me"')],
+    ['network', error('getaddrinfo ENOTFOUND api.anthropic.com', { code: 'ENOTFOUND' })],
+    ['network', error('fetch failed')],
+    ['other', error("Cannot read properties of undefined (reading 'x')")],
+    ['other', error('open C:\\file.txt', { code: 'EPERM', syscall: 'open' })],
+    ['auth', error('Request failed with status code 401')],
+    ['auth', error('HTTP/1.1 403 Forbidden')],
+    ['other', error('Unexpected token } in JSON at position 401')],
+    ['other', error('listen EADDRINUSE: address already in use :::4030 (line 403)')]
+  ])('%s: %p', (expected, err) => {
+    expect(classifyCrash(err)).toBe(expected);
+  });
+
+  test('handles thrown non-errors', () => {
+    expect(classifyCrash('Invalid API key')).toBe('auth');
+    expect(classifyCrash(undefined)).toBe('other');
+  });
+
+  test('every class has a valid default policy and a hint', () => {
+    for (const { policy, hint } of Object.values(CRASH_CLASSES)) {
+      expect(() => validateCrashPolicy(policy)).not.toThrow();
+      expect(hint).toBeTruthy();
+    }
+    expect(() => validateCrashPolicy('retry')).toThrow('must be one of restart, backoff, larger-heap, wait, stop');
+  });
+});
+
+describe('nextHeapSize', () => {
+  test('doubles the heap up to the heap settings', () => {
+    expect(nextHeapSize(2048, 16384)).toBe(4096);
+    expect(nextHeapSize(4096, 16384)).toBe(8192);
+    expect(nextHeapSize(4096, 16384, { percent: 75, maxMB: 32768 })).toBe(8192);
+    expect(nextHeapSize(8192, 16384, { percent: 75, maxMB: 32768 })).toBe(12288);
+    expect(nextHeapSize(4096, 65536, { percent: 50, maxMB: 6144 })).toBe(6144);
+  });
+
+  test('returns null when the heap cannot grow', () => {
+    expect(nextHeapSize(8192, 16384)).toBeNull();
+    expect(nextHeapSize(16384, 131072)).toBeNull();
+  });
+});
+
+describe('describeCrash', () => {
+  test('keeps the name, message, code and stack', () => {
+    const err = Object.assign(new TypeError('boom'), { code: 'ERR_BOOM' });
+    expect(describeCrash(err, NOW)).toEqual({
+      time: '2025-01-01T12:00:00.000Z',
+      class: 'other',
+      name: 'TypeError',
+      message: 'boom',
+      code: 'ERR_BOOM',
+      stack: expect.stringContaining('TypeError: boom')
+    });
+  });
+
+  test('handles thrown non-errors', () => {
+    expect(describeCrash('plain string', NOW)).toEqual({ time: '2025-01-01T12:00:00.000Z', class: 'other', name: 'string', message: 'plain string' });
+  });
+});
+
+describe('crash reports', () => {
+  let dir;
+  let logFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-crash-'));
+    logFile = path.join(dir, 'wclaude-1a2b3c4d.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeLog = (file, from, to) => {
+    const lines = [];
+    for (let i = from; i < to; i++) lines.push(JSON.stringify({ level: 'debug', msg: `record ${i}` }));
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+  };
+
+  test('readLogTail reads rotated files when the current one is short', () => {
+    writeLog(`${logFile}.2`, 0, 5);
+    writeLog(`${logFile}.1`, 5, 10);
+    writeLog(logFile, 10, 12);
+
+    expect(readLogTail(logFile, 4).map(r => r.msg)).toEqual(['record 8', 'record 9', 'record 10', 'record 11']);
+    expect(readLogTail(logFile, 100)).toHaveLength(12);
+    expect(readLogTail(path.join(dir, 'missing.jsonl'), 10)).toEqual([]);
+  });
+
+  test('createCrashReport collects crashes, versions, hooks and the log tail', () => {
+    writeLog(logFile, 0, 3);
+    const crashes = [describeCrash(new Error('first'), NOW - 1000), describeCrash(new Error('second'), NOW)];
+    const report = createCrashReport({
+      session: '1a2b3c4d',
+      reason: 'Crashed 3 times in 60s',
+      crashes,
+      versions: { wclaude: '1.2.3', claudeCode: '2.0.0' },
+      gitBashPath: 'C:\\Program Files\\Git\\bin\\bash.exe',
+      hooks: { spawn: true },
+      logFile,
+      logLines: 2,
+      now: NOW
+    });
+
+    expect(report).toEqual(expect.objectContaining({
+      version: 1,
+      createdAt: '2025-01-01T12:00:00.000Z',
+      session: '1a2b3c4d',
+      crashes,
+      versions: { wclaude: '1.2.3', claudeCode: '2.0.0', node: process.version },
+      gitBashPath: 'C:\\Program Files\\Git\\bin\\bash.exe',
+      hooks: { spawn: true },
+      logFile
+    }));
+    expect(report.platform.os).toBe(process.platform);
+    expect(report.logTail.map(r => r.msg)).toEqual(['record 1', 'record 2']);
+  });
+
+  test('writeCrashReport writes redacted JSON and keeps the newest reports', () => {
+    const reportsDir = path.join(dir, 'crashes');
+    const redactor = createRedactor(['sk-ant-api03-secret-value']);
+    const report = createCrashReport({
+      session: '1a2b3c4d',
+      reason: 'Crashed 3 times in 60s',
+      crashes: [describeCrash(new Error('401 for key sk-ant-api03-secret-value'), NOW)],
+      now: NOW
+    });
+
+    for (let i = 0; i < 3; i++) {
+      const old = path.join(reportsDir, `crash-00000000-2024010${i + 1}-000000.json`);
+      fs.mkdirSync(reportsDir, { recursive: true });
+      fs.writeFileSync(old, '{}');
+      fs.utimesSync(old, NOW / 1000 - 1000 + i, NOW / 1000 - 1000 + i);
+    }
+
+    const filePath = writeCrashReport(report, { dir: reportsDir, maxReports: 2, redact: redactor.redact });
+    expect(path.basename(filePath)).toMatch(/^crash-1a2b3c4d-2025010[12]-\d{6}\.json$/);
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    expect(text).not.toContain('secret-value');
+    expect(JSON.parse(text).crashes[0].message).toBe('401 for key [REDACTED]');
+    expect(fs.readdirSync(reportsDir).sort()).toEqual(['crash-00000000-20240103-000000.json', path.basename(filePath)]);
+  });
+});
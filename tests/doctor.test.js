@@ -0,0 +1,230 @@
+/**
+ * Unit tests for `wclaude doctor`
+ *
+ * Tests doctor.js exports with fake probes:
+ * - runDiagnostics
+ * - formatDoctorTable
+ * - runDoctorCommand
+ *
+ * and the system.js probes they share with startup:
+ * - findGitBashPath
+ * - supportsToasts
+ */
+
+import path from 'path';
+import { runDiagnostics, formatDoctorTable, runDoctorCommand } from '../doctor.js';
+import { loadConfig } from '../config.js';
+import {
+  PROGRAM_FILES_GIT_CMD,
+  MCP_JUNCTION_PATH,
+  findGitBashPath,
+  supportsToasts
+} from '../system.js';
+
+const NPM_ROOT = 'C:\\Users\\me\\AppData\\Roaming\\npm\\node_modules';
+const CLAUDE_PATH = path.join(NPM_ROOT, '@anthropic-ai', 'claude-code');
+
+/**
+ * Probe context for a fully working Windows machine; override parts per test
+ */
+function healthy(overrides = {}) {
+  const files = new Set([
+    PROGRAM_FILES_GIT_CMD,
+    'C:/Program Files/Git/usr/bin/bash.exe',
+    path.join(CLAUDE_PATH, 'cli.js')
+  ]);
+  return {
+    platform: 'win32',
+    nodeVersion: 'v20.11.0',
+    env: { PATH: 'C:\\Program Files\\Git\\cmd' },
+    exists: file => files.has(file),
+    lstat: () => ({ isSymbolicLink: () => true }),
+    readlink: () => CLAUDE_PATH,
+    readFile: () => JSON.stringify({ version: '2.1.0' }),
+    config: loadConfig({ env: {}, userPath: null, projectPath: null }),
+    reg: () => '\r\nHKEY_CURRENT_USER\\Environment\r\n    ANTHROPIC_API_KEY    REG_SZ    sk-ant\r\n',
+    exec: command => {
+      if (command.startsWith('npm root')) return `${NPM_ROOT}\n`;
+      if (command.startsWith('pwsh')) return '7.4.1\n';
+      if (command.startsWith('reg query')) return 'wclaude.ps1 -UrlOrHandle "%1"';
+      throw new Error(`unexpected command ${command}`);
+    },
+    ...overrides
+  };
+}
+
+const byId = results => Object.fromEntries(results.map(r => [r.id, r]));
+
+describe('runDiagnostics', () => {
+  test('passes every check on a working machine', async () => {
+    const results = await runDiagnostics(healthy());
+    expect(results.map(r => r.status)).toEqual(results.map(() => 'pass'));
+    expect(byId(results)['claude-code'].detail).toBe(`2.1.0 at ${CLAUDE_PATH}`);
+    expect(byId(results)['mcp-junction'].detail).toBe(`${MCP_JUNCTION_PATH} -> ${CLAUDE_PATH}`);
+  });
+
+  test('fails a check that throws and keeps running the rest', async () => {
+    const ctx = healthy();
+    const exec = command => {
+      if (command.startsWith('npm root')) {
+        const error = new Error('spawn npm ENOENT');
+        error.code = 'ENOENT';
+        throw error;
+      }
+      return ctx.exec(command);
+    };
+    const results = byId(await runDiagnostics({ ...ctx, exec }));
+
+    expect(results['npm-root']).toEqual(expect.objectContaining({ status: 'fail', hint: expect.stringContaining('npm') }));
+    expect(results['npm-root'].detail).toContain('npm command not found');
+    expect(results['claude-code']).toEqual(expect.objectContaining({ status: 'fail', detail: 'Skipped - npm global root unknown' }));
+    expect(results.powershell.status).toBe('pass');
+  });
+
+  test('reports missing Git and Claude Code with hints', async () => {
+    const results = byId(await runDiagnostics(healthy({
+      env: { PATH: 'C:\\Users\\me\\scoop\\apps\\git\\current\\cmd' },
+      exists: () => false,
+      lstat: () => { throw new Error('ENOENT'); }
+    })));
+
+    expect(results['git-path']).toEqual(expect.objectContaining({ status: 'warn', detail: expect.stringContaining('Scoop Git') }));
+    expect(results['git-bash'].status).toBe('fail');
+    expect(results['git-bash'].hint).toContain('git-scm.com');
+    expect(results['claude-code']).toEqual(expect.objectContaining({
+      status: 'fail',
+      hint: 'npm install -g @anthropic-ai/claude-code --ignore-scripts'
+    }));
+    expect(results['mcp-junction']).toEqual(expect.objectContaining({
+      status: 'warn',
+      hint: 'Created at the next start once Claude Code is installed'
+    }));
+  });
+
+  test('warns about old PowerShell and skips the protocol handler', async () => {
+    const ctx = healthy();
+    const results = byId(await runDiagnostics({
+      ...ctx,
+      exec: command => (command.startsWith('pwsh') ? '5.1.19041\n' : ctx.exec(command))
+    }));
+
+    expect(results.powershell).toEqual(expect.objectContaining({ status: 'warn', detail: '5.1.19041 - toast notifications need 7.1+' }));
+    expect(results.powershell.hint).toContain('winget install Microsoft.PowerShell');
+    expect(results['protocol-handler'].detail).toBe('Skipped - needs PowerShell 7.1+');
+  });
+
+  test('warns about an outdated protocol handler', async () => {
+    const ctx = healthy();
+    const results = byId(await runDiagnostics({
+      ...ctx,
+      exec: command => (command.startsWith('reg query') ? 'wclaude.ps1 "%1"' : ctx.exec(command))
+    }));
+    expect(results['protocol-handler']).toEqual(expect.objectContaining({
+      status: 'warn',
+      detail: 'Registered by an older wclaude version'
+    }));
+  });
+
+  test('warns about ignored config settings and uses configured Git Bash paths', async () => {
+    const config = loadConfig({
+      env: { WCLAUDE_GIT_BASH_CANDIDATES: 'E:/Git/usr/bin/bash.exe', WCLAUDE_AUDIT_MAX_FILES: 'x' },
+      userPath: null,
+      projectPath: null
+    });
+    const results = byId(await runDiagnostics(healthy({
+      config,
+      exists: file => file === 'E:/Git/usr/bin/bash.exe'
+    })));
+
+    expect(results.config).toEqual(expect.objectContaining({
+      status: 'warn',
+      detail: '1 setting(s) ignored: WCLAUDE_AUDIT_MAX_FILES must be an integer >= 1'
+    }));
+    expect(results['git-bash'].detail).toBe('E:/Git/usr/bin/bash.exe');
+  });
+
+  test('reports where API tokens came from without their values', async () => {
+    const results = byId(await runDiagnostics(healthy({ env: { GITHUB_TOKEN: 'ghp_env' } })));
+    expect(results.secrets.detail).toBe(
+      'ANTHROPIC_API_KEY (HKCU), GITHUB_TOKEN (environment); not set: BRAVE_API_KEY, EXA_API_KEY, PERPLEXITY_API_KEY'
+    );
+    expect(JSON.stringify(results)).not.toContain('sk-ant');
+
+    const unreadable = byId(await runDiagnostics(healthy({ reg: () => { throw new Error('spawnSync reg ENOENT'); } })));
+    expect(unreadable.secrets.status).toBe('warn');
+  });
+
+  test('warns on other platforms and fails on old Node.js', async () => {
+    expect(byId(await runDiagnostics(healthy({ platform: 'linux' }))).platform.status).toBe('warn');
+    expect(byId(await runDiagnostics(healthy({ nodeVersion: 'v16.20.0' }))).platform.status).toBe('fail');
+  });
+});
+
+describe('formatDoctorTable', () => {
+  test('shows statuses, hints for problems and a summary', () => {
+    const table = formatDoctorTable([
+      { id: 'a', title: 'Git Bash', status: 'pass', detail: 'C:/Git/usr/bin/bash.exe', hint: null },
+      { id: 'b', title: 'PowerShell 7', status: 'warn', detail: 'pwsh not found', hint: 'winget install Microsoft.PowerShell' },
+      { id: 'c', title: 'Claude Code', status: 'fail', detail: 'Not installed', hint: 'npm install -g @anthropic-ai/claude-code' }
+    ]);
+
+    expect(table).toMatch(/Git Bash\s+PASS\s+C:\/Git\/usr\/bin\/bash\.exe/);
+    expect(table).toMatch(/PowerShell 7\s+WARN\s+pwsh not found\n\s+-> winget install Microsoft\.PowerShell/);
+    expect(table).toMatch(/Claude Code\s+FAIL\s+Not installed/);
+    expect(table).toContain('1 passed, 1 warning(s), 1 failed');
+  });
+});
+
+describe('runDoctorCommand', () => {
+  const run = async (argv, ctx) => {
+    const out = [];
+    const err = [];
+    const code = await runDoctorCommand(argv, { out: line => out.push(line), err: line => err.push(line), ctx });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  };
+
+  test('exits 0 when nothing failed', async () => {
+    const { code, out } = await run([], healthy({ platform: 'linux' }));
+    expect(code).toBe(0);
+    expect(out).toContain('9 passed, 1 warning(s), 0 failed');
+  });
+
+  test('prints JSON and exits 1 when a check failed', async () => {
+    const { code, out } = await run(['--json'], healthy({ exists: () => false }));
+    const report = JSON.parse(out);
+
+    expect(code).toBe(1);
+    expect(report.ok).toBe(false);
+    expect(report.summary.fail).toBe(2);
+    expect(report.checks.find(c => c.id === 'git-bash')).toEqual({
+      id: 'git-bash',
+      title: 'Git Bash',
+      status: 'fail',
+      detail: expect.stringContaining('Not found'),
+      hint: expect.stringContaining('git-scm.com')
+    });
+  });
+
+  test('rejects unknown arguments', async () => {
+    const { code, err } = await run(['--verbose'], healthy());
+    expect(code).toBe(2);
+    expect(err).toContain('Usage: wclaude doctor [--json]');
+  });
+});
+
+describe('system probes', () => {
+  test('findGitBashPath falls back to "where git"', () => {
+    const bash = 'E:/Tools/Git/usr/bin/bash.exe';
+    expect(findGitBashPath({
+      exists: file => file === bash,
+      exec: () => 'E:\\Tools\\Git\\cmd\\git.exe\r\nC:\\other\\git.exe\r\n'
+    })).toBe(bash);
+    expect(findGitBashPath({ exists: () => false, exec: () => { throw new Error('not found'); } })).toBe(false);
+  });
+
+  test('supportsToasts needs PowerShell 7.1+', () => {
+    expect(supportsToasts('7.4.1')).toBe(true);
+    expect(supportsToasts('7.0.3')).toBe(false);
+    expect(supportsToasts('5.1.19041')).toBe(false);
+  });
+});
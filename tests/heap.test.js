@@ -0,0 +1,94 @@
+/**
+ * Unit tests for heap sizing and the memory-pressure monitor
+ *
+ * Tests heap.js exports:
+ * - heapSizeFor / validatePercent
+ * - heapFromNodeOptions
+ * - heapUsage
+ * - createHeapMonitor (warn once, re-arm)
+ */
+
+import {
+  heapSizeFor,
+  validatePercent,
+  heapFromNodeOptions,
+  heapUsage,
+  createHeapMonitor
+} from '../heap.js';
+
+const MB = 1024 * 1024;
+
+describe('heapSizeFor', () => {
+  test('uses a share of RAM up to the cap', () => {
+    expect(heapSizeFor(8192)).toBe(4096);
+    expect(heapSizeFor(65536)).toBe(16384);
+    expect(heapSizeFor(16384, { percent: 25, maxMB: 2048 })).toBe(2048);
+  });
+
+  test('rejects percentages above 100', () => {
+    expect(() => validatePercent(100)).not.toThrow();
+    expect(() => validatePercent(101)).toThrow('must be a percentage <= 100');
+  });
+});
+
+describe('heapFromNodeOptions', () => {
+  test('reads --max-old-space-size', () => {
+    expect(heapFromNodeOptions('--trace-warnings --max-old-space-size=4096')).toBe(4096);
+    expect(heapFromNodeOptions('--trace-warnings')).toBeNull();
+    expect(heapFromNodeOptions(undefined)).toBeNull();
+  });
+});
+
+describe('heapUsage', () => {
+  test('reports MB and percent', () => {
+    expect(heapUsage({ used_heap_size: 900 * MB, heap_size_limit: 1000 * MB })).toEqual({ usedMB: 900, limitMB: 1000, percent: 90 });
+  });
+
+  test('reads this process by default', () => {
+    expect(heapUsage().limitMB).toBeGreaterThan(0);
+  });
+});
+
+describe('createHeapMonitor', () => {
+  const monitorWith = (samples, options = {}) => {
+    const warnings = [];
+    const recoveries = [];
+    const monitor = createHeapMonitor({
+      warnPercent: 90,
+      onWarn: usage => warnings.push(usage.percent),
+      onRecover: usage => recoveries.push(usage.percent),
+      getStats: () => ({ used_heap_size: samples.shift() * MB, heap_size_limit: 100 * MB }),
+      ...options
+    });
+    return { monitor, warnings, recoveries };
+  };
+
+  test('warns once while the heap stays full', () => {
+    const { monitor, warnings } = monitorWith([50, 91, 95, 92]);
+    for (let i = 0; i < 4; i++) monitor.check();
+    expect(warnings).toEqual([91]);
+  });
+
+  test('warns again only after usage dropped well below the threshold', () => {
+    const { monitor, warnings, recoveries } = monitorWith([91, 85, 91, 70, 93]);
+    for (let i = 0; i < 5; i++) monitor.check();
+    expect(warnings).toEqual([91, 93]);
+    expect(recoveries).toEqual([70]);
+  });
+
+  test('warnPercent 0 turns the monitor off', () => {
+    const { monitor, warnings } = monitorWith([99], { warnPercent: 0 });
+    monitor.check();
+    monitor.start();
+    monitor.stop();
+    expect(warnings).toEqual([]);
+  });
+
+  test('start samples on an interval until stopped', async () => {
+    const { monitor, warnings } = monitorWith([95, 95, 95], { intervalMs: 5 });
+    monitor.start();
+    await new Promise(r => setTimeout(r, 30));
+    monitor.stop();
+    expect(warnings).toEqual([95]);
+  });
+});
@@ -1,4 +1,8 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { handlePermissionRequest, handleStopHook } from '../runner.js';
+import { compilePolicy } from '../policy.js';
 
 describe('handlePermissionRequest', () => {
   describe('auto-approves most tools', () => {
@@ -69,6 +73,119 @@ describe('handlePermissionRequest', () => {
     });
   });
 
+  describe('applies policy rules', () => {
+    const policy = compilePolicy({
+      rules: [
+        { name: 'no-env', action: 'deny', tools: 'Read', paths: ['**/.env'], message: 'Secrets are off limits' },
+        { name: 'no-rm', action: 'deny', tools: 'Bash', commands: ['^rm\\s+-rf'] },
+        { name: 'confirm-push', action: 'ask', tools: 'Bash', commands: ['^git\\s+push'] }
+      ]
+    });
+
+    test('denies with the rule message', () => {
+      const input = JSON.stringify({ tool_name: 'Read', tool_input: { file_path: '/repo/.env' } });
+      const result = JSON.parse(handlePermissionRequest(input, policy));
+
+      expect(result.hookSpecificOutput.hookEventName).toBe('PermissionRequest');
+      expect(result.hookSpecificOutput.decision).toEqual({ behavior: 'deny', message: 'Secrets are off limits' });
+    });
+
+    test('denies with a default message naming the rule', () => {
+      const input = JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'rm -rf /' } });
+      const result = JSON.parse(handlePermissionRequest(input, policy));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('deny');
+      expect(result.hookSpecificOutput.decision.message).toContain('no-rm');
+    });
+
+    test('passes through on ask rules', () => {
+      const input = JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'git push' } });
+      expect(handlePermissionRequest(input, policy)).toBe('');
+    });
+
+    test('falls back to default rules', () => {
+      const input = JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'ls' } });
+      const result = JSON.parse(handlePermissionRequest(input, policy));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('allow');
+      expect(handlePermissionRequest(JSON.stringify({ tool_name: 'ExitPlanMode' }), policy)).toBe('');
+    });
+  });
+
+  describe('applies project policy', () => {
+    let projectDir;
+
+    beforeAll(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-hooks-'));
+      fs.mkdirSync(path.join(projectDir, '.wclaude'));
+      fs.writeFileSync(path.join(projectDir, '.wclaude', 'policy.json'), JSON.stringify({
+        rules: [{ name: 'infra', action: 'deny', paths: ['infra/**'], message: 'infra is read-only' }]
+      }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    test('finds policy from request cwd', () => {
+      const input = JSON.stringify({
+        tool_name: 'Write',
+        tool_input: { file_path: path.join(projectDir, 'infra', 'main.tf') },
+        cwd: path.join(projectDir, 'infra')
+      });
+      const result = JSON.parse(handlePermissionRequest(input));
+
+      expect(result.hookSpecificOutput.decision).toEqual({ behavior: 'deny', message: 'infra is read-only' });
+    });
+
+    test('unmatched requests keep default behavior', () => {
+      const input = JSON.stringify({
+        tool_name: 'Write',
+        tool_input: { file_path: path.join(projectDir, 'docs', 'index.md') },
+        cwd: projectDir
+      });
+      const result = JSON.parse(handlePermissionRequest(input));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('allow');
+    });
+  });
+
+  describe('user policy and audit log', () => {
+    // tests/setup.js points both at a temporary directory
+    const policyFile = process.env.WCLAUDE_POLICY_FILE;
+    const auditFile = process.env.WCLAUDE_AUDIT_LOG;
+
+    afterEach(() => {
+      fs.rmSync(policyFile, { force: true });
+    });
+
+    test('reads the user policy from WCLAUDE_POLICY_FILE', () => {
+      fs.writeFileSync(policyFile, JSON.stringify({
+        rules: [{ name: 'no-web', action: 'deny', tools: ['WebFetch'], message: 'no web' }]
+      }));
+      const input = JSON.stringify({ tool_name: 'WebFetch', tool_input: { url: 'https://example.com' } });
+      const result = JSON.parse(handlePermissionRequest(input));
+
+      expect(result.hookSpecificOutput.decision).toEqual({ behavior: 'deny', message: 'no web' });
+    });
+
+    test('an invalid user policy asks for tools and fails closed', () => {
+      fs.writeFileSync(policyFile, '{ "onError": "open", ');
+      const input = JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'ls' } });
+      expect(handlePermissionRequest(input)).toBe('');
+
+      const result = JSON.parse(handlePermissionRequest('{ broken'));
+      expect(result.hookSpecificOutput.decision.behavior).toBe('deny');
+    });
+
+    test('writes decisions to WCLAUDE_AUDIT_LOG', () => {
+      handlePermissionRequest(JSON.stringify({ tool_name: 'Glob', tool_input: { pattern: 'audit-probe/**' } }));
+      const records = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+      expect(records.at(-1)).toMatchObject({ tool: 'Glob', input: { pattern: 'audit-probe/**' }, decision: 'allow' });
+    });
+  });
+
   describe('error handling', () => {
     test('fails-open on invalid JSON', () => {
       const result = JSON.parse(handlePermissionRequest('invalid json'));
@@ -87,9 +204,79 @@ describe('handlePermissionRequest', () => {
       const input = JSON.stringify({ tool_input: {} });
       const result = JSON.parse(handlePermissionRequest(input));
 
-      // undefined tool_name is not in excludedTools, so it should auto-approve
+      // undefined tool_name matches the default-allow rule, so it should auto-approve
+      expect(result.hookSpecificOutput.decision.behavior).toBe('allow');
+    });
+
+    test('treats non-object JSON as a parse error', () => {
+      const closed = compilePolicy({ onError: 'closed' });
+      const result = JSON.parse(handlePermissionRequest('null', closed));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('deny');
+    });
+  });
+
+  describe('failure modes', () => {
+    const ENV = 'WCLAUDE_PERMISSIONS_ON_ERROR';
+    const savedEnv = process.env[ENV];
+
+    afterEach(() => {
+      if (savedEnv === undefined) {
+        delete process.env[ENV];
+      } else {
+        process.env[ENV] = savedEnv;
+      }
+    });
+
+    test('fail-open allows malformed requests', () => {
+      const result = JSON.parse(handlePermissionRequest('{ broken', compilePolicy({ onError: 'open' })));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('allow');
+    });
+
+    test('fail-to-prompt passes through with an empty string', () => {
+      const result = handlePermissionRequest('{ broken', compilePolicy({ onError: 'prompt' }));
+
+      expect(result).toBe('');
+    });
+
+    test('fail-closed denies with a reason', () => {
+      const result = JSON.parse(handlePermissionRequest('{ broken', compilePolicy({ onError: 'closed' })));
+
+      expect(result.hookSpecificOutput.hookEventName).toBe('PermissionRequest');
+      expect(result.hookSpecificOutput.decision.behavior).toBe('deny');
+      expect(result.hookSpecificOutput.decision.message).toContain('fail-closed');
+    });
+
+    test('environment overrides the policy file', () => {
+      process.env[ENV] = 'closed';
+      const result = JSON.parse(handlePermissionRequest('{ broken', compilePolicy({ onError: 'open' })));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('deny');
+    });
+
+    test('environment applies without a policy file setting', () => {
+      process.env[ENV] = 'PROMPT';
+      expect(handlePermissionRequest('')).toBe('');
+    });
+
+    test('invalid environment values are ignored', () => {
+      process.env[ENV] = 'sometimes';
+      const result = JSON.parse(handlePermissionRequest('', compilePolicy({ onError: 'closed' })));
+
+      expect(result.hookSpecificOutput.decision.behavior).toBe('deny');
+    });
+
+    test('failure mode does not affect valid requests', () => {
+      const input = JSON.stringify({ tool_name: 'Bash', tool_input: { command: 'ls' } });
+      const result = JSON.parse(handlePermissionRequest(input, compilePolicy({ onError: 'closed' })));
+
       expect(result.hookSpecificOutput.decision.behavior).toBe('allow');
     });
+
+    test('rejects unknown failure modes in policy files', () => {
+      expect(() => compilePolicy({ onError: 'maybe' })).toThrow('"onError" must be one of');
+    });
   });
 });
 
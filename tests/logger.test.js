@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the session logger
+ *
+ * Tests logger.js exports:
+ * - formatLogArgs
+ * - createLogger (levels, tags, redaction, size-based rotation)
+ * - pruneSessionLogs (retention)
+ * - validateLogLevel / sessionLogPath
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  formatLogArgs,
+  createLogger,
+  pruneSessionLogs,
+  validateLogLevel,
+  sessionLogPath
+} from '../logger.js';
+
+describe('formatLogArgs', () => {
+  test('joins words and keeps objects as data', () => {
+    expect(formatLogArgs(['Git Bash:', 'C:\\Git\\bin\\bash.exe'])).toEqual({ msg: 'Git Bash: C:\\Git\\bin\\bash.exe' });
+    expect(formatLogArgs(['Command blocked:', { command: 'find /' }])).toEqual({ msg: 'Command blocked:', data: { command: 'find /' } });
+    expect(formatLogArgs(['a', { x: 1 }, ['y']])).toEqual({ msg: 'a', data: [{ x: 1 }, ['y']] });
+    expect(formatLogArgs(['Failed:', new Error('boom'), 3, null])).toEqual({ msg: 'Failed: boom 3 null' });
+  });
+});
+
+describe('validateLogLevel', () => {
+  test('accepts levels and off', () => {
+    expect(() => validateLogLevel('trace')).not.toThrow();
+    expect(() => validateLogLevel('off')).not.toThrow();
+    expect(() => validateLogLevel('verbose')).toThrow('must be one of off, error, warn, info, debug, trace');
+  });
+});
+
+describe('createLogger', () => {
+  let dir;
+  let filePath;
+
+  const readRecords = (file = filePath) => fs.readFileSync(file, 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-logs-'));
+    filePath = sessionLogPath('abcd1234', dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes JSON lines at or above the level, with tags and fields', () => {
+    const logger = createLogger({ filePath, level: 'info', fields: { session: 'abcd1234' } });
+    logger.debug('not written');
+    logger.info('wclaude started', { pid: 42 });
+    logger.tag('spawn').warn('Watchdog killed command:', { limit: 'timeout' });
+    logger.tag('hooks').trace('not written either');
+
+    const records = readRecords();
+    expect(records).toEqual([
+      expect.objectContaining({ level: 'info', tag: 'main', session: 'abcd1234', msg: 'wclaude started', data: { pid: 42 } }),
+      expect.objectContaining({ level: 'warn', tag: 'spawn', msg: 'Watchdog killed command:', data: { limit: 'timeout' } })
+    ]);
+    expect(new Date(records[0].ts).toString()).not.toBe('Invalid Date');
+    expect(path.basename(filePath)).toBe('wclaude-abcd1234.jsonl');
+  });
+
+  test('reports which levels are enabled', () => {
+    const logger = createLogger({ filePath, level: 'debug' });
+    expect(logger.enabled('debug')).toBe(true);
+    expect(logger.tag('cygpath').enabled('trace')).toBe(false);
+    expect(createLogger({ filePath, level: 'off' }).enabled('error')).toBe(false);
+  });
+
+  test('creates no file until something is logged', () => {
+    createLogger({ filePath, level: 'off' }).error('dropped');
+    createLogger({ filePath, level: 'warn' }).info('dropped');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('redacts messages and data', () => {
+    const logger = createLogger({ filePath, level: 'debug', redact: value => JSON.parse(JSON.stringify(value).replaceAll('hunter2', '[REDACTED]')) });
+    logger.debug('password hunter2', { input: 'hunter2' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain('hunter2');
+    expect(readRecords()[0]).toEqual(expect.objectContaining({ msg: 'password [REDACTED]', data: { input: '[REDACTED]' } }));
+  });
+
+  test('rotates when the file would exceed maxBytes', () => {
+    const logger = createLogger({ filePath, level: 'info', maxBytes: 300, maxFiles: 2 });
+    for (let i = 0; i < 20; i++) {
+      logger.info(`record ${i}`);
+    }
+
+    expect(fs.existsSync(`${filePath}.1`)).toBe(true);
+    expect(fs.existsSync(`${filePath}.2`)).toBe(true);
+    expect(fs.existsSync(`${filePath}.3`)).toBe(false);
+    expect(fs.statSync(filePath).size).toBeLessThanOrEqual(300);
+    expect(readRecords().pop().msg).toBe('record 19');
+  });
+
+  test('leaves rotation to the other writer with rotate: false', () => {
+    const logger = createLogger({ filePath, level: 'info', maxBytes: 300, maxFiles: 2, rotate: false });
+    for (let i = 0; i < 20; i++) {
+      logger.info(`record ${i}`);
+    }
+
+    expect(fs.existsSync(`${filePath}.1`)).toBe(false);
+    expect(readRecords()).toHaveLength(20);
+  });
+
+  test('keeps only the newest sessions', () => {
+    const old = Date.now() / 1000 - 3600;
+    for (const [i, id] of ['00000001', '00000002', '00000003'].entries()) {
+      for (const file of [sessionLogPath(id, dir), `${sessionLogPath(id, dir)}.1`]) {
+        fs.writeFileSync(file, '{}\n');
+        fs.utimesSync(file, old + i, old + i);
+      }
+    }
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a log');
+
+    createLogger({ filePath, level: 'warn', maxSessions: 2 }).warn('new session');
+
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      'notes.txt',
+      'wclaude-00000003.jsonl',
+      'wclaude-00000003.jsonl.1',
+      'wclaude-abcd1234.jsonl'
+    ]);
+  });
+
+  test('never throws when the log cannot be written', () => {
+    fs.writeFileSync(path.join(dir, 'file'), '');
+    const logger = createLogger({ filePath: path.join(dir, 'file', 'wclaude-abcd1234.jsonl'), level: 'trace' });
+    expect(() => logger.error('lost')).not.toThrow();
+  });
+});
+
+describe('pruneSessionLogs', () => {
+  test('returns the deleted sessions', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-prune-'));
+    try {
+      fs.writeFileSync(sessionLogPath('0a', dir), '');
+      fs.utimesSync(sessionLogPath('0a', dir), 1000, 1000);
+      fs.writeFileSync(sessionLogPath('0b', dir), '');
+      expect(pruneSessionLogs(dir, 1)).toEqual(['0a']);
+      expect(pruneSessionLogs(dir, 1)).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for `wclaude logs`
+ *
+ * Tests logs.js exports:
+ * - parseTime / parseLogsArgs
+ * - listSessions / parseLogLines / filterRecords / formatRecord
+ * - followLog
+ * - runLogsCommand
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseTime,
+  parseLogsArgs,
+  listSessions,
+  parseLogLines,
+  filterRecords,
+  formatRecord,
+  followLog,
+  runLogsCommand
+} from '../logs.js';
+import { createLogger, sessionLogPath } from '../logger.js';
+
+const NOW = Date.parse('2025-01-01T12:00:00.000Z');
+
+const RECORDS = [
+  { ts: '2025-01-01T11:00:00.000Z', level: 'info', tag: 'main', msg: 'wclaude started', data: { pid: 42 } },
+  { ts: '2025-01-01T11:30:00.000Z', level: 'debug', tag: 'cygpath', msg: 'cygpath intercepted:', data: { from: 'C:\\x', to: '/c/x' } },
+  { ts: '2025-01-01T11:55:00.000Z', level: 'warn', tag: 'spawn', msg: 'Watchdog killed command:' },
+  { ts: '2025-01-01T11:59:00.000Z', level: 'error', tag: 'main', msg: 'Crash limit reached, stopping: boom' }
+];
+
+describe('parseTime', () => {
+  test('reads relative times and dates', () => {
+    expect(parseTime('10m', NOW)).toBe(NOW - 10 * 60 * 1000);
+    expect(parseTime('2h', NOW)).toBe(NOW - 2 * 60 * 60 * 1000);
+    expect(parseTime('2025-01-01T11:00:00Z', NOW)).toBe(Date.parse('2025-01-01T11:00:00Z'));
+    expect(parseTime('2025-01-01', NOW)).toBe(new Date(2025, 0, 1).getTime());
+    expect(parseTime('yesterday', NOW)).toBeNaN();
+  });
+});
+
+describe('parseLogsArgs', () => {
+  test('reads filters and options', () => {
+    expect(parseLogsArgs(['--tag', 'spawn, hooks', '--tag', 'toast', '--level', 'warn', '--since', '1h', '-f', '--session', 'ABCD'], { now: NOW }))
+      .toEqual(expect.objectContaining({
+        tags: ['spawn', 'hooks', 'toast'],
+        level: 'warn',
+        since: NOW - 60 * 60 * 1000,
+        until: null,
+        follow: true,
+        session: 'abcd',
+        error: null
+      }));
+  });
+
+  test('reports usage errors', () => {
+    expect(parseLogsArgs(['--level', 'verbose']).error).toContain('--level must be one of error, warn');
+    expect(parseLogsArgs(['--lines', '0']).error).toBe('--lines must be a positive integer');
+    expect(parseLogsArgs(['--since', 'soon']).error).toContain('--since must be a date/time');
+    expect(parseLogsArgs(['--session']).error).toBe('--session needs a value');
+    expect(parseLogsArgs(['--list', '--follow']).error).toContain('--list cannot be combined');
+    expect(parseLogsArgs(['spawn']).error).toBe('unexpected argument spawn');
+  });
+});
+
+describe('parseLogLines / filterRecords / formatRecord', () => {
+  test('keeps lines that are not JSON', () => {
+    expect(parseLogLines('{"msg":"a"}\r\n\nnot json\n')).toEqual([{ msg: 'a' }, { msg: 'not json' }]);
+  });
+
+  test('filters by tag, level and time range', () => {
+    expect(filterRecords(RECORDS, { tags: ['main'] }).map(r => r.msg)).toEqual(['wclaude started', 'Crash limit reached, stopping: boom']);
+    expect(filterRecords(RECORDS, { level: 'warn' }).map(r => r.level)).toEqual(['warn', 'error']);
+    expect(filterRecords(RECORDS, { since: NOW - 30 * 60 * 1000, until: NOW - 2 * 60 * 1000 }).map(r => r.tag)).toEqual(['cygpath', 'spawn']);
+    expect(filterRecords([{ msg: 'not json' }], { level: 'trace' })).toEqual([]);
+  });
+
+  test('pretty-prints data under the header line', () => {
+    const text = formatRecord(RECORDS[1]);
+    expect(text).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.000 DEBUG \[cygpath\] cygpath intercepted:\n/);
+    expect(text.split('\n').slice(1)).toEqual(['    {', '      "from": "C:\\\\x",', '      "to": "/c/x"', '    }']);
+    expect(formatRecord({ msg: 'not json' })).toMatch(/^-\s+\?\s+\[-\] not json$/);
+  });
+});
+
+describe('session logs', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-logs-cmd-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeSession = (id, records, { rotated = [], age = 0 } = {}) => {
+    const file = sessionLogPath(id, dir);
+    const toLines = list => list.map(r => JSON.stringify(r) + '\n').join('');
+    fs.writeFileSync(file, toLines(records));
+    rotated.forEach((list, i) => fs.writeFileSync(`${file}.${i + 1}`, toLines(list)));
+    const time = Date.now() / 1000 - age;
+    for (const name of fs.readdirSync(dir).filter(n => n.startsWith(`wclaude-${id}`))) {
+      fs.utimesSync(path.join(dir, name), time, time);
+    }
+  };
+
+  const run = async (argv, options = {}) => {
+    const out = [];
+    const err = [];
+    const code = await runLogsCommand(argv, {
+      out: line => out.push(line),
+      err: line => err.push(line),
+      dir,
+      now: NOW,
+      ...options
+    });
+    return { code, out, err: err.join('\n') };
+  };
+
+  test('lists sessions newest first with rotated files in order', () => {
+    writeSession('0000000a', [RECORDS[0]], { age: 600 });
+    writeSession('0000000b', [RECORDS[3]], { rotated: [[RECORDS[2]], [RECORDS[1]]] });
+
+    const sessions = listSessions(dir);
+    expect(sessions.map(s => s.id)).toEqual(['0000000b', '0000000a']);
+    expect(sessions[0].files.map(f => path.basename(f))).toEqual([
+      'wclaude-0000000b.jsonl.2', 'wclaude-0000000b.jsonl.1', 'wclaude-0000000b.jsonl'
+    ]);
+    expect(listSessions(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  test('shows the newest session, or the one asked for', async () => {
+    writeSession('0000000a', [RECORDS[0]], { age: 600 });
+    writeSession('0000000b', [RECORDS[3]], { rotated: [[RECORDS[2]]] });
+
+    const newest = await run(['--json']);
+    expect(newest.code).toBe(0);
+    expect(newest.out.map(line => JSON.parse(line).msg)).toEqual(['Watchdog killed command:', 'Crash limit reached, stopping: boom']);
+
+    const older = await run(['--session', '0000000A']);
+    expect(older.out.join('\n')).toContain('INFO  [main] wclaude started\n    {\n      "pid": 42\n    }');
+
+    const list = await run(['--list']);
+    expect(list.out.join('\n').split('\n')[0]).toMatch(/^0000000b {2}\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} {2}1 KB, 1 rotated$/);
+  });
+
+  test('applies filters and --lines', async () => {
+    writeSession('0000000b', RECORDS);
+    const { out } = await run(['--json', '--since', '1h', '--lines', '2']);
+    expect(out.map(line => JSON.parse(line).tag)).toEqual(['spawn', 'main']);
+  });
+
+  test('reports missing and ambiguous sessions', async () => {
+    expect((await run([])).err).toContain('no session logs in');
+
+    writeSession('0000000a', []);
+    writeSession('0000000b', []);
+    expect(await run(['--session', 'ffff'])).toEqual(expect.objectContaining({ code: 1 }));
+    expect((await run(['--session', '0000'])).err).toContain('is ambiguous');
+    expect((await run(['--bogus'])).code).toBe(2);
+  });
+
+  test('follows new records, across rotation, until stopped', async () => {
+    const filePath = sessionLogPath('0000000c', dir);
+    const logger = createLogger({ filePath, level: 'debug', maxBytes: 400, maxFiles: 1 });
+    logger.info('before');
+
+    const controller = new AbortController();
+    const seen = [];
+    const following = runLogsCommand(['--follow', '--session', '0000000c', '--json', '--tag', 'spawn,main'], {
+      out: line => seen.push(JSON.parse(line).msg),
+      err: () => {},
+      dir,
+      signal: controller.signal
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    for (let i = 0; i < 6; i++) {
+      logger.tag('spawn').debug(`record ${i} ${'x'.repeat(60)}`.trim());
+      logger.tag('toast').debug('filtered out');
+      await new Promise(resolve => setTimeout(resolve, 600));
+    }
+    controller.abort();
+
+    expect(await following).toBe(0);
+    expect(seen[0]).toBe('before');
+    expect(seen.slice(1).map(msg => msg.split(' ')[1])).toEqual(['0', '1', '2', '3', '4', '5']);
+  }, 15000);
+
+  test('followLog stops right away when already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(followLog(path.join(dir, 'missing.jsonl'), () => {}, { signal: controller.signal })).resolves.toBeUndefined();
+  });
+});
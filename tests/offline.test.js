@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the offline wait
+ *
+ * Tests offline.js exports:
+ * - keyAction / formatWait / validateJitter
+ * - watchKeys (raw mode)
+ * - interfaceSignature / watchNetworkChanges
+ * - waitForOnline (countdown, retry now, give up, no limit, network changes)
+ */
+
+import { PassThrough } from 'stream';
+import {
+  keyAction,
+  formatWait,
+  validateJitter,
+  watchKeys,
+  interfaceSignature,
+  watchNetworkChanges,
+  waitForOnline
+} from '../offline.js';
+
+/**
+ * Fake terminal input that records raw mode changes
+ */
+function fakeTerminal() {
+  const input = new PassThrough();
+  input.isTTY = true;
+  input.isRaw = false;
+  input.setRawMode = mode => { input.isRaw = mode; };
+  return input;
+}
+
+/**
+ * Output stream that collects what was written
+ */
+function collect() {
+  const output = new PassThrough();
+  output.text = '';
+  output.on('data', chunk => { output.text += chunk; });
+  return output;
+}
+
+const offline = { ok: false, stage: 'dns', error: 'getaddrinfo ENOTFOUND api.anthropic.com' };
+const online = { ok: true, stage: 'http', status: 404 };
+
+/**
+ * Connectivity check answering from a list (the last answer repeats)
+ */
+function checks(...results) {
+  const check = async () => {
+    check.calls++;
+    return results.length > 1 ? results.shift() : results[0];
+  };
+  check.calls = 0;
+  return check;
+}
+
+describe('keyAction', () => {
+  test('maps retry and cancel keys', () => {
+    expect(keyAction('r')).toBe('retry');
+    expect(keyAction(Buffer.from('\r'))).toBe('retry');
+    expect(keyAction('Q')).toBe('cancel');
+    expect(keyAction('\x03')).toBe('cancel');
+    expect(keyAction('x')).toBeNull();
+  });
+});
+
+describe('formatWait', () => {
+  test('shows the failed stage, the count and the keys', () => {
+    expect(formatWait({ attempt: 2, maxRetries: 10, remainingMs: 16200, probe: offline, interactive: true }))
+      .toBe('[wclaude] No internet connection (dns failed: getaddrinfo ENOTFOUND api.anthropic.com). Retry 2/10 in 17s... - R: retry now, Q: give up');
+  });
+
+  test('has no limit with maxRetries 0', () => {
+    expect(formatWait({ attempt: 12, maxRetries: 0, remainingMs: 60000 })).toBe('[wclaude] No internet connection. Retry 12 in 60s...');
+  });
+});
+
+describe('validateJitter', () => {
+  test('accepts the jitter modes', () => {
+    expect(() => validateJitter('decorrelated')).not.toThrow();
+    expect(() => validateJitter('random')).toThrow('must be one of none, full, decorrelated');
+  });
+});
+
+describe('watchKeys', () => {
+  test('reports wait keys in raw mode and restores the terminal', async () => {
+    const input = fakeTerminal();
+    const actions = [];
+    const stop = watchKeys(input, action => actions.push(action));
+    expect(input.isRaw).toBe(true);
+    input.write('x');
+    input.write('q');
+    await new Promise(r => setImmediate(r));
+    expect(actions).toEqual(['cancel']);
+
+    stop();
+    expect(input.isRaw).toBe(false);
+    expect(input.listenerCount('data')).toBe(0);
+  });
+});
+
+describe('watchNetworkChanges', () => {
+  const wifi = address => ({
+    lo: [{ address: '127.0.0.1', internal: true }],
+    ...(address ? { 'Wi-Fi': [{ address, internal: false }] } : {})
+  });
+
+  test('compares external addresses only', () => {
+    expect(interfaceSignature(wifi(null))).toBe('');
+    expect(interfaceSignature(wifi('192.168.1.20'))).toBe('Wi-Fi 192.168.1.20');
+  });
+
+  test('calls onChange when an address comes or goes', async () => {
+    const samples = [wifi(null), wifi(null), wifi('192.168.1.20'), wifi('192.168.1.20'), wifi(null)];
+    let changes = 0;
+    const stop = watchNetworkChanges(() => changes++, {
+      intervalMs: 2,
+      getInterfaces: () => samples.length > 1 ? samples.shift() : samples[0]
+    });
+    await new Promise(r => setTimeout(r, 40));
+    stop();
+    expect(changes).toBe(2);
+  });
+});
+
+describe('waitForOnline', () => {
+  test('without a terminal prints one line per check', async () => {
+    const output = collect();
+    const check = checks(offline, online);
+    const waits = [];
+    const result = await waitForOnline({ check, delayFor: n => n, output, interactive: false, onWait: w => waits.push(w) });
+    expect(result).toEqual({ status: 'online', attempts: 2, probe: online });
+    expect(waits.map(w => w.attempt)).toEqual([1, 2]);
+    expect(waits[1].probe).toBe(offline);
+    expect(output.text.split('\n').filter(Boolean)).toHaveLength(2);
+  });
+
+  test('without a terminal gives up after maxRetries', async () => {
+    const check = checks(offline);
+    const result = await waitForOnline({ check, delayFor: () => 1, maxRetries: 3, output: collect(), interactive: false });
+    expect(result).toEqual({ status: 'exhausted', attempts: 3, probe: offline });
+  });
+
+  test('maxRetries 0 waits until the connection is back', async () => {
+    const check = checks(...Array(15).fill(offline), online);
+    const result = await waitForOnline({ check, delayFor: () => 0, maxRetries: 0, output: collect(), interactive: false });
+    expect(result.status).toBe('online');
+    expect(result.attempts).toBe(16);
+  });
+
+  test('counts down on one line and checks at once on R', async () => {
+    const input = fakeTerminal();
+    const output = collect();
+    const check = checks(online);
+    const waiting = waitForOnline({ check, delayFor: () => 60000, input, output, interactive: true });
+    await new Promise(r => setTimeout(r, 20));
+    expect(output.text).toContain('\r\x1b[2K[wclaude] No internet connection. Retry 1/10 in 60s... - R: retry now, Q: give up');
+    expect(output.text).not.toContain('\n');
+
+    input.write('r');
+    await expect(waiting).resolves.toMatchObject({ status: 'online', attempts: 1 });
+    expect(input.isRaw).toBe(false);
+  });
+
+  test('Q gives up without another check', async () => {
+    const input = fakeTerminal();
+    const check = checks(offline);
+    const waiting = waitForOnline({ check, delayFor: () => 60000, input, output: collect(), interactive: true });
+    input.write('q');
+    await expect(waiting).resolves.toEqual({ status: 'cancelled', attempts: 0, probe: null });
+    expect(check.calls).toBe(0);
+  });
+
+  test('asks to keep trying after the last check', async () => {
+    const input = fakeTerminal();
+    const output = collect();
+    const check = checks(offline, offline, online);
+    const waiting = waitForOnline({ check, delayFor: () => 0, maxRetries: 2, input, output, interactive: true });
+    await new Promise(r => setTimeout(r, 20));
+    expect(output.text).toContain('Still no connection after 2 checks - R: keep trying, Q: give up');
+
+    input.write('r');
+    await expect(waiting).resolves.toMatchObject({ status: 'online', attempts: 3 });
+  });
+
+  test('a network change ends the wait at once', async () => {
+    const output = collect();
+    let onChange = null;
+    let stopped = false;
+    const watchNetwork = callback => {
+      onChange = callback;
+      return () => { stopped = true; };
+    };
+    const waiting = waitForOnline({ check: checks(online), delayFor: () => 60000, output, interactive: false, watchNetwork });
+    onChange();
+    await expect(waiting).resolves.toMatchObject({ status: 'online', attempts: 1 });
+    expect(output.text).toContain('[wclaude] Network changed, checking the connection...');
+    expect(stopped).toBe(true);
+  });
+
+  test('a network change during a check shortens the next wait only once', async () => {
+    let onChange = null;
+    const check = checks(offline, offline, online);
+    const started = Date.now();
+    const waiting = waitForOnline({
+      // Two changes while the first check runs: the second wait ends at once, the third does not
+      check: async () => {
+        if (check.calls === 0) { onChange(); onChange(); }
+        return check();
+      },
+      delayFor: n => (n === 1 ? 0 : 50),
+      output: collect(),
+      interactive: false,
+      watchNetwork: callback => { onChange = callback; return () => {}; }
+    });
+    await expect(waiting).resolves.toMatchObject({ status: 'online', attempts: 3 });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Unit tests for the permission policy engine
+ *
+ * Tests policy.js exports:
+ * - globToRegExp
+ * - compileRule / compilePolicy
+ * - loadPolicy / findProjectPolicy
+ * - evaluatePolicy / evaluatePolicyLayers
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_POLICY,
+  globToRegExp,
+  compileRule,
+  compilePolicy,
+  loadPolicy,
+  findProjectPolicy,
+  evaluatePolicy,
+  evaluatePolicyLayers
+} from '../policy.js';
+
+describe('globToRegExp', () => {
+  test('* does not cross directories', () => {
+    expect(globToRegExp('src/*.js').test('src/index.js')).toBe(true);
+    expect(globToRegExp('src/*.js').test('src/lib/index.js')).toBe(false);
+  });
+
+  test('** crosses directories', () => {
+    expect(globToRegExp('src/**/*.js').test('src/index.js')).toBe(true);
+    expect(globToRegExp('src/**/*.js').test('src/lib/deep/index.js')).toBe(true);
+    expect(globToRegExp('infra/**').test('infra/main.tf')).toBe(true);
+  });
+
+  test('normalizes backslashes and ignores case', () => {
+    expect(globToRegExp('C:\\Windows\\**').test('c:/windows/system32/drivers')).toBe(true);
+  });
+
+  test('escapes regex characters', () => {
+    expect(globToRegExp('file(1).txt').test('file(1).txt')).toBe(true);
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});
+
+describe('compileRule', () => {
+  test('rejects invalid actions', () => {
+    expect(() => compileRule({ name: 'bad', action: 'maybe' })).toThrow('action must be one of');
+  });
+
+  test('rejects invalid command patterns', () => {
+    expect(() => compileRule({ name: 'bad', action: 'deny', commands: ['('] })).toThrow('invalid command pattern');
+  });
+
+  test('rejects empty pattern lists', () => {
+    expect(() => compileRule({ name: 'bad', action: 'deny', tools: [] })).toThrow('"tools"');
+  });
+
+  test('names unnamed rules by position', () => {
+    expect(compileRule({ action: 'allow' }, 2).name).toBe('rule-3');
+  });
+});
+
+describe('compilePolicy', () => {
+  test('appends default rules after user rules', () => {
+    const policy = compilePolicy({ rules: [{ name: 'mine', action: 'deny' }] });
+    expect(policy.rules.map(r => r.name)).toEqual([
+      'mine',
+      ...DEFAULT_POLICY.rules.map(r => r.name)
+    ]);
+  });
+
+  test('can leave out default rules', () => {
+    const policy = compilePolicy({ rules: [{ name: 'mine', action: 'deny' }] }, 'project', { defaults: false });
+    expect(policy.rules.map(r => r.name)).toEqual(['mine']);
+  });
+
+  test('rejects non-array rules', () => {
+    expect(() => compilePolicy({ rules: {} }, 'test.json')).toThrow('test.json: "rules" must be an array');
+  });
+});
+
+describe('loadPolicy', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('returns built-in policy when file is missing', () => {
+    const policy = loadPolicy(path.join(tmpDir, 'missing.json'));
+    expect(policy.source).toBe('built-in');
+    expect(policy.rules).toHaveLength(DEFAULT_POLICY.rules.length);
+  });
+
+  test('loads rules from file', () => {
+    const file = path.join(tmpDir, 'policy.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ name: 'no-web', action: 'deny', tools: 'WebFetch' }] }));
+    const policy = loadPolicy(file);
+    expect(policy.source).toBe(file);
+    expect(evaluatePolicy(policy, { tool_name: 'WebFetch' }).rule).toBe('no-web');
+  });
+
+  test('throws on invalid JSON', () => {
+    const file = path.join(tmpDir, 'policy.json');
+    fs.writeFileSync(file, '{ not json');
+    expect(() => loadPolicy(file)).toThrow('could not parse policy file');
+  });
+});
+
+describe('evaluatePolicy', () => {
+  describe('default policy (today\'s behavior)', () => {
+    const policy = compilePolicy();
+
+    test('allows regular tools', () => {
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'ls' } }))
+        .toEqual({ action: 'allow', rule: 'default-allow' });
+    });
+
+    test('asks for interactive tools', () => {
+      expect(evaluatePolicy(policy, { tool_name: 'AskUserQuestion' }).action).toBe('ask');
+      expect(evaluatePolicy(policy, { tool_name: 'ExitPlanMode' }).action).toBe('ask');
+    });
+
+    test('allows requests without tool_name', () => {
+      expect(evaluatePolicy(policy, {}).action).toBe('allow');
+    });
+  });
+
+  describe('rule matching', () => {
+    const policy = compilePolicy({
+      rules: [
+        { name: 'no-env', action: 'deny', tools: ['Read', 'Edit'], paths: ['**/.env'], message: 'No secrets' },
+        { name: 'push', action: 'ask', tools: 'Bash', commands: ['^git\\s+push\\b'] },
+        { name: 'mcp', action: 'ask', tools: 'mcp__github__*' },
+        { name: 'infra', action: 'ask', paths: ['infra/**'] },
+        { name: 'windows', action: 'deny', paths: ['C:/Windows/**'] }
+      ]
+    });
+
+    test('first matching rule wins', () => {
+      const request = { tool_name: 'Read', tool_input: { file_path: 'C:\\repo\\infra\\.env' }, cwd: 'C:\\repo' };
+      expect(evaluatePolicy(policy, request)).toEqual({ action: 'deny', rule: 'no-env', message: 'No secrets' });
+    });
+
+    test('matches Bash command patterns', () => {
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'git push origin main' } }).rule)
+        .toBe('push');
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: { command: 'git status' } }).rule)
+        .toBe('default-allow');
+    });
+
+    test('command rules do not match tools without a command', () => {
+      expect(evaluatePolicy(policy, { tool_name: 'Bash', tool_input: {} }).rule).toBe('default-allow');
+    });
+
+    test('matches tool name wildcards', () => {
+      expect(evaluatePolicy(policy, { tool_name: 'mcp__github__create_issue' }).rule).toBe('mcp');
+      expect(evaluatePolicy(policy, { tool_name: 'mcp__linear__create_issue' }).rule).toBe('default-allow');
+    });
+
+    test('relative globs match paths inside cwd', () => {
+      const request = { tool_name: 'Write', tool_input: { file_path: 'C:\\repo\\infra\\main.tf' }, cwd: 'C:\\repo' };
+      expect(evaluatePolicy(policy, request).rule).toBe('infra');
+    });
+
+    test('relative globs do not match paths outside cwd', () => {
+      const request = { tool_name: 'Write', tool_input: { file_path: 'C:\\other\\infra\\main.tf' }, cwd: 'C:\\repo' };
+      expect(evaluatePolicy(policy, request).rule).toBe('default-allow');
+    });
+
+    test('absolute globs match anywhere', () => {
+      const request = { tool_name: 'Edit', tool_input: { file_path: 'c:\\windows\\system32\\hosts' } };
+      expect(evaluatePolicy(policy, request).rule).toBe('windows');
+    });
+
+    test('path rules do not match tools without paths', () => {
+      expect(evaluatePolicy(policy, { tool_name: 'WebSearch', tool_input: { query: 'infra' } }).rule)
+        .toBe('default-allow');
+    });
+  });
+});
+
+describe('findProjectPolicy', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-project-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('finds policy in a parent directory', () => {
+    const policyFile = path.join(tmpDir, '.wclaude', 'policy.json');
+    fs.mkdirSync(path.dirname(policyFile));
+    fs.writeFileSync(policyFile, '{}');
+    const nested = path.join(tmpDir, 'infra', 'modules');
+    fs.mkdirSync(nested, { recursive: true });
+
+    expect(findProjectPolicy(nested)).toBe(policyFile);
+  });
+
+  test('prefers the nearest policy', () => {
+    const outer = path.join(tmpDir, '.wclaude', 'policy.json');
+    const inner = path.join(tmpDir, 'pkg', '.wclaude', 'policy.json');
+    fs.mkdirSync(path.dirname(outer), { recursive: true });
+    fs.mkdirSync(path.dirname(inner), { recursive: true });
+    fs.writeFileSync(outer, '{}');
+    fs.writeFileSync(inner, '{}');
+
+    expect(findProjectPolicy(path.join(tmpDir, 'pkg'))).toBe(inner);
+  });
+
+  test('returns null without cwd', () => {
+    expect(findProjectPolicy(undefined)).toBeNull();
+  });
+});
+
+describe('evaluatePolicyLayers', () => {
+  const user = compilePolicy({
+    rules: [
+      { name: 'user-deny-rm', action: 'deny', tools: 'Bash', commands: ['^rm '] },
+      { name: 'user-allow-plan', action: 'allow', tools: 'ExitPlanMode' }
+    ]
+  }, 'user');
+  const project = compilePolicy({
+    rules: [
+      { name: 'docs', action: 'allow', paths: ['docs/**'] },
+      { name: 'infra', action: 'ask', paths: ['infra/**'] },
+      { name: 'project-allow-rm', action: 'allow', tools: 'Bash', commands: ['^rm '] }
+    ]
+  }, 'project', { defaults: false });
+
+  test('project rules tighten the user policy', () => {
+    const request = { tool_name: 'Edit', tool_input: { file_path: '/repo/infra/main.tf' }, cwd: '/repo' };
+    expect(evaluatePolicyLayers([user, project], request))
+      .toEqual({ action: 'ask', rule: 'infra', source: 'project' });
+  });
+
+  test('project rules cannot loosen the user policy', () => {
+    const request = { tool_name: 'Bash', tool_input: { command: 'rm -rf build' } };
+    expect(evaluatePolicyLayers([user, project], request))
+      .toEqual({ action: 'deny', rule: 'user-deny-rm', source: 'user' });
+  });
+
+  test('user policy decides when no project rule matches', () => {
+    expect(evaluatePolicyLayers([user, project], { tool_name: 'ExitPlanMode' }))
+      .toEqual({ action: 'allow', rule: 'user-allow-plan', source: 'user' });
+  });
+
+  test('reports the user rule on ties', () => {
+    const request = { tool_name: 'Edit', tool_input: { file_path: '/repo/docs/index.md' }, cwd: '/repo' };
+    expect(evaluatePolicyLayers([user, project], request).source).toBe('user');
+  });
+
+  test('anchors project globs at the project root', () => {
+    const rooted = compilePolicy({ rules: [{ name: 'infra', action: 'ask', paths: ['infra/**'] }] },
+      'project', { defaults: false, root: '/repo' });
+    const request = { tool_name: 'Edit', tool_input: { file_path: '/repo/infra/main.tf' }, cwd: '/repo/infra' };
+    expect(evaluatePolicyLayers([user, rooted], request).rule).toBe('infra');
+  });
+
+  test('asks when no layer matches', () => {
+    expect(evaluatePolicyLayers([project], { tool_name: 'Read' }).action).toBe('ask');
+  });
+});
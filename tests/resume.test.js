@@ -0,0 +1,81 @@
+/**
+ * Unit tests for conversation resume after auto-restart
+ *
+ * Tests resume.js exports:
+ * - claudeConfigDir / transcriptDir
+ * - findActiveSession
+ * - resumeArgs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { claudeConfigDir, transcriptDir, findActiveSession, resumeArgs } from '../resume.js';
+
+const ID_A = '0f1e2d3c-4b5a-6978-8a9b-0c1d2e3f4a5b';
+const ID_B = '11111111-2222-4333-8444-555555555555';
+
+describe('transcriptDir', () => {
+  test('encodes the project path like Claude Code', () => {
+    expect(transcriptDir('C:\\Users\\me\\my.project', '/home/me/.claude'))
+      .toBe(path.join('/home/me/.claude', 'projects', 'C--Users-me-my-project'));
+  });
+
+  test('honors CLAUDE_CONFIG_DIR', () => {
+    expect(claudeConfigDir({ CLAUDE_CONFIG_DIR: '/custom' })).toBe('/custom');
+    expect(claudeConfigDir({})).toBe(path.join(os.homedir(), '.claude'));
+  });
+});
+
+describe('findActiveSession', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-resume-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, mtimeMs) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, '{}\n');
+    fs.utimesSync(file, mtimeMs / 1000, mtimeMs / 1000);
+    return file;
+  };
+
+  test('returns the most recently written transcript', () => {
+    write(`${ID_A}.jsonl`, 1_000_000);
+    const file = write(`${ID_B}.jsonl`, 2_000_000);
+    write('notes.jsonl', 3_000_000);
+
+    expect(findActiveSession(dir)).toEqual({ id: ID_B, file, mtime: 2_000_000 });
+  });
+
+  test('ignores transcripts older than the wclaude session', () => {
+    write(`${ID_A}.jsonl`, 1_000_000);
+    expect(findActiveSession(dir, 1_500_000)).toBeNull();
+  });
+
+  test('returns null without a transcript directory', () => {
+    expect(findActiveSession(path.join(dir, 'missing'))).toBeNull();
+  });
+});
+
+describe('resumeArgs', () => {
+  test('appends --resume with the session', () => {
+    expect(resumeArgs(['--model', 'opus'], ID_A)).toEqual(['--model', 'opus', '--resume', ID_A]);
+  });
+
+  test('replaces existing resume flags', () => {
+    expect(resumeArgs(['-c', '--verbose'], ID_A)).toEqual(['--verbose', '--resume', ID_A]);
+    expect(resumeArgs(['--resume', ID_B, '--verbose'], ID_A)).toEqual(['--verbose', '--resume', ID_A]);
+    expect(resumeArgs(['-r', '--verbose'], ID_A)).toEqual(['--verbose', '--resume', ID_A]);
+    expect(resumeArgs([`--resume=${ID_B}`, '--session-id', ID_B], ID_A)).toEqual(['--resume', ID_A]);
+  });
+
+  test('keeps the arguments after --', () => {
+    expect(resumeArgs(['--verbose', '--', '-c'], ID_A)).toEqual(['--verbose', '--resume', ID_A, '--', '-c']);
+  });
+});
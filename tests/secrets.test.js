@@ -0,0 +1,270 @@
+/**
+ * Unit tests for secret providers
+ *
+ * Tests secrets.js exports with a fake reg.exe, files and commands:
+ * - parseRegQuery / parseDotenv
+ * - secretPatternToRegExp
+ * - encryptVault / decryptVault
+ * - validateSecretProviders
+ * - resolveSecrets (registry, dotenv, vault and command providers)
+ * - formatSecretReport
+ */
+
+import {
+  parseRegQuery,
+  parseDotenv,
+  secretPatternToRegExp,
+  encryptVault,
+  decryptVault,
+  validateSecretProviders,
+  resolveSecrets,
+  formatSecretReport,
+  REGISTRY_HIVES
+} from '../secrets.js';
+
+const HKCU_OUTPUT = [
+  '',
+  'HKEY_CURRENT_USER\\Environment',
+  '    Path    REG_EXPAND_SZ    %USERPROFILE%\\AppData\\Local\\Microsoft\\WindowsApps;',
+  '    ANTHROPIC_API_KEY    REG_SZ    sk-ant-user',
+  '    SENTRY_AUTH_TOKEN    REG_SZ    sntrys_abc',
+  '    Linear_Api_Key    REG_SZ    lin_api_xyz',
+  '    EMPTY_API_KEY    REG_SZ    ',
+  '    SOME_FLAGS    REG_DWORD    0x1',
+  ''
+].join('\r\n');
+
+const HKLM_OUTPUT = [
+  '',
+  'HKEY_LOCAL_MACHINE\\SYSTEM\\CurrentControlSet\\Control\\Session Manager\\Environment',
+  '    ANTHROPIC_API_KEY    REG_SZ    sk-ant-machine',
+  '    GITHUB_TOKEN    REG_SZ    ghp_machine',
+  '    ComSpec    REG_EXPAND_SZ    %SystemRoot%\\system32\\cmd.exe',
+  ''
+].join('\r\n');
+
+/**
+ * Fake reg.exe that records its calls
+ */
+function fakeReg(outputs = { HKCU: HKCU_OUTPUT, HKLM: HKLM_OUTPUT }) {
+  const calls = [];
+  const reg = args => {
+    calls.push(args);
+    const hive = REGISTRY_HIVES.find(h => h.key === args[1]);
+    if (!outputs[hive.name]) {
+      throw new Error('Command failed: reg query\nERROR: Access is denied.');
+    }
+    return outputs[hive.name];
+  };
+  return { reg, calls };
+}
+
+describe('parseRegQuery', () => {
+  test('reads string values and skips other types', () => {
+    const values = parseRegQuery(HKCU_OUTPUT);
+    expect(values.get('ANTHROPIC_API_KEY')).toBe('sk-ant-user');
+    expect(values.get('Path')).toBe('%USERPROFILE%\\AppData\\Local\\Microsoft\\WindowsApps;');
+    expect(values.get('EMPTY_API_KEY')).toBe('');
+    expect(values.has('SOME_FLAGS')).toBe(false);
+  });
+});
+
+describe('secretPatternToRegExp', () => {
+  test('supports wildcards and ignores case', () => {
+    expect(secretPatternToRegExp('*_API_KEY').test('linear_api_key')).toBe(true);
+    expect(secretPatternToRegExp('*_API_KEY').test('API_KEY_FILE')).toBe(false);
+    expect(secretPatternToRegExp('TOKEN_?').test('TOKEN_1')).toBe(true);
+    expect(secretPatternToRegExp('A.B').test('AxB')).toBe(false);
+  });
+});
+
+describe('resolveSecrets', () => {
+  test('reads each hive once and prefers HKCU over HKLM', () => {
+    const { reg, calls } = fakeReg();
+    const result = resolveSecrets(['ANTHROPIC_API_KEY', 'GITHUB_TOKEN'], { env: {}, reg });
+
+    expect(calls).toEqual(REGISTRY_HIVES.map(hive => ['query', hive.key]));
+    expect(result.values).toEqual({ ANTHROPIC_API_KEY: 'sk-ant-user', GITHUB_TOKEN: 'ghp_machine' });
+    expect(result.report).toEqual([
+      { name: 'ANTHROPIC_API_KEY', source: 'HKCU' },
+      { name: 'GITHUB_TOKEN', source: 'HKLM' }
+    ]);
+    expect(result.missing).toEqual([]);
+  });
+
+  test('keeps variables that are already set', () => {
+    const { reg } = fakeReg();
+    const result = resolveSecrets(['ANTHROPIC_API_KEY'], { env: { ANTHROPIC_API_KEY: 'sk-ant-env' }, reg });
+    expect(result.values).toEqual({});
+    expect(result.report).toEqual([{ name: 'ANTHROPIC_API_KEY', source: 'environment' }]);
+  });
+
+  test('skips the registry when every name is already known', () => {
+    const { reg, calls } = fakeReg();
+    resolveSecrets(['GITHUB_TOKEN'], { env: { GITHUB_TOKEN: 'x' }, reg });
+    expect(calls).toEqual([]);
+
+    resolveSecrets(['ANTHROPIC_API_KEY'], { env: {}, reg });
+    expect(calls).toEqual([['query', REGISTRY_HIVES[0].key]]);
+  });
+
+  test('imports every name matching a wildcard', () => {
+    const { reg } = fakeReg();
+    const result = resolveSecrets(['*_API_KEY', '*_AUTH_TOKEN'], { env: { BRAVE_API_KEY: 'b' }, reg });
+
+    expect(result.values).toEqual({
+      ANTHROPIC_API_KEY: 'sk-ant-user',
+      SENTRY_AUTH_TOKEN: 'sntrys_abc',
+      Linear_Api_Key: 'lin_api_xyz'
+    });
+    expect(formatSecretReport(result.report)).toBe(
+      'ANTHROPIC_API_KEY (HKCU), BRAVE_API_KEY (environment), Linear_Api_Key (HKCU), SENTRY_AUTH_TOKEN (HKCU)'
+    );
+  });
+
+  test('reports missing names and unreadable hives', () => {
+    const { reg } = fakeReg({ HKCU: HKCU_OUTPUT });
+    const result = resolveSecrets(['GITHUB_TOKEN', 'EMPTY_API_KEY'], { env: {}, reg });
+
+    expect(result.values).toEqual({});
+    expect(result.missing).toEqual(['GITHUB_TOKEN', 'EMPTY_API_KEY']);
+    expect(result.errors).toEqual(['HKLM: Command failed: reg query']);
+  });
+});
+
+describe('parseDotenv', () => {
+  test('reads assignments, quotes and comments', () => {
+    const values = parseDotenv([
+      '# tokens',
+      'export GITHUB_TOKEN=ghp_abc',
+      'SENTRY_AUTH_TOKEN = "sntrys \\"quoted\\"" # comment',
+      "LINEAR_API_KEY='lin # not a comment'",
+      'PLAIN=value # comment',
+      'not an assignment'
+    ].join('\r\n'));
+
+    expect(Object.fromEntries(values)).toEqual({
+      GITHUB_TOKEN: 'ghp_abc',
+      SENTRY_AUTH_TOKEN: 'sntrys "quoted"',
+      LINEAR_API_KEY: 'lin # not a comment',
+      PLAIN: 'value'
+    });
+  });
+});
+
+describe('encryptVault / decryptVault', () => {
+  test('round-trips secrets and rejects a wrong passphrase', () => {
+    const vault = encryptVault({ ANTHROPIC_API_KEY: 'sk-ant-vault' }, 'correct horse');
+    expect(JSON.stringify(vault)).not.toContain('sk-ant-vault');
+    expect(decryptVault(vault, 'correct horse')).toEqual({ ANTHROPIC_API_KEY: 'sk-ant-vault' });
+    expect(() => decryptVault(vault, 'wrong')).toThrow('wrong passphrase or damaged file');
+    expect(() => decryptVault({ version: 2 }, 'x')).toThrow('unsupported vault format');
+  });
+
+  test('rejects scrypt parameters it did not write', () => {
+    const vault = encryptVault({ GITHUB_TOKEN: 'ghp_x' }, 'pw');
+    for (const kdf of [{ N: 2 ** 30 }, { r: 64 }, { p: 16 }, { N: '16384' }]) {
+      expect(() => decryptVault({ ...vault, kdf: { ...vault.kdf, ...kdf } }, 'pw')).toThrow('unsupported vault key parameters');
+    }
+  });
+});
+
+describe('validateSecretProviders', () => {
+  test('accepts every provider type', () => {
+    expect(() => validateSecretProviders([
+      { type: 'registry' },
+      { type: 'dotenv', path: '~/.claude/secrets.env' },
+      { type: 'vault', path: '~/.claude/wclaude-vault.json', passphraseCommand: 'pass show wclaude' },
+      { type: 'command', commands: { ANTHROPIC_API_KEY: 'op read op://Private/Anthropic/key' }, timeoutMs: 60000 }
+    ])).not.toThrow();
+  });
+
+  test('rejects malformed providers', () => {
+    expect(() => validateSecretProviders([{ type: 'keychain' }])).toThrow('provider #1: "type" must be one of');
+    expect(() => validateSecretProviders([{ type: 'dotenv' }])).toThrow('"path" is required');
+    expect(() => validateSecretProviders([{ type: 'registry', path: 'x' }])).toThrow('unknown key "path"');
+    expect(() => validateSecretProviders([{ type: 'command', commands: { '*_KEY': 'x' } }])).toThrow('no wildcards');
+    expect(() => validateSecretProviders([{ type: 'command', commands: {}, timeoutMs: 0 }])).toThrow('positive integer');
+  });
+});
+
+describe('resolveSecrets provider chain', () => {
+  const files = {
+    '/secrets.env': 'GITHUB_TOKEN=ghp_dotenv\nSENTRY_AUTH_TOKEN=sntrys_dotenv\n',
+    '/vault.json': JSON.stringify(encryptVault({ ANTHROPIC_API_KEY: 'sk-ant-vault', EXA_API_KEY: 'exa-vault' }, 'pw'))
+  };
+  const readFile = file => {
+    if (!(file in files)) throw new Error(`ENOENT: no such file or directory, open '${file}'`);
+    return files[file];
+  };
+
+  test('asks providers in order and the first one wins', () => {
+    const commands = [];
+    const result = resolveSecrets(['ANTHROPIC_API_KEY', 'GITHUB_TOKEN', 'LINEAR_API_KEY', '*_AUTH_TOKEN'], {
+      env: { WCLAUDE_VAULT_PASSPHRASE: 'pw' },
+      providers: [
+        { type: 'vault', path: '/vault.json' },
+        { type: 'dotenv', path: '/secrets.env' },
+        { type: 'command', commands: { ANTHROPIC_API_KEY: 'never-runs', LINEAR_API_KEY: 'pass show linear' } }
+      ],
+      readFile,
+      exec: command => { commands.push(command); return 'lin_cmd'; }
+    });
+
+    expect(result.values).toEqual({
+      ANTHROPIC_API_KEY: 'sk-ant-vault',
+      GITHUB_TOKEN: 'ghp_dotenv',
+      SENTRY_AUTH_TOKEN: 'sntrys_dotenv',
+      LINEAR_API_KEY: 'lin_cmd'
+    });
+    expect(commands).toEqual(['pass show linear']);
+    expect(formatSecretReport(result.report)).toBe(
+      'ANTHROPIC_API_KEY (vault /vault.json), GITHUB_TOKEN (dotenv /secrets.env), ' +
+      'LINEAR_API_KEY (command), SENTRY_AUTH_TOKEN (dotenv /secrets.env)'
+    );
+    expect(result.errors).toEqual([]);
+  });
+
+  test('stops once every name is found', () => {
+    const { reg, calls } = fakeReg();
+    resolveSecrets(['GITHUB_TOKEN'], {
+      env: {},
+      providers: [{ type: 'dotenv', path: '/secrets.env' }, { type: 'registry' }],
+      readFile,
+      reg
+    });
+    expect(calls).toEqual([]);
+  });
+
+  test('reports failing providers and commands and keeps going', () => {
+    const { reg } = fakeReg();
+    const result = resolveSecrets(['ANTHROPIC_API_KEY', 'LINEAR_API_KEY'], {
+      env: {},
+      providers: [
+        { type: 'vault', path: '/vault.json', passphraseCommand: 'get-passphrase' },
+        { type: 'dotenv', path: '/missing.env' },
+        { type: 'command', commands: { LINEAR_API_KEY: 'pass show linear' } },
+        { type: 'registry' }
+      ],
+      readFile,
+      reg,
+      exec: command => {
+        if (command === 'get-passphrase') return 'wrong';
+        throw new Error('Command failed: pass show linear\nError: not found');
+      }
+    });
+
+    expect(result.values).toEqual({ ANTHROPIC_API_KEY: 'sk-ant-user', Linear_Api_Key: 'lin_api_xyz' });
+    expect(result.missing).toEqual([]);
+    expect(result.errors).toEqual([
+      'vault /vault.json: could not decrypt vault (wrong passphrase or damaged file)',
+      "dotenv /missing.env: ENOENT: no such file or directory, open '/missing.env'",
+      'command LINEAR_API_KEY: Command failed: pass show linear'
+    ]);
+  });
+
+  test('needs a vault passphrase', () => {
+    const result = resolveSecrets(['ANTHROPIC_API_KEY'], { env: {}, providers: [{ type: 'vault', path: '/vault.json' }], readFile });
+    expect(result.errors).toEqual(['vault /vault.json: no passphrase (set "passphraseCommand" or WCLAUDE_VAULT_PASSPHRASE)']);
+  });
+});
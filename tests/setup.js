@@ -0,0 +1,22 @@
+/**
+ * Test setup (jest setupFilesAfterEnv)
+ *
+ * Points the files wclaude writes or reads in ~/.claude at a temporary
+ * directory per test file, so a test run never touches the developer's
+ * audit log or session logs, or depends on their permission policy.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Set before any wclaude module is imported (the paths are read at import time,
+// so the names are spelled out instead of importing AUDIT_LOG_ENV, USER_POLICY_ENV and LOG_DIR_ENV)
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-test-'));
+process.env.WCLAUDE_AUDIT_LOG = path.join(home, 'wclaude-audit.jsonl');
+process.env.WCLAUDE_POLICY_FILE = path.join(home, 'wclaude-policy.json');
+process.env.WCLAUDE_LOG_DIR = path.join(home, 'wclaude-logs');
+
+afterAll(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
@@ -8,7 +8,7 @@
  * Integration tests for signal handling should be done manually:
  *   1. Run: node runner.js --windebug
  *   2. Press Ctrl+C
- *   3. Check ~/.claude/debug.log for: "Signal handlers installed (SIGINT, SIGTERM, SIGHUP)"
+ *   3. Check the session log (~/.claude/wclaude-logs) for: "Signal handlers installed (SIGINT, SIGTERM, SIGHUP)"
  *   4. Verify console shows: "[wclaude] Received SIGINT, shutting down..."
  */
 
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the supervised child process
+ *
+ * Tests supervisor.js exports:
+ * - supportsImportFlag / childNodeArgs
+ * - recordCrash / readCrashRecord
+ * - crashFromExit
+ * - runChild (real node children)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  childNodeArgs,
+  recordCrash,
+  readCrashRecord,
+  crashFromExit,
+  runChild,
+  supportsImportFlag
+} from '../supervisor.js';
+import { classifyCrash } from '../crash.js';
+
+describe('supportsImportFlag', () => {
+  test('checks the node flags', () => {
+    expect(supportsImportFlag(new Set(['--import', '--loader']))).toBe(true);
+    expect(supportsImportFlag(new Set(['--loader']))).toBe(false);
+    expect(supportsImportFlag()).toBe(true);  // Node 20 runs the tests
+  });
+});
+
+describe('childNodeArgs', () => {
+  test('preloads the runner and passes the Claude Code arguments', () => {
+    const args = childNodeArgs({ runnerPath: path.resolve('/opt/wclaude/runner.js'), cliPath: '/opt/claude/cli.js', args: ['-c', '--verbose'] });
+    expect(args[0]).toBe('--import');
+    expect(args[1]).toMatch(/^file:\/\/.*runner\.js$/);
+    expect(args.slice(2)).toEqual(['/opt/claude/cli.js', '-c', '--verbose']);
+  });
+
+  test('sets the heap limit on the command line', () => {
+    const args = childNodeArgs({ runnerPath: '/opt/wclaude/runner.js', cliPath: 'cli.js', args: [], heapMB: 4096 });
+    expect(args.slice(0, 2)).toEqual(['--max-old-space-size=4096', '--import']);
+  });
+});
+
+describe('crash records', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-supervisor-'));
+    file = path.join(dir, 'crash.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keeps the fields used for classification and deletes the file', () => {
+    recordCrash(file, Object.assign(new Error('kill EPERM'), { code: 'EPERM', syscall: 'kill' }));
+    const record = readCrashRecord(file);
+    expect(record).toMatchObject({ name: 'Error', message: 'kill EPERM', code: 'EPERM', syscall: 'kill' });
+    expect(classifyCrash(record)).toBe('kill');
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('records thrown non-errors', () => {
+    recordCrash(file, 'plain string');
+    expect(readCrashRecord(file)).toEqual({ name: 'string', message: 'plain string' });
+  });
+
+  test('returns null without a record', () => {
+    expect(readCrashRecord(file)).toBeNull();
+  });
+});
+
+describe('crashFromExit', () => {
+  test('normal exits are not crashes', () => {
+    expect(crashFromExit({ code: 0, signal: null })).toBeNull();
+    expect(crashFromExit({ code: 1, signal: null })).toBeNull();
+    expect(crashFromExit({ code: null, signal: 'SIGTERM', stopping: true })).toBeNull();
+  });
+
+  test('uses the crash record of the child', () => {
+    const record = { name: 'Error', message: 'fetch failed' };
+    expect(crashFromExit({ code: 1, signal: null, record })).toBe(record);
+    expect(crashFromExit({ code: null, signal: 'SIGABRT', record })).toBe(record);
+  });
+
+  test('ignores the crash record after a clean exit', () => {
+    // The exception was recorded, then Claude Code handled it and exited normally
+    const record = { name: 'Error', message: 'fetch failed' };
+    expect(crashFromExit({ code: 0, signal: null, record })).toBeNull();
+  });
+
+  test('treats aborts, signals and Windows crash codes as crashes', () => {
+    expect(classifyCrash(crashFromExit({ code: 134, signal: null }))).toBe('heap');
+    expect(crashFromExit({ code: null, signal: 'SIGKILL' }).message).toBe('Claude Code was killed by SIGKILL');
+    expect(crashFromExit({ code: 0xC0000005, signal: null }).message).toBe('Claude Code crashed with exit code 0xC0000005');
+  });
+});
+
+describe('runChild', () => {
+  test('resolves with the exit code', async () => {
+    await expect(runChild(['-e', 'process.exit(3)'], { env: process.env })).resolves.toEqual({ code: 3, signal: null });
+  });
+
+  test('passes the child to onStart', async () => {
+    let pid = null;
+    await runChild(['-e', ''], { onStart: child => { pid = child.pid; } });
+    expect(pid).toEqual(expect.any(Number));
+  });
+
+  test('reports a node executable that cannot be started', async () => {
+    const exit = await runChild([], { execPath: path.join(os.tmpdir(), 'no-such-node') });
+    expect(exit.error.code).toBe('ENOENT');
+  });
+});
@@ -97,6 +97,18 @@ describe('calculateBackoff', () => {
     // 5000 * 2^(-1) = 2500
     expect(calculateBackoff(0, 5000, 60000)).toBe(2500);
   });
+  test('full jitter picks a delay up to the exponential one', () => {
+    expect(calculateBackoff(3, 5000, 60000, { jitter: 'full', random: () => 0 })).toBe(0);
+    expect(calculateBackoff(3, 5000, 60000, { jitter: 'full', random: () => 0.5 })).toBe(10000);
+    expect(calculateBackoff(10, 5000, 60000, { jitter: 'full', random: () => 0.999 })).toBeLessThan(60000);
+  });
+
+  test('decorrelated jitter grows from the previous delay', () => {
+    expect(calculateBackoff(1, 5000, 60000, { jitter: 'decorrelated', random: () => 0 })).toBe(5000);
+    expect(calculateBackoff(1, 5000, 60000, { jitter: 'decorrelated', random: () => 0.5 })).toBe(10000);
+    expect(calculateBackoff(2, 5000, 60000, { jitter: 'decorrelated', previousMs: 10000, random: () => 0.5 })).toBe(17500);
+    expect(calculateBackoff(5, 5000, 60000, { jitter: 'decorrelated', previousMs: 60000, random: () => 0.9 })).toBe(60000);
+  });
 });
 
 describe('parseArgs', () => {
@@ -1,5 +1,20 @@
 import { validateBashCommand } from '../runner.js';
-import { validateCommand, cygpathRules, safetyRules, config } from '../blocklist.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  validateCommand,
+  cygpathRules,
+  safetyRules,
+  config,
+  parseCommand,
+  explainCommand,
+  shellQuote,
+  compileRules,
+  loadRuleFile,
+  findProjectRules,
+  mergeRules
+} from '../blocklist.js';
 
 describe('validateBashCommand', () => {
   describe('allows safe commands', () => {
@@ -148,4 +163,414 @@ describe('blocklist.js exports', () => {
     expect(config).toHaveProperty('maxPathLength');
     expect(config.maxPathLength).toBe(260);
   });
+
+  test('maxPathLength option overrides the limit', () => {
+    const command = `cat /c/${'a'.repeat(150)}`;
+    expect(validateCommand(command).allowed).toBe(true);
+    expect(validateCommand(command, { maxPathLength: 100 })).toEqual({
+      allowed: false,
+      rule: 'path-too-long',
+      reason: 'Path exceeds 100 characters (cygpath crash risk) - use shorter paths'
+    });
+  });
+});
+
+describe('blocked results name the rule', () => {
+  test('reports built-in rule names', () => {
+    expect(validateCommand("ls '/path/to/file").rule).toBe('unbalanced-quotes');
+    expect(validateCommand('ls //server/share/file').rule).toBe('unc-path');
+    expect(validateCommand(`cat "/c/${'a'.repeat(300)}"`).rule).toBe('path-too-long');
+    expect(validateCommand('git log --all').rule).toBe('git-all-no-limit');
+  });
+
+  test('allowed results have no rule', () => {
+    expect(validateCommand('git status').rule).toBeUndefined();
+  });
+});
+
+describe('user rule files', () => {
+  const orgRules = compileRules({
+    rules: [
+      {
+        name: 'gci-recurse-share',
+        detect: 'Get-ChildItem\\b.*-Recurse.*\\b[A-Z]:/shares?/',
+        reason: 'Recursive Get-ChildItem on a network share - narrow the path'
+      },
+      {
+        name: 'npm-ls-no-depth',
+        detect: '\\bnpm\\s+ls\\b',
+        unless: '--depth',
+        reason: 'npm ls without --depth - add --depth=0'
+      }
+    ],
+    disable: ['tree-no-depth']
+  }, 'org.json');
+
+  describe('compileRules', () => {
+    test('compiles regex strings case-insensitively by default', () => {
+      expect(orgRules.errors).toEqual([]);
+      expect(orgRules.rules[1].detect).toBeInstanceOf(RegExp);
+      expect(orgRules.rules[1].detect.test('NPM LS')).toBe(true);
+      expect(orgRules.rules[0].unless).toBeNull();
+      expect(orgRules.rules[0].source).toBe('org.json');
+    });
+
+    test('honors explicit flags', () => {
+      const { rules } = compileRules({ rules: [{ name: 'x', detect: 'Foo', reason: 'r', flags: '' }] });
+      expect(rules[0].detect.test('foo')).toBe(false);
+    });
+
+    test('skips invalid rules and reports them', () => {
+      const result = compileRules({
+        rules: [
+          { name: 'bad-regex', detect: '(', reason: 'r' },
+          { name: 'no-reason', detect: 'x' },
+          { detect: 'x', reason: 'r' },
+          { name: 'ok', detect: 'x', reason: 'r' },
+          { name: 'ok', detect: 'y', reason: 'r' }
+        ]
+      }, 'bad.json');
+
+      expect(result.rules.map(r => r.name)).toEqual(['ok']);
+      expect(result.errors).toHaveLength(4);
+      expect(result.errors[0]).toContain('bad.json: rule "bad-regex": invalid "detect" pattern');
+      expect(result.errors[1]).toContain('"reason" is required');
+      expect(result.errors[2]).toContain('rule #3: "name" is required');
+      expect(result.errors[3]).toContain('duplicate name');
+    });
+
+    test('rejects malformed files', () => {
+      expect(compileRules([]).errors).toHaveLength(1);
+      expect(compileRules({ rules: {} }).errors[0]).toContain('"rules" must be an array');
+      expect(compileRules({ disable: 'tree-no-depth' }).errors[0]).toContain('"disable"');
+    });
+
+    test('accepts only the i, m, s and u flags', () => {
+      const rulesWith = flags => compileRules({ rules: [{ name: 'no-ls', detect: '^ls', reason: 'r', flags }] });
+      expect(rulesWith('ms').errors).toEqual([]);
+      expect(rulesWith('g').errors[0]).toContain('"flags" may only contain i, m, s and u');
+      expect(rulesWith('iy').errors[0]).toContain('"flags"');
+      expect(rulesWith(1).errors[0]).toContain('"flags"');
+    });
+
+    test('rejects rule names of built-in rules', () => {
+      const result = compileRules({ rules: [{ name: 'find-no-maxdepth', detect: 'x', reason: 'r' }] });
+      expect(result.rules).toEqual([]);
+      expect(result.errors[0]).toContain('rule "find-no-maxdepth": name is taken by a built-in rule');
+    });
+
+    test('project rule files cannot disable built-in rules', () => {
+      const result = compileRules({ disable: ['find-no-maxdepth', 'npm-ls-no-depth'] }, '.wclaude/rules.json', { project: true });
+      expect(result.disable).toEqual(['npm-ls-no-depth']);
+      expect(result.errors[0]).toContain('built-in rule "find-no-maxdepth" can only be disabled in the user rule file');
+      expect(compileRules({ disable: ['find-no-maxdepth'] }).disable).toEqual(['find-no-maxdepth']);
+    });
+  });
+
+  describe('validateCommand with rule options', () => {
+    test('blocks with user rules', () => {
+      const result = validateCommand('npm ls', orgRules);
+      expect(result).toEqual({
+        allowed: false,
+        reason: 'npm ls without --depth - add --depth=0',
+        rule: 'npm-ls-no-depth'
+      });
+      expect(validateCommand('npm ls --depth=0', orgRules).allowed).toBe(true);
+    });
+
+    test('rules without unless always block on detect', () => {
+      const result = validateCommand('pwsh -c "Get-ChildItem -Recurse S:/shares/builds"', orgRules);
+      expect(result.rule).toBe('gci-recurse-share');
+    });
+
+    test('disables built-in rules by name', () => {
+      expect(validateCommand('tree /c/Users/johan/.claude').allowed).toBe(false);
+      expect(validateCommand('tree /c/Users/johan/.claude', orgRules).allowed).toBe(true);
+      expect(validateCommand("ls '/path/to/file", { disable: ['unbalanced-quotes'] }).allowed).toBe(true);
+      expect(validateCommand('ls //server/share', { disable: ['unc-path'] }).allowed).toBe(true);
+    });
+
+    test('built-in rules still apply', () => {
+      expect(validateCommand('git log --all', orgRules).rule).toBe('git-all-no-limit');
+    });
+  });
+
+  describe('loading rule files', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-rules-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('missing file contributes nothing', () => {
+      expect(loadRuleFile(path.join(tmpDir, 'missing.json'))).toEqual({ rules: [], disable: [], errors: [] });
+    });
+
+    test('reports unparseable files', () => {
+      const file = path.join(tmpDir, 'rules.json');
+      fs.writeFileSync(file, '{ nope');
+      expect(loadRuleFile(file).errors[0]).toContain('could not parse rule file');
+    });
+
+    test('finds project rules walking up and merges with user rules', () => {
+      const projectFile = path.join(tmpDir, '.wclaude', 'rules.json');
+      fs.mkdirSync(path.dirname(projectFile));
+      fs.writeFileSync(projectFile, JSON.stringify({
+        rules: [{ name: 'no-du', detect: '^du\\b', unless: '-d\\s*\\d', reason: 'du without -d' }],
+        disable: ['dir-recursive']
+      }));
+      const nested = path.join(tmpDir, 'src', 'lib');
+      fs.mkdirSync(nested, { recursive: true });
+
+      expect(findProjectRules(nested)).toBe(projectFile);
+
+      const merged = mergeRules(orgRules, loadRuleFile(findProjectRules(nested)));
+      expect(merged.rules.map(r => r.name)).toEqual(['gci-recurse-share', 'npm-ls-no-depth', 'no-du']);
+      expect(merged.disable).toEqual(['tree-no-depth', 'dir-recursive']);
+      expect(validateCommand('du -h /c/Users', merged).rule).toBe('no-du');
+    });
+  });
+});
+
+describe('parseCommand', () => {
+  test('splits pipelines and simple commands', () => {
+    const parsed = parseCommand('ls -la | grep x && npm test; echo done');
+    expect(parsed.error).toBeNull();
+    expect(parsed.pipelines.map(p => p.operator)).toEqual([null, '&&', ';']);
+    expect(parsed.pipelines[0].commands.map(c => c.name)).toEqual(['ls', 'grep']);
+    expect(parsed.commands.map(c => c.text)).toEqual(['ls -la', 'grep x', 'npm test', 'echo done']);
+  });
+
+  test('unquotes words and records quote segments', () => {
+    const [cmd] = parseCommand(`cat 'a b' "c\\"d" e\\ f`).commands;
+    expect(cmd.args).toEqual(['a b', 'c"d', 'e f']);
+    expect(cmd.words[1].segments).toEqual([{ quote: 'single', text: 'a b' }]);
+    expect(cmd.words[2].segments).toEqual([{ quote: 'double', text: 'c"d' }]);
+  });
+
+  test('keeps substitutions inside words', () => {
+    const [cmd] = parseCommand('echo "$(date +"%Y")" `whoami` ${HOME}').commands;
+    expect(cmd.args).toEqual(['$(date +"%Y")', '`whoami`', '${HOME}']);
+  });
+
+  test('separates redirections from arguments', () => {
+    const [cmd] = parseCommand('npm test 2>&1 > out.log').commands;
+    expect(cmd.args).toEqual(['test']);
+    expect(cmd.redirects.map(r => [r.fd, r.operator, r.target.value])).toEqual([
+      ['2', '>&', '1'],
+      [null, '>', 'out.log']
+    ]);
+  });
+
+  test('skips heredoc bodies', () => {
+    const parsed = parseCommand("cat <<'EOF' > notes.txt\nit's a \"test\" | not a pipe\nEOF\necho done");
+    expect(parsed.error).toBeNull();
+    expect(parsed.commands.map(c => c.name)).toEqual(['cat', 'echo']);
+    expect(parsed.commands[0].redirects[0].heredoc).toBe('it\'s a "test" | not a pipe\n');
+  });
+
+  test('resolves wrapped commands', () => {
+    expect(parseCommand('timeout -s KILL 30s find . -name x').commands[0].name).toBe('find');
+    expect(parseCommand('FOO=1 env BAR=2 /usr/bin/Git.exe log').commands[0].name).toBe('git');
+    expect(parseCommand('xargs -I {} rm {}').commands[0].name).toBe('rm');
+  });
+
+  test('skips reserved words before the command name', () => {
+    const parsed = parseCommand('if true; then find . -name x; fi; ! time git log; { tree; }');
+    expect(parsed.commands.map(c => c.name)).toEqual(['true', 'find', 'fi', 'git', 'tree', '}']);
+    expect(parsed.commands[1].text).toBe('find . -name x');
+    expect(parseCommand("'do' x").commands[0].name).toBe('do');
+  });
+
+  test('parses bash -c scripts', () => {
+    const [cmd] = parseCommand("bash -c 'cd /tmp && tree'").commands;
+    expect(cmd.nested.commands.map(c => c.name)).toEqual(['cd', 'tree']);
+  });
+
+  test('parses eval arguments', () => {
+    const [, cmd] = parseCommand("source /tmp/snapshot.sh && eval 'find . -name x' < /dev/null").commands;
+    expect(cmd.name).toBe('eval');
+    expect(cmd.nested.commands[0].args).toEqual(['.', '-name', 'x']);
+  });
+
+  test('ignores comments and line continuations', () => {
+    const parsed = parseCommand('echo a \\\n  b # trailing comment');
+    expect(parsed.commands[0].args).toEqual(['a', 'b']);
+  });
+
+  test('reports unterminated quotes', () => {
+    expect(parseCommand("echo 'oops").error).toBe('unterminated single quote');
+    expect(parseCommand('echo "oops').error).toBe('unterminated double quote');
+    expect(parseCommand('echo $(oops').error).toBe('unterminated substitution');
+    expect(parseCommand(`eval 'echo "oops'`).error).toBe('unterminated double quote in eval script');
+  });
+});
+
+describe('quote-aware validation', () => {
+  test('allows apostrophes inside double quotes', () => {
+    expect(validateCommand(`echo "it's"`)).toEqual({ allowed: true });
+    expect(validateCommand(`git commit -m "Don't crash on empty input"`)).toEqual({ allowed: true });
+  });
+
+  test('allows several single-quoted arguments', () => {
+    expect(validateCommand("grep -r 'foo' 'src' 'lib'")).toEqual({ allowed: true });
+    expect(validateCommand("sed -n '1,5p' 'file.txt'")).toEqual({ allowed: true });
+  });
+
+  test('allows apostrophes in heredoc bodies', () => {
+    expect(validateCommand("cat <<'EOF' > notes.md\nWe don't block this\nEOF")).toEqual({ allowed: true });
+  });
+
+  test('still blocks concatenated quotes within one word', () => {
+    expect(validateCommand("cat 'it'\\''s a file'").rule).toBe('nested-quotes');
+  });
+
+  test('rules only look at the targeted command', () => {
+    expect(validateCommand('ls /c/Users/johan && find . -name "*.js"')).toEqual({ allowed: true });
+    expect(validateCommand('echo tree /c/Users/johan')).toEqual({ allowed: true });
+    expect(validateCommand('cd /c/Users/johan && find /c/Users/johan -type f').rule).toBe('find-no-maxdepth');
+  });
+
+  test('checks commands inside pipelines and bash -c scripts', () => {
+    expect(validateCommand('find /c/Users/johan -type f | head').rule).toBe('find-no-maxdepth');
+    expect(validateCommand("bash -c 'git log --all'").rule).toBe('git-all-no-limit');
+    expect(validateCommand("eval 'tree /c/Users/johan' < /dev/null && pwd -P").rule).toBe('tree-no-depth');
+  });
+
+  test('checks commands after reserved words', () => {
+    expect(validateCommand('for d in a b; do find /c/Users/me -name x; done').rule).toBe('find-no-maxdepth');
+    expect(validateCommand('if true; then find /c/Users/me -name x; fi').rule).toBe('find-no-maxdepth');
+    expect(validateCommand('{ find /c/Users/me -name x; }').rule).toBe('find-no-maxdepth');
+    expect(validateCommand('! find /c/Users/me -name x').rule).toBe('find-no-maxdepth');
+    expect(validateCommand('while true; do tree /c/Users/me; done').rule).toBe('tree-no-depth');
+    expect(validateCommand('if true; then dir C:\\Users /s; fi').rule).toBe('dir-recursive');
+  });
+
+  test('blocks unbalanced quotes inside eval and bash -c scripts', () => {
+    expect(validateCommand(`eval 'echo "oops'`).rule).toBe('unbalanced-quotes');
+    expect(validateCommand(`bash -c 'echo "oops'`).rule).toBe('unbalanced-quotes');
+  });
+
+  test('user rules can target a command name', () => {
+    const options = compileRules({
+      rules: [{ name: 'npm-ls', command: 'npm', detect: '^npm\\s+ls\\b', unless: '--depth', reason: 'add --depth' }]
+    });
+    expect(options.rules[0].command).toEqual(['npm']);
+    expect(validateCommand('npm ls', options).rule).toBe('npm-ls');
+    expect(validateCommand('echo npm ls', options)).toEqual({ allowed: true });
+    expect(compileRules({ rules: [{ name: 'x', command: [], detect: 'x', reason: 'r' }] }).errors[0])
+      .toContain('"command"');
+  });
+});
+
+describe('rewrites', () => {
+  test('blocks without the rewrite option', () => {
+    expect(validateCommand('find /c/Users/johan -name x').allowed).toBe(false);
+  });
+
+  test('inserts arguments after find paths', () => {
+    const result = validateCommand('find -L /c/Users/johan /c/tmp -type f | head', { rewrite: true });
+    expect(result.allowed).toBe(true);
+    expect(result.command).toBe('find -L /c/Users/johan /c/tmp -maxdepth 5 -type f | head');
+    expect(result.rewrites).toEqual([{
+      rule: 'find-no-maxdepth',
+      reason: expect.stringContaining('-maxdepth'),
+      from: 'find -L /c/Users/johan /c/tmp -type f',
+      to: 'find -L /c/Users/johan /c/tmp -maxdepth 5 -type f'
+    }]);
+  });
+
+  test('inserts arguments after a subcommand', () => {
+    expect(validateCommand('git log --all --oneline', { rewrite: true }).command)
+      .toBe('git log -n 200 --all --oneline');
+  });
+
+  test('rewrites inside eval and bash -c scripts', () => {
+    expect(validateCommand("source /tmp/s.sh && eval 'tree /c/Users/johan' < /dev/null", { rewrite: true }).command)
+      .toBe("source /tmp/s.sh && eval 'tree -L 3 /c/Users/johan' < /dev/null");
+    expect(validateCommand(`bash -c 'find /c/Users/johan -name "a b"'`, { rewrite: true }).command)
+      .toBe(`bash -c 'find /c/Users/johan -maxdepth 5 -name "a b"'`);
+  });
+
+  test('still blocks when a rule has no rewrite', () => {
+    const result = validateCommand('dir C:\\Users /s', { rewrite: true });
+    expect(result).toEqual(expect.objectContaining({ allowed: false, rule: 'dir-recursive' }));
+  });
+
+  test('still blocks when the rewritten command breaks another rule', () => {
+    const result = validateCommand('find /c/Users/johan -name x && tree /c/Users/johan', {
+      rewrite: true,
+      disable: ['tree-no-depth'],
+      rules: compileRules({ rules: [{ name: 'no-tree', command: 'tree', detect: '.', reason: 'no tree' }] }).rules
+    });
+    expect(result).toEqual(expect.objectContaining({ allowed: false, rule: 'find-no-maxdepth' }));
+  });
+
+  test('user rules can rewrite with a prefix', () => {
+    const { rules, errors } = compileRules({
+      rules: [{ name: 'slow-tests', command: 'npm', detect: '\\bnpm\\s+test', unless: '\\btimeout\\b', reason: 'tests can hang', rewrite: { prefix: 'timeout 600' } }]
+    });
+    expect(errors).toEqual([]);
+    expect(validateCommand('CI=1 npm test && echo ok', { rules, rewrite: true }).command)
+      .toBe('CI=1 timeout 600 npm test && echo ok');
+  });
+
+  test('validates rewrites in rule files', () => {
+    const errorsFor = rewrite => compileRules({ rules: [{ name: 'r', command: 'npm', detect: 'x', reason: 'r', rewrite }] }).errors;
+    expect(errorsFor({ insert: '--depth=0' })).toEqual([]);
+    expect(errorsFor({ insert: 'x', prefix: 'y' })[0]).toContain('exactly one of');
+    expect(errorsFor({ insert: 'x', after: 'end' })[0]).toContain('"rewrite.after"');
+    expect(errorsFor({ prefix: ' ' })[0]).toContain('"rewrite.prefix"');
+    expect(compileRules({ rules: [{ name: 'r', detect: 'x', reason: 'r', rewrite: { insert: 'x' } }] }).errors[0])
+      .toContain('requires "command"');
+  });
+
+  test('rejects shell operators in rewrites', () => {
+    const errorsFor = rewrite => compileRules({ rules: [{ name: 'r', command: 'git', detect: 'status', reason: 'r', rewrite }] }).errors;
+    expect(errorsFor({ insert: '; rm -rf ~/x' })[0]).toContain('"rewrite.insert" must not contain shell operators');
+    for (const text of ['a | b', 'a && b', '$(id)', '`id`', 'a > f', 'a\nb']) {
+      expect(errorsFor({ prefix: text })[0]).toContain('"rewrite.prefix" must not contain shell operators');
+    }
+  });
+
+  test('rejects rewrites from project rule files', () => {
+    const data = { rules: [{ name: 'y', command: 'git', detect: 'status', unless: 'rm', reason: 'r', rewrite: { insert: '--short' } }] };
+    const { rules, errors } = compileRules(data, '.wclaude/rules.json', { project: true });
+    expect(rules).toEqual([]);
+    expect(errors[0]).toContain('rule "y": "rewrite" is only allowed in the user rule file');
+    expect(validateCommand('git status', { rules, rewrite: true })).toEqual({ allowed: true });
+  });
+
+  test('shellQuote quotes single quotes', () => {
+    expect(shellQuote("it's")).toBe(`'it'\\''s'`);
+  });
+});
+
+describe('explainCommand', () => {
+  test('lists every rule with its matches', () => {
+    const result = explainCommand('tree -L 2 /c/Users/me | head');
+    expect(result.commands).toEqual([{ name: 'tree', text: 'tree -L 2 /c/Users/me' }, { name: 'head', text: 'head' }]);
+    expect(result.checks.map(c => c.name)).toEqual([
+      'unbalanced-quotes', 'nested-quotes', 'shell-expansion', 'unc-path', 'path-too-long',
+      'dir-recursive', 'find-no-maxdepth', 'tree-no-depth', 'git-all-no-limit'
+    ]);
+    expect(result.checks.find(c => c.name === 'tree-no-depth')).toEqual(expect.objectContaining({
+      fired: false,
+      matches: [{ text: 'tree -L 2 /c/Users/me', detect: true, unless: true }]
+    }));
+    expect(result.verdict).toEqual({ allowed: true });
+  });
+
+  test('agrees with validateCommand', () => {
+    const options = { disable: ['nested-quotes'], rules: compileRules({ rules: [{ name: 'no-ls', detect: '^ls', reason: 'r' }] }).rules };
+    const result = explainCommand("ls 'a'b'c'", options);
+    expect(result.checks.find(c => c.name === 'nested-quotes')).toEqual(expect.objectContaining({ enabled: false, fired: false }));
+    expect(result.checks.filter(c => c.fired).map(c => c.name)).toEqual(['no-ls']);
+    expect(result.checks.find(c => c.name === 'no-ls').source).toBe('rules');
+    expect(result.verdict).toEqual(validateCommand("ls 'a'b'c'", options));
+  });
 });
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for `wclaude vault`
+ *
+ * Tests vault.js exports:
+ * - parseVaultArgs
+ * - runVaultCommand (set, list, remove against a temporary vault)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseVaultArgs, runVaultCommand } from '../vault.js';
+import { decryptVault } from '../secrets.js';
+
+describe('parseVaultArgs', () => {
+  test('reads the action, name and vault file', () => {
+    expect(parseVaultArgs(['set', 'GITHUB_TOKEN', '--vault', 'v.json']))
+      .toEqual({ action: 'set', name: 'GITHUB_TOKEN', vault: 'v.json', error: null });
+    expect(parseVaultArgs(['list']).error).toBeNull();
+  });
+
+  test('reports usage errors', () => {
+    expect(parseVaultArgs([]).error).toBe('an action is required');
+    expect(parseVaultArgs(['show']).error).toBe('unknown action show');
+    expect(parseVaultArgs(['set']).error).toContain('set needs a variable name');
+    expect(parseVaultArgs(['remove', 'BAD-NAME']).error).toContain('remove needs a variable name');
+    expect(parseVaultArgs(['list', 'extra']).error).toBe('unexpected argument extra');
+    expect(parseVaultArgs(['list', '--vault']).error).toBe('--vault needs a value');
+  });
+});
+
+describe('runVaultCommand', () => {
+  let dir;
+  let userConfigPath;
+  let vaultPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wclaude-vault-'));
+    userConfigPath = path.join(dir, 'wclaude.json');
+    vaultPath = path.join(dir, 'vault.json');
+    fs.writeFileSync(userConfigPath, JSON.stringify({
+      secrets: { providers: [{ type: 'registry' }, { type: 'vault', path: vaultPath }] }
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const run = (argv, options = {}) => {
+    const out = [];
+    const err = [];
+    const code = runVaultCommand(argv, {
+      out: line => out.push(line),
+      err: line => err.push(line),
+      env: { WCLAUDE_VAULT_PASSPHRASE: 'pw' },
+      userConfigPath,
+      readStdin: () => '',
+      ...options
+    });
+    return { code, out: out.join('\n'), err: err.join('\n') };
+  };
+
+  test('stores, lists and removes values without printing them', () => {
+    expect(run(['set', 'GITHUB_TOKEN'], { readStdin: () => 'ghp_secret\r\n' }).code).toBe(0);
+    expect(run(['set', 'ANTHROPIC_API_KEY'], { readStdin: () => 'sk-ant-secret\n' }).code).toBe(0);
+
+    const vault = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+    expect(fs.readFileSync(vaultPath, 'utf8')).not.toContain('secret');
+    expect(decryptVault(vault, 'pw')).toEqual({ GITHUB_TOKEN: 'ghp_secret', ANTHROPIC_API_KEY: 'sk-ant-secret' });
+
+    const listed = run(['list']);
+    expect(listed.out).toBe('ANTHROPIC_API_KEY\nGITHUB_TOKEN');
+
+    expect(run(['remove', 'GITHUB_TOKEN']).out).toBe(`Removed GITHUB_TOKEN from ${vaultPath}`);
+    expect(run(['list']).out).toBe('ANTHROPIC_API_KEY');
+    expect(run(['remove', 'GITHUB_TOKEN'])).toEqual(expect.objectContaining({ code: 1 }));
+  });
+
+  test('uses the provider passphrase command', () => {
+    const commands = [];
+    const exec = command => { commands.push(command); return 'from-command'; };
+    fs.writeFileSync(userConfigPath, JSON.stringify({
+      secrets: { providers: [{ type: 'vault', path: vaultPath, passphraseCommand: 'pass show wclaude' }] }
+    }));
+
+    expect(run(['set', 'EXA_API_KEY'], { env: {}, exec, readStdin: () => 'exa' }).code).toBe(0);
+    expect(commands).toEqual(['pass show wclaude']);
+    expect(decryptVault(JSON.parse(fs.readFileSync(vaultPath, 'utf8')), 'from-command')).toEqual({ EXA_API_KEY: 'exa' });
+  });
+
+  test('fails on a wrong passphrase or missing input', () => {
+    run(['set', 'GITHUB_TOKEN'], { readStdin: () => 'ghp_secret' });
+
+    const wrong = run(['list'], { env: { WCLAUDE_VAULT_PASSPHRASE: 'nope' } });
+    expect(wrong.code).toBe(1);
+    expect(wrong.err).toContain('wrong passphrase');
+
+    expect(run(['list'], { env: {} }).err).toContain('no passphrase');
+    expect(run(['set', 'EXA_API_KEY']).code).toBe(2);
+  });
+
+  test('needs a configured vault or --vault', () => {
+    fs.writeFileSync(userConfigPath, '{}');
+    expect(run(['list']).code).toBe(2);
+
+    const other = path.join(dir, 'other.json');
+    expect(run(['set', 'GITHUB_TOKEN', '--vault', other], { readStdin: () => 'x' }).code).toBe(0);
+    expect(fs.existsSync(other)).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for the Git Bash watchdog
+ *
+ * Tests watchdog.js exports:
+ * - watchChild (timeout and stdout budget)
+ * - commandTimeout
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { watchChild, commandTimeout } from '../watchdog.js';
+
+/**
+ * Fake child process that records kills and stderr
+ * stdout is a paused stream: stdout.push() is what a pipe does when data arrives
+ */
+function fakeChild() {
+  const child = new EventEmitter();
+  child.stdout = new Readable({ read() {} });
+  child.stderr = new EventEmitter();
+  child.stderrText = '';
+  child.stderr.on('data', chunk => { child.stderrText += chunk.toString(); });
+  child.kills = 0;
+  return child;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('watchChild', () => {
+  test('kills a child that runs too long', async () => {
+    const child = fakeChild();
+    const limits = [];
+    watchChild(child, {
+      timeoutMs: 20,
+      maxOutputBytes: 0,
+      kill: c => { c.kills++; },
+      onLimit: info => limits.push(info.limit)
+    });
+
+    await sleep(60);
+    expect(child.kills).toBe(1);
+    expect(limits).toEqual(['timeout']);
+    expect(child.stderrText).toContain('[watchdog] Command killed: still running after');
+    expect(child.stderrText).toContain('WCLAUDE_BASH_TIMEOUT_MS');
+  });
+
+  test('kills a child that exceeds the output budget', () => {
+    const child = fakeChild();
+    watchChild(child, { timeoutMs: 0, maxOutputBytes: 10, kill: c => { c.kills++; } });
+
+    child.stdout.push(Buffer.from('12345'));
+    expect(child.kills).toBe(0);
+    child.stdout.push('678901');
+    child.stdout.push('more');
+
+    expect(child.kills).toBe(1);
+    expect(child.stderrText).toContain('stdout exceeded 10 bytes');
+  });
+
+  test('counts stdout without consuming it', () => {
+    const child = fakeChild();
+    watchChild(child, { timeoutMs: 0, maxOutputBytes: 100, kill: c => { c.kills++; } });
+
+    child.stdout.push('hello');
+    expect(child.stdout.readableFlowing).toBeNull();
+    expect(child.stdout.read().toString()).toBe('hello');
+  });
+
+  test('stops watching when the child exits', async () => {
+    const child = fakeChild();
+    watchChild(child, { timeoutMs: 20, maxOutputBytes: 10, kill: c => { c.kills++; } });
+
+    child.emit('exit', 0);
+    child.stdout.push('x'.repeat(100));
+    await sleep(60);
+
+    expect(child.kills).toBe(0);
+    expect(child.stderrText).toBe('');
+    expect(child.stdout.push).toBe(Readable.prototype.push);
+  });
+
+  test('writes strings to stderr when an encoding is set', () => {
+    const child = fakeChild();
+    child.stderr.readableEncoding = 'utf8';
+    const chunks = [];
+    child.stderr.on('data', chunk => chunks.push(chunk));
+    watchChild(child, { timeoutMs: 0, maxOutputBytes: 1, kill: () => {} });
+
+    child.stdout.push('xx');
+    expect(typeof chunks[0]).toBe('string');
+  });
+
+  test('handles children without stdout', () => {
+    const child = new EventEmitter();
+    child.stdout = null;
+    child.stderr = null;
+    expect(() => watchChild(child, { timeoutMs: 0, maxOutputBytes: 10, kill: () => {} })()).not.toThrow();
+  });
+
+  test('kills a real process flooding stdout', async () => {
+    const child = spawn(process.execPath, ['-e', 'setInterval(() => process.stdout.write("x".repeat(4096)), 1)']);
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.stdout.on('data', () => {});
+
+    watchChild(child, { timeoutMs: 10000, maxOutputBytes: 64 * 1024, kill: c => c.kill('SIGKILL') });
+
+    const [, signal] = await new Promise(resolve => child.on('exit', (...args) => resolve(args)));
+    expect(signal).toBe('SIGKILL');
+    expect(stderr).toContain('stdout exceeded 64KB');
+  });
+});
+
+describe('commandTimeout', () => {
+  test('stays above Claude Code\'s BASH_MAX_TIMEOUT_MS', () => {
+    expect(commandTimeout(900000, {})).toBe(900000);
+    expect(commandTimeout(900000, { BASH_MAX_TIMEOUT_MS: '600000' })).toBe(900000);
+    expect(commandTimeout(900000, { BASH_MAX_TIMEOUT_MS: '7200000' })).toBe(7260000);
+    expect(commandTimeout(900000, { BASH_MAX_TIMEOUT_MS: 'soon' })).toBe(900000);
+    expect(commandTimeout(0, { BASH_MAX_TIMEOUT_MS: '7200000' })).toBe(0);
+  });
+});
@@ -0,0 +1,149 @@
+// vault.js - `wclaude vault`: edit the encrypted secrets vault
+//
+//   wclaude vault list [--vault <file>]            Names in the vault (never values)
+//   wclaude vault set <NAME> [--vault <file>]      Store a value read from stdin
+//   wclaude vault remove <NAME> [--vault <file>]   Delete a value
+//
+// The vault is the first { "type": "vault" } entry in secrets.providers
+// (see secrets.js), or --vault. Its passphrase comes from the provider's
+// passphraseCommand, or WCLAUDE_VAULT_PASSPHRASE. `set` creates the file
+// if it does not exist yet.
+//
+// Example (PowerShell):
+//   Get-Clipboard | wclaude vault set ANTHROPIC_API_KEY
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, USER_CONFIG_PATH } from './config.js';
+import {
+  encryptVault,
+  decryptVault,
+  getVaultPassphrase,
+  expandHome,
+  runSecretCommand
+} from './secrets.js';
+
+/**
+ * Usage text for `wclaude vault`
+ */
+export const VAULT_USAGE = [
+  'Usage: wclaude vault list [--vault <file>]',
+  '       wclaude vault set <NAME> [--vault <file>]     (value read from stdin)',
+  '       wclaude vault remove <NAME> [--vault <file>]'
+].join('\n');
+
+/**
+ * Parse `wclaude vault` arguments
+ * @param {string[]} argv - Arguments after "vault"
+ * @returns {{ action: string|null, name: string|null, vault: string|null, error: string|null }}
+ */
+export function parseVaultArgs(argv) {
+  const result = { action: null, name: null, vault: null, error: null };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--vault') {
+      if (argv[i + 1] === undefined) {
+        result.error = '--vault needs a value';
+        return result;
+      }
+      result.vault = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  [result.action = null, result.name = null] = positional;
+  if (!['list', 'set', 'remove'].includes(result.action)) {
+    result.error = result.action ? `unknown action ${result.action}` : 'an action is required';
+  } else if (result.action !== 'list' && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(result.name || '')) {
+    result.error = `${result.action} needs a variable name (letters, digits and _)`;
+  } else if (positional.length > (result.action === 'list' ? 1 : 2)) {
+    result.error = `unexpected argument ${positional[positional.length - 1]}`;
+  }
+  return result;
+}
+
+/**
+ * Write a vault file atomically (owner-only permissions where supported)
+ * @param {string} filePath - Vault file
+ * @param {object} vault - encryptVault result
+ */
+function writeVaultFile(filePath, vault) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const temp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(vault, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(temp, filePath);
+}
+
+/**
+ * Run `wclaude vault`
+ * @param {string[]} argv - Arguments after "vault"
+ * @param {object} [io]
+ * @param {function(string): void} [io.out] - Writes a line to stdout
+ * @param {function(string): void} [io.err] - Writes a line to stderr
+ * @param {object} [io.env] - Environment (for WCLAUDE_VAULT_PASSPHRASE and config variables)
+ * @param {string} [io.userConfigPath] - User config file
+ * @param {function(): string} [io.readStdin] - Reads the value for `set`
+ * @param {function(string, object): string} [io.exec] - Runs passphraseCommand
+ * @returns {number} Exit code: 0 ok, 1 vault error, 2 usage error
+ */
+export function runVaultCommand(argv, {
+  out = line => process.stdout.write(line + '\n'),
+  err = line => process.stderr.write(line + '\n'),
+  env = process.env,
+  userConfigPath = USER_CONFIG_PATH,
+  readStdin = () => fs.readFileSync(0, 'utf8'),
+  exec = runSecretCommand
+} = {}) {
+  const args = parseVaultArgs(argv);
+  if (args.error) {
+    err(`wclaude vault: ${args.error}`);
+    err(VAULT_USAGE);
+    return 2;
+  }
+
+  const configured = loadConfig({ env, userPath: userConfigPath }).values.secrets.providers
+    .find(provider => provider.type === 'vault');
+  const spec = { ...configured, type: 'vault', path: args.vault || configured?.path };
+  if (!spec.path) {
+    err('wclaude vault: no vault configured - add { "type": "vault", "path": "~/.claude/wclaude-vault.json" }');
+    err(`to secrets.providers in ${USER_CONFIG_PATH}, or pass --vault <file>`);
+    return 2;
+  }
+  const filePath = expandHome(spec.path);
+
+  try {
+    const passphrase = getVaultPassphrase(spec, { env, exec });
+    const exists = fs.existsSync(filePath);
+    const secrets = exists ? decryptVault(JSON.parse(fs.readFileSync(filePath, 'utf8')), passphrase) : {};
+
+    if (args.action === 'list') {
+      const names = Object.keys(secrets).sort();
+      out(names.length ? names.join('\n') : `(empty: ${filePath})`);
+      return 0;
+    }
+
+    if (args.action === 'remove') {
+      if (!Object.hasOwn(secrets, args.name)) {
+        err(`wclaude vault: ${args.name} is not in ${filePath}`);
+        return 1;
+      }
+      delete secrets[args.name];
+    } else {
+      const value = readStdin().replace(/\r?\n$/, '');
+      if (!value) {
+        err('wclaude vault: no value on stdin');
+        return 2;
+      }
+      secrets[args.name] = value;
+    }
+
+    writeVaultFile(filePath, encryptVault(secrets, passphrase));
+    out(`${args.action === 'set' ? 'Stored' : 'Removed'} ${args.name} ${args.action === 'set' ? 'in' : 'from'} ${filePath}`);
+    return 0;
+  } catch (e) {
+    err(`wclaude vault: ${filePath}: ${e.message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,136 @@
+// watchdog.js - Runtime limits for Git Bash children
+//
+// The blocklist predicts hangs from the command text; the watchdog catches
+// the ones it misses. Every /bin/bash child spawned by Claude Code gets:
+//
+// - a wall-clock timeout   (WCLAUDE_BASH_TIMEOUT_MS, default 15 minutes)
+// - a stdout byte budget   (WCLAUDE_BASH_MAX_OUTPUT, default 50MB)
+//
+// A child that exceeds either is tree-killed (taskkill /T /F) and a
+// "[watchdog] ..." line is appended to its stderr so the model knows why
+// the command stopped. Set a limit to 0 to turn it off. The limits can
+// also be set in wclaude.json ("watchdog": { "timeoutMs", "maxOutputBytes" }).
+//
+// A BASH_MAX_TIMEOUT_MS above the timeout raises it (see commandTimeout).
+// The timeout applies to background commands too, so a dev server started
+// with run_in_background needs a longer timeout (or 0).
+//
+// stdout is counted as the stream receives it (its push() is wrapped), so
+// watching does not start the stream flowing or take data from its reader.
+
+/**
+ * Environment variables for the limits (read by config.js)
+ */
+export const WATCHDOG_ENV = {
+  timeoutMs: 'WCLAUDE_BASH_TIMEOUT_MS',
+  maxOutputBytes: 'WCLAUDE_BASH_MAX_OUTPUT'
+};
+
+/**
+ * Default limits (0 = no limit)
+ */
+export const WATCHDOG_DEFAULTS = {
+  timeoutMs: 15 * 60 * 1000,          // Just above Claude Code's own BASH_MAX_TIMEOUT_MS (10 minutes)
+  maxOutputBytes: 50 * 1024 * 1024    // Claude Code keeps the whole output in memory
+};
+
+/**
+ * Time Claude Code gets to stop a command itself before the watchdog does
+ */
+const TIMEOUT_GRACE_MS = 60 * 1000;
+
+/**
+ * Timeout for a command: the watchdog.timeoutMs setting, but never shorter
+ * than Claude Code's own BASH_MAX_TIMEOUT_MS (plus a minute), so Claude Code's
+ * timeout fires first for commands it waits on
+ * @param {number} timeoutMs - watchdog.timeoutMs (0 = none)
+ * @param {object} [env] - Environment (Claude Code applies the "env" of its settings.json to it)
+ * @returns {number}
+ */
+export function commandTimeout(timeoutMs, env = process.env) {
+  const claudeMaxMs = parseInt(env.BASH_MAX_TIMEOUT_MS, 10);
+  if (timeoutMs <= 0 || !(claudeMaxMs > 0)) return timeoutMs;
+  return Math.max(timeoutMs, claudeMaxMs + TIMEOUT_GRACE_MS);
+}
+
+/**
+ * Format a byte count for messages (e.g. 52428800 -> "50MB")
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${bytes} bytes`;
+}
+
+/**
+ * Enforce the watchdog limits on a child process
+ * @param {ChildProcess} child - Spawned child (stdout/stderr may be null with stdio: 'ignore')
+ * @param {object} options
+ * @param {number} [options.timeoutMs] - Wall-clock limit (0 = none)
+ * @param {number} [options.maxOutputBytes] - stdout byte budget (0 = none)
+ * @param {function(ChildProcess): void} options.kill - Kills the child and its process tree
+ * @param {function({ limit: string, message: string }): void} [options.onLimit] - Called when a limit is hit
+ * @returns {function(): void} Stops watching (the child is left running)
+ */
+export function watchChild(child, {
+  timeoutMs = WATCHDOG_DEFAULTS.timeoutMs,
+  maxOutputBytes = WATCHDOG_DEFAULTS.maxOutputBytes,
+  kill,
+  onLimit
+}) {
+  let timer = null;
+  let outputBytes = 0;
+  let done = false;
+  const stdout = maxOutputBytes > 0 ? child.stdout : null;
+  const originalPush = stdout?.push;
+
+  const stop = () => {
+    if (done) return;
+    done = true;
+    if (timer) clearTimeout(timer);
+    if (stdout) stdout.push = originalPush;
+  };
+
+  const trip = (limit, message) => {
+    if (done) return;
+    stop();
+
+    // Tell the model before the streams close
+    const line = `\n[watchdog] ${message}\n`;
+    if (child.stderr) {
+      child.stderr.emit('data', child.stderr.readableEncoding ? line : Buffer.from(line));
+    }
+    onLimit?.({ limit, message });
+    kill(child);
+  };
+
+  function countOutput(chunk, encoding) {
+    if (chunk) {
+      outputBytes += typeof chunk === 'string' ? Buffer.byteLength(chunk, encoding) : chunk.length;
+    }
+    if (outputBytes > maxOutputBytes) {
+      trip('output', `Command killed: stdout exceeded ${formatBytes(maxOutputBytes)} ` +
+        `(${WATCHDOG_ENV.maxOutputBytes}) - redirect output to a file or filter it (head, grep)`);
+    }
+    return originalPush.call(this, chunk, encoding);
+  }
+
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => {
+      trip('timeout', `Command killed: still running after ${Math.round(timeoutMs / 1000)}s ` +
+        `(${WATCHDOG_ENV.timeoutMs}) - run long jobs in the background or limit their scope`);
+    }, timeoutMs);
+    timer.unref?.();
+  }
+
+  if (stdout) {
+    stdout.push = countOutput;
+  }
+
+  child.once('exit', stop);
+  child.once('error', stop);
+
+  return stop;
+}